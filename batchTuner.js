@@ -0,0 +1,109 @@
+// batchTuner.js
+// How many inner calls (mints) one transaction carries, with batchSizing 'auto'. calibrate() estimates
+// the batch's gas at a few sizes, reads the block gas limit and picks the largest size whose gas limit
+// (estimate plus marginPercent, as GasLimitEstimator sets it) fits in blockGasPercent of the block, and
+// in maxGasLimit when the gas limit is fixed. Gas grows about linearly with the size, so sizes 1 and 2
+// give a first guess; a few more estimates around it find the exact size, also when the contract stops
+// accepting large batches (the estimate fails). During the run shrink() cuts the size by SHRINK_PERCENT
+// when transactions run out of gas or hit the block gas limit.
+
+const SHRINK_PERCENT = 25;
+
+class BatchTuner {
+    // buildCall: (count) => { to, data } of a transaction with `count` inner calls
+    constructor({ provider, buildCall, maxCount, blockGasPercent = 50, marginPercent = 20, maxGasLimit = null, log = () => {} }) {
+        this.provider = provider;
+        this.buildCall = buildCall;
+        this.maxCount = maxCount;
+        this.blockGasPercent = blockGasPercent;
+        this.marginPercent = marginPercent;
+        this.maxGasLimit = maxGasLimit; // bigint or null
+        this.log = log;
+        this.count = null; // Current size, once calibrated
+    }
+
+    // Resolves with { count, gas, gasLimit, blockGasLimit, budget, estimates }: gas is the estimate at
+    // `count`, budget the most gas limit one transaction may have, estimates every { count, gas } tried
+    // (gas null when the estimate failed). Rejects when not even a single call fits.
+    async calibrate(from) {
+        const block = await this.provider.send('eth_getBlockByNumber', ['latest', false]);
+        const blockGasLimit = BigInt(block.gasLimit);
+        let budget = (blockGasLimit * BigInt(this.blockGasPercent)) / 100n;
+        if (this.maxGasLimit !== null && this.maxGasLimit < budget) budget = this.maxGasLimit;
+
+        const estimates = [];
+        const estimate = async (count) => {
+            const known = estimates.find(e => e.count === count);
+            if (known) return known.gas;
+            const { to, data } = this.buildCall(count);
+            let gas = null;
+            try {
+                gas = await this.provider.estimateGas({ from, to, data });
+            } catch (err) {
+                this.log(`Batch size: eth_estimateGas failed for ${count} call(s) (${err.shortMessage || err.message})`);
+            }
+            estimates.push({ count, gas });
+            return gas;
+        };
+        const withMargin = gas => (gas * BigInt(100 + this.marginPercent)) / 100n;
+        const fits = async (count) => {
+            const gas = await estimate(count);
+            return gas !== null && withMargin(gas) <= budget;
+        };
+
+        if (!await fits(1)) {
+            const gas = estimates[0].gas;
+            throw new Error(gas === null
+                ? 'the gas of a single call could not be estimated'
+                : `a single call needs a gas limit of ${withMargin(gas)}, above the ${budget} one transaction may use`);
+        }
+        let lo = 1; // Largest size known to fit
+        let hi = this.maxCount + 1; // Smallest size known not to fit
+        if (this.maxCount >= 2) {
+            let guess = this.maxCount;
+            const one = estimates[0].gas;
+            const two = await estimate(2);
+            if (two !== null && two > one) {
+                const perCall = two - one;
+                const fixed = one - perCall;
+                const usable = (budget * 100n) / BigInt(100 + this.marginPercent);
+                guess = usable > fixed ? Number((usable - fixed) / perCall) : 1;
+                guess = Math.max(2, Math.min(this.maxCount, guess));
+            }
+            if (await fits(guess)) {
+                lo = guess;
+                if (guess < this.maxCount && !await fits(guess + 1)) hi = guess + 1;
+                else if (guess < this.maxCount) lo = guess + 1;
+            } else {
+                hi = guess;
+                if (guess > 2 && await fits(2)) lo = 2;
+            }
+            while (hi - lo > 1) {
+                const mid = Math.floor((lo + hi) / 2);
+                if (await fits(mid)) lo = mid;
+                else hi = mid;
+            }
+        }
+        this.count = lo;
+        const gas = await estimate(lo);
+        return { count: lo, gas, gasLimit: withMargin(gas), blockGasLimit, budget, estimates };
+    }
+
+    // Sets the size without calibrating (e.g. when calibration failed)
+    use(count) {
+        this.count = count;
+    }
+
+    // A transaction of `fromCount` calls ran out of gas or hit the block gas limit. Returns the size to
+    // use from now on: smaller than fromCount, or the current size if an earlier failure already cut it
+    // below fromCount; null when it cannot get any smaller.
+    shrink(fromCount) {
+        if (fromCount > this.count) return this.count;
+        if (this.count <= 1) return null;
+        this.count = Math.max(1, Math.floor((this.count * (100 - SHRINK_PERCENT)) / 100));
+        return this.count;
+    }
+}
+
+export default BatchTuner;
+export { SHRINK_PERCENT };
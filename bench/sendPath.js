@@ -0,0 +1,78 @@
+// bench/sendPath.js
+// Counts JSON-RPC requests per transaction for the old send path (new provider + Wallet.sendTransaction
+// per task), the current one (local signing + eth_sendRawTransaction over a reused provider) and the
+// same with JSON-RPC batches (sendBatchSize), against the stand-in node and CONNECT proxy from
+// test/support, and times each. Usage: node bench/sendPath.js [count]
+import { ethers, FetchRequest } from 'ethers';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import ProxyManager from '../proxyManager.js';
+import { configureLogging } from '../logger.js';
+import { createSignerHandle } from '../keyring.js';
+import { FakeNode } from '../test/support/fakeNode.js';
+import { ConnectProxy } from '../test/support/connectProxy.js';
+
+const TRANSACTIONS = parseInt(process.argv[2]) || 50;
+const CHAIN_ID = 31337;
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const CALL = { to: '0xb1f60733c7b76f8f4085af3d9f6e374c43e462f8', data: '0x252dba42' };
+const TX_OPTIONS = { gasLimit: 5000000n, gasPrice: ethers.parseUnits('0.0019', 'gwei') };
+const SEND_BATCH_SIZE = 10;
+
+// The pre-local-signing path: a fresh provider and Wallet for every transaction.
+async function runOldPath(rpcUrl, proxyUrl) {
+    const agent = new HttpsProxyAgent(proxyUrl);
+    for (let nonce = 0; nonce < TRANSACTIONS; nonce++) {
+        const request = new FetchRequest(rpcUrl);
+        request.getUrlFunc = FetchRequest.createGetUrlFunc({ agent });
+        const provider = new ethers.JsonRpcProvider(request, undefined, { batchMaxCount: 1 });
+        const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+        await wallet.sendTransaction({ ...CALL, nonce, ...TX_OPTIONS });
+        provider.destroy();
+    }
+}
+
+async function runNewPath(rpcUrl, proxyUrl) {
+    configureLogging({ level: 'warn' });
+    const proxyManager = new ProxyManager([{ url: proxyUrl }], rpcUrl, 0, { chainId: CHAIN_ID });
+    const signer = createSignerHandle(new ethers.Wallet(PRIVATE_KEY));
+    for (let nonce = 0; nonce < TRANSACTIONS; nonce++) {
+        await proxyManager.submitTransaction(signer, nonce, CALL, TX_OPTIONS);
+    }
+    proxyManager.destroy();
+}
+
+// All transactions handed over at once, so the lane's queue fills and goes out in batches
+async function runBatchPath(rpcUrl, proxyUrl) {
+    configureLogging({ level: 'warn' });
+    const proxyManager = new ProxyManager([{ url: proxyUrl }], rpcUrl, 0, { chainId: CHAIN_ID, sendBatchSize: SEND_BATCH_SIZE });
+    const signer = createSignerHandle(new ethers.Wallet(PRIVATE_KEY));
+    await Promise.all(Array.from({ length: TRANSACTIONS }, (_, nonce) => proxyManager.submitTransaction(signer, nonce, CALL, TX_OPTIONS)));
+    proxyManager.destroy();
+}
+
+function report(label, counts, seconds) {
+    const perTx = (n) => (n / TRANSACTIONS).toFixed(2);
+    const methods = Object.entries(counts.methods).map(([method, n]) => `${method}=${perTx(n)}`).join(', ');
+    console.log(`${label.padEnd(28)} ${perTx(counts.http)} HTTP requests/tx  ${(TRANSACTIONS / seconds).toFixed(1).padStart(6)} tx/s  (${methods})`);
+}
+
+async function main() {
+    const results = [];
+    const paths = [['before: provider per task', runOldPath], ['after: local sign + raw send', runNewPath], [`batched raw sends (${SEND_BATCH_SIZE})`, runBatchPath]];
+    for (const [label, run] of paths) {
+        const node = await new FakeNode({ chainId: CHAIN_ID }).start();
+        const proxy = await new ConnectProxy().start();
+        const startedAt = Date.now();
+        await run(node.url, proxy.url);
+        results.push([label, node.counts, (Date.now() - startedAt) / 1000]);
+        proxy.stop();
+        node.stop();
+    }
+    console.log(`Send path benchmark, ${TRANSACTIONS} transactions each, through a local CONNECT proxy:`);
+    results.forEach(r => report(...r));
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
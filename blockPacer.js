@@ -0,0 +1,177 @@
+// blockPacer.js
+// Paces sending by what the chain includes: each wallet may have at most targetPending transactions
+// pending (accepted by the node, not yet mined) or in submission. On every new head the wallets' mined
+// counts are read again, so room opens as fast as blocks take our transactions: the send rate follows
+// the inclusion rate instead of flooding the pool or leaving blocks underused.
+//
+// Heads come from polling eth_blockNumber every pollIntervalMs, or from `subscribe` (e.g. newHeads over a
+// WebSocket, subscribeNewHeads()). Either way refreshes are coalesced: one at a time, at most one per
+// pollIntervalMs, and one refresh covers every block since the previous one. With block times far below
+// the poll interval (MegaETH) nothing is read per block; the mined counts simply jump further.
+import { ethers } from 'ethers';
+import { getRpcError } from './errorClassifier.js';
+import { getBlockNumberUncached, getTransactionCountUncached } from './transport.js';
+
+class BlockPacer {
+    constructor({ provider, targetPending, pollIntervalMs = 200, stallMs = 30000, subscribe = null, log = () => {} }) {
+        this.provider = provider;
+        this.targetPending = targetPending;
+        this.pollIntervalMs = pollIntervalMs;
+        this.stallMs = stallMs; // Pending transactions that see no inclusion for this long no longer hold the run open
+        this.subscribe = subscribe; // (onHead) => unsubscribe; polling when null
+        this.log = log;
+        this.wallets = new Map(); // address -> { next, mined }; next = highest nonce the node accepted + 1
+        this.blockNumber = null;
+        this.blocks = 0; // Heads seen since start()
+        this.included = 0; // Our transactions mined since start()
+        this.includedPerBlock = 0; // Moving average over refreshes
+        this.lastProgressAt = Date.now();
+        this.waiters = [];
+        this.timer = null;
+        this.unsubscribe = null;
+        this.refreshing = null;
+        this.lastRefreshAt = 0;
+        this.lastError = null; // Logged once until a refresh succeeds again
+        this.stopped = false;
+    }
+
+    // next: the wallet's next nonce when the run starts (its "pending" count), so transactions an
+    // earlier run left in the pool count as pending too
+    register(address, next) {
+        this.wallets.set(address, { next, mined: null });
+    }
+
+    // The node accepted `nonce` from this wallet
+    submitted(address, nonce) {
+        const wallet = this.wallets.get(address);
+        if (!wallet || nonce + 1 <= wallet.next) return;
+        if (this.totalPending === 0) this.lastProgressAt = Date.now(); // The stall clock starts with something to wait for
+        wallet.next = nonce + 1;
+    }
+
+    pending(address) {
+        const wallet = this.wallets.get(address);
+        if (!wallet || wallet.mined === null) return 0;
+        return Math.max(0, wallet.next - wallet.mined);
+    }
+
+    get totalPending() {
+        let total = 0;
+        for (const address of this.wallets.keys()) total += this.pending(address);
+        return total;
+    }
+
+    // Wallets whose mined count has not been read yet: every refresh since start() failed
+    get unread() {
+        let total = 0;
+        for (const wallet of this.wallets.values()) if (wallet.mined === null) total++;
+        return total;
+    }
+
+    // inFlight: the wallet's transactions still being submitted, which will be pending soon
+    hasRoom(address, inFlight = 0) {
+        const wallet = this.wallets.get(address);
+        if (!wallet || wallet.mined === null) return false; // Not read from the chain yet
+        return this.pending(address) + inFlight < this.targetPending;
+    }
+
+    // Something is pending and the chain is still taking our transactions: worth waiting for the next head.
+    awaitingInclusion() {
+        return this.totalPending > 0 && Date.now() - this.lastProgressAt < this.stallMs;
+    }
+
+    // A wallet has not been read yet, so it has no room: worth waiting for a refresh to succeed, for up
+    // to stallMs after start()
+    awaitingHead() {
+        return this.unread > 0 && Date.now() - this.lastProgressAt < this.stallMs;
+    }
+
+    // Resolves after the next refresh attempt (or stop()), so waiting callers also look at awaitingInclusion() again
+    changed() {
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    async start() {
+        this.stopped = false;
+        this.lastProgressAt = Date.now();
+        await this._onHead();
+        if (this.subscribe) {
+            this.unsubscribe = this.subscribe(() => this._onHead());
+        }
+        this._schedulePoll(); // Also the fallback when a subscription goes quiet
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        this.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    _schedulePoll() {
+        if (this.stopped) return;
+        // With a subscription, polling only covers for missed heads
+        this.timer = setTimeout(() => this._onHead().finally(() => this._schedulePoll()), this.subscribe ? this.pollIntervalMs * 10 : this.pollIntervalMs);
+    }
+
+    _onHead() {
+        if (this.refreshing) return this.refreshing;
+        const wait = Math.max(0, this.lastRefreshAt + this.pollIntervalMs - Date.now());
+        this.refreshing = new Promise(resolve => setTimeout(resolve, this.subscribe ? wait : 0))
+            .then(() => this._refresh())
+            .then(() => { this.lastError = null; })
+            .catch(err => {
+                // The node's own message: ethers' message carries the request id, different every time
+                const rpcError = getRpcError(err);
+                const message = rpcError ? rpcError.message : (err.shortMessage || err.message);
+                if (message !== this.lastError) this.log(`Pacing: could not read the chain head: ${message}`);
+                this.lastError = message;
+            })
+            .finally(() => {
+                this.refreshing = null;
+                this.waiters.splice(0).forEach(resolve => resolve());
+            });
+        return this.refreshing;
+    }
+
+    async _refresh() {
+        if (this.stopped) return;
+        this.lastRefreshAt = Date.now();
+        const blockNumber = await getBlockNumberUncached(this.provider);
+        const initial = this.blockNumber === null;
+        if (!initial && blockNumber === this.blockNumber) return;
+
+        // Only wallets with something pending (or not read yet) can have had transactions included
+        const addresses = [...this.wallets.keys()].filter(address => this.wallets.get(address).mined === null || this.pending(address) > 0);
+        const counts = await Promise.all(addresses.map(address => getTransactionCountUncached(this.provider, address)));
+        let included = 0;
+        addresses.forEach((address, i) => {
+            const wallet = this.wallets.get(address);
+            const mined = counts[i];
+            if (wallet.mined !== null && mined > wallet.mined) included += mined - wallet.mined;
+            wallet.mined = wallet.mined === null ? mined : Math.max(wallet.mined, mined);
+        });
+        const advanced = initial ? 0 : blockNumber - this.blockNumber;
+        this.blockNumber = blockNumber;
+        if (!initial) {
+            this.blocks += advanced;
+            this.included += included;
+            if (advanced > 0) this.includedPerBlock = this.includedPerBlock * 0.8 + (included / advanced) * 0.2;
+        }
+        if (included > 0) this.lastProgressAt = Date.now();
+    }
+}
+
+// newHeads over a WebSocket endpoint, for BlockPacer's `subscribe`
+function subscribeNewHeads(url) {
+    return (onHead) => {
+        const provider = new ethers.WebSocketProvider(url);
+        provider.on('block', onHead);
+        return () => provider.destroy();
+    };
+}
+
+export default BlockPacer;
+export { subscribeNewHeads };
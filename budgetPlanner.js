@@ -0,0 +1,91 @@
+// budgetPlanner.js
+import { ethers } from 'ethers';
+
+const BALANCE_CONCURRENCY = 10; // eth_getBalance calls in flight at once
+
+async function fetchBalances(provider, addresses) {
+    const balances = new Map();
+    for (let i = 0; i < addresses.length; i += BALANCE_CONCURRENCY) {
+        const chunk = addresses.slice(i, i + BALANCE_CONCURRENCY);
+        const results = await Promise.all(chunk.map(address => provider.getBalance(address, 'pending')));
+        chunk.forEach((address, index) => balances.set(address, results[index]));
+    }
+    return balances;
+}
+
+// Splits `totalTransactions` over the wallets as evenly as their funds allow. Each wallet can pay for
+// floor(min(balance, maxPerWallet) / costPerTransaction) transactions; what a wallet cannot pay for is
+// handed to wallets that still have room. shortfall is what a wallet lacks for an even share of the
+// requested total, so topping every wallet up by it makes the full run affordable.
+function planBudget({ wallets, totalTransactions, costPerTransaction, maxPerWallet = null }) {
+    if (costPerTransaction <= 0n) throw new Error('costPerTransaction must be > 0');
+    const count = wallets.length;
+    const entries = wallets.map(({ address, balance }, index) => {
+        const spendable = maxPerWallet !== null && maxPerWallet < balance ? maxPerWallet : balance;
+        const evenShare = Math.floor(totalTransactions / count) + (index < totalTransactions % count ? 1 : 0);
+        const needed = BigInt(evenShare) * costPerTransaction;
+        return {
+            address,
+            balance,
+            affordable: Number(spendable / costPerTransaction),
+            cappedBySpendLimit: spendable < balance,
+            assigned: 0,
+            shortfall: needed > balance ? needed - balance : 0n,
+        };
+    });
+
+    // Poorest wallets first, each taking at most an even share of what is left, so the leftovers
+    // end up with the wallets that can afford them.
+    let remaining = totalTransactions;
+    let walletsLeft = count;
+    for (const entry of [...entries].sort((a, b) => a.affordable - b.affordable)) {
+        entry.assigned = Math.min(entry.affordable, Math.ceil(remaining / walletsLeft));
+        remaining -= entry.assigned;
+        walletsLeft--;
+    }
+
+    const planned = totalTransactions - remaining;
+    return {
+        wallets: entries,
+        requested: totalTransactions,
+        planned,
+        costPerTransaction,
+        totalCost: BigInt(planned) * costPerTransaction,
+        shortfall: entries.reduce((sum, entry) => sum + entry.shortfall, 0n),
+    };
+}
+
+function formatEth(wei) {
+    return Number(ethers.formatEther(wei)).toFixed(6);
+}
+
+// The plan as a fixed-width table, one line per wallet plus a totals line.
+function formatPlan(plan) {
+    const header = ['Wallet', 'Balance (ETH)', 'Can pay for', 'Assigned', 'Shortfall (ETH)'];
+    const rows = plan.wallets.map(entry => [
+        entry.address,
+        formatEth(entry.balance),
+        `${entry.affordable}${entry.cappedBySpendLimit ? ' (cap)' : ''}`,
+        String(entry.assigned),
+        entry.shortfall > 0n ? formatEth(entry.shortfall) : '-',
+    ]);
+    const totalBalance = plan.wallets.reduce((sum, entry) => sum + entry.balance, 0n);
+    rows.push([
+        `Total (${plan.wallets.length} wallets)`,
+        formatEth(totalBalance),
+        '',
+        `${plan.planned} / ${plan.requested}`,
+        plan.shortfall > 0n ? formatEth(plan.shortfall) : '-',
+    ]);
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+    return [
+        formatRow(header),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.slice(0, -1).map(formatRow),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        formatRow(rows[rows.length - 1]),
+    ].join('\n');
+}
+
+export { fetchBalances, planBudget, formatPlan };
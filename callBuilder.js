@@ -0,0 +1,102 @@
+// callBuilder.js
+import { ethers } from 'ethers';
+
+// Batching wrappers understood by buildBatchCall(). Each entry is the human-readable
+// Multicall/Multicall3 signature and how to turn the inner calls into its arguments.
+const BATCH_WRAPPERS = {
+    aggregate: {
+        signature: 'aggregate((address target, bytes callData)[] calls)',
+        toArgs: (calls) => [calls.map(c => [c.target, c.callData])],
+    },
+    aggregate3: {
+        signature: 'aggregate3((address target, bool allowFailure, bytes callData)[] calls)',
+        toArgs: (calls, { allowFailure }) => [calls.map(c => [c.target, allowFailure, c.callData])],
+    },
+    tryAggregate: {
+        signature: 'tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls)',
+        toArgs: (calls, { allowFailure }) => [!allowFailure, calls.map(c => [c.target, c.callData])],
+    },
+    none: null, // Call the target contract directly, one inner call per transaction
+};
+
+// Return types of the wrappers that report per-call results, for decodeBatchResult()
+const RESULT_TYPES = {
+    aggregate3: ['tuple(bool success, bytes returnData)[]'],
+    tryAggregate: ['tuple(bool success, bytes returnData)[]'],
+};
+
+const interfaceCache = new Map(); // signature -> { iface, fragment }
+
+function getFragment(signature) {
+    if (!interfaceCache.has(signature)) {
+        const text = signature.trim().startsWith('function ') ? signature.trim() : `function ${signature.trim()}`;
+        let iface;
+        try {
+            iface = new ethers.Interface([text]);
+        } catch (e) {
+            throw new Error(`Invalid function signature '${signature}': ${e.shortMessage || e.message}`);
+        }
+        let fragment = null;
+        iface.forEachFunction(f => { fragment = f; });
+        interfaceCache.set(signature, { iface, fragment });
+    }
+    return interfaceCache.get(signature);
+}
+
+// Encodes calldata for a human-readable signature such as "mint(address,uint256)".
+function encodeCall(signature, args = []) {
+    const { iface, fragment } = getFragment(signature);
+    if (args.length !== fragment.inputs.length) {
+        throw new Error(`${fragment.format()} expects ${fragment.inputs.length} argument(s), got ${args.length}`);
+    }
+    return iface.encodeFunctionData(fragment, args);
+}
+
+// Inner call calldata from either a human-readable signature plus arguments, or a raw
+// 0x-prefixed calldata/selector for functions whose signature is not known (args must be empty).
+function buildInnerCall(callSpec, args = []) {
+    if (/^0x([0-9a-fA-F]{2})*$/.test(callSpec)) {
+        if (args.length > 0) {
+            throw new Error(`Raw calldata '${callSpec}' cannot be combined with arguments; use a function signature instead`);
+        }
+        return callSpec;
+    }
+    return encodeCall(callSpec, args);
+}
+
+function getSelector(signature) {
+    return getFragment(signature).fragment.selector;
+}
+
+// Builds the { to, data } of one transaction that performs `count` copies of the inner call.
+// wrapper: 'aggregate' | 'aggregate3' | 'tryAggregate' | 'none'
+function buildBatchCall({ wrapper = 'aggregate', batchAddress, target, callData, count = 1, allowFailure = false }) {
+    if (!Object.prototype.hasOwnProperty.call(BATCH_WRAPPERS, wrapper)) {
+        throw new Error(`Unknown batch wrapper '${wrapper}'. Expected one of: ${Object.keys(BATCH_WRAPPERS).join(', ')}`);
+    }
+    if (wrapper === 'none') {
+        return { to: target, data: callData, callsPerTransaction: 1 };
+    }
+
+    const calls = [];
+    for (let i = 0; i < count; i++) {
+        calls.push({ target, callData });
+    }
+    const { signature, toArgs } = BATCH_WRAPPERS[wrapper];
+    return {
+        to: batchAddress,
+        data: encodeCall(signature, toArgs(calls, { allowFailure })),
+        callsPerTransaction: count,
+    };
+}
+
+// Decodes the eth_call return value of a batch. For aggregate3/tryAggregate this is how many inner
+// calls would fail even though the batch as a whole succeeds; other wrappers report nothing.
+function decodeBatchResult(wrapper, returnData) {
+    if (!RESULT_TYPES[wrapper]) return null;
+    const [results] = ethers.AbiCoder.defaultAbiCoder().decode(RESULT_TYPES[wrapper], returnData);
+    const failed = results.filter(r => !r.success);
+    return { total: results.length, failed: failed.length, firstFailureData: failed.length > 0 ? failed[0].returnData : null };
+}
+
+export { BATCH_WRAPPERS, encodeCall, buildInnerCall, getSelector, buildBatchCall, decodeBatchResult };
@@ -0,0 +1,834 @@
+// campaign.js
+// The minting campaign as a library. new Campaign(options) takes the settings of config.js as a plain
+// object (anything left out keeps its default); run() sends the campaign and resolves with a result
+// object. What happens on the way is emitted as events:
+//   plan          { plan, gasLimit, fees, costPerTransaction } - budget plan, before anything is sent
+//   triggered     { condition, waitedMs, blockNumber } - the start trigger fired
+//   submitted     { tx, wallet, nonce, hash, dryRun } - the node accepted a transaction
+//   confirmed     { tx, wallet, nonce, hash, outcome, blockNumber, gasUsed } - mined, outcome 'success' or 'reverted'
+//   failed        { tx, wallet, nonce, hash, reason, error } - given up on after retries (reason: the error
+//                 category, errorClassifier.js), or dropped from the pool without being mined (reason 'dropped')
+//   nonceResynced { wallet, pending, previousNext, next, gaps } - a wallet's nonces were re-read from the chain
+//   progress      { target, sent, failed, inFlight, queued } - after every transaction flow settles, counted
+//                 against the run's target
+//   batchSize     { mintsPerTransaction, previous, reason, gasLimit, blockGasLimit } - batchSizing 'auto' picked
+//                 the size (reason 'calibrated') or cut it (reason 'out-of-gas' or 'gas-limit')
+// mint.js is the command-line wrapper: settings from config.js, the plan and summary on the console,
+// signals mapped to stop().
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+import ProxyManager from './proxyManager.js';
+import { buildInnerCall, buildBatchCall } from './callBuilder.js';
+import { resolveOptions, ConfigError } from './config.js';
+import RunJournal, { collectTransactions, findDroppedTransactions, summarizeJournal } from './runJournal.js';
+import NonceManager from './nonceManager.js';
+import ReceiptTracker from './receiptTracker.js';
+import { runPreflight } from './preflight.js';
+import { fetchBalances, planBudget } from './budgetPlanner.js';
+import { createFeeStrategy, bumpFees, maxPricePerGas, GasLimitEstimator, SpendTracker } from './feeStrategy.js';
+import { createLogger } from './logger.js';
+import { loadWallets, KeyLoadError } from './keyring.js';
+import { classifyError, getRetryPolicy, ERROR_CATEGORIES } from './errorClassifier.js';
+import { registry as metrics, RateWindow } from './metrics.js';
+import { RateLimiter, createRateLimitedRequest } from './rateLimiter.js';
+import RunControl from './control.js';
+import WorkQueue from './workQueue.js';
+import BlockPacer, { subscribeNewHeads } from './blockPacer.js';
+import BatchTuner from './batchTuner.js';
+import StartTrigger, { parseStartTime, buildConditionCall, eventTopic } from './startTrigger.js';
+
+const log = createLogger('mint');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sameFees(a, b) {
+    return a.gasPrice === b.gasPrice && a.maxFeePerGas === b.maxFeePerGas && a.maxPriorityFeePerGas === b.maxPriorityFeePerGas;
+}
+
+// The metrics registry is process-wide, so a later campaign's gauges take over the names of an earlier one's.
+function gauge(name, help, collectFn) {
+    metrics.gauge(name, help, collectFn).collectFn = collectFn;
+}
+
+// Lanes for ProxyManager: one per Oxylabs session, or one per direct connection without a proxy.
+function buildLanes(config) {
+    if (config.transport === 'direct') {
+        return Array.from({ length: config.directConnections }, () => ({ url: null }));
+    }
+    return Array.from({ length: config.proxySessions }, (_, i) => {
+        const sessionId = `scriptsess${Date.now()}${i}`; // Unique session ID
+        // Full username for Oxylabs: customer-CORE_USER-cc-COUNTRY-sessid-SESSIONID
+        const proxyUser = `customer-${config.proxyUsername}-cc-${config.proxyCountryCode}-sessid-${sessionId}`;
+        return { url: `http://${proxyUser}:${config.proxyPassword}@${config.proxyHostPort}` };
+    });
+}
+
+class Campaign extends EventEmitter {
+    // options: settings as in config.js. signers: SignerHandles (keyring.js) to send from instead of
+    // loading walletSource. Throws ConfigError for invalid settings or a mint call that cannot be encoded.
+    constructor({ signers = null, ...options } = {}) {
+        super();
+        const config = resolveOptions(options);
+        this.config = config;
+        this.signers = signers;
+
+        // The default inner call is the raw selector 0x05632f40 of the token's parameterless mint, which
+        // mints to msg.sender; in the multicall context that is the multicall contract (contractAddress).
+        // Any other target function can be given as a signature plus arguments, e.g. "mint(address,uint256)".
+        try {
+            this.innerCallData = buildInnerCall(config.mintCall, config.mintArgs);
+            this.batchCall = this._buildBatchCall(config.mintsPerMulticall);
+        } catch (err) {
+            throw new ConfigError([`could not encode the mint call: ${err.message}`]);
+        }
+        this.mintsPerTransaction = this.batchCall.callsPerTransaction; // 1 without a wrapper
+
+        // A dry run journals to its own file so it never disturbs (or resumes) a real run's journal
+        this.journalPath = config.dryRun ? config.journalPath.replace(/(\.jsonl)?$/, '.dry-run.jsonl') : config.journalPath;
+        this.journal = new RunJournal(this.journalPath);
+
+        // Every request to the RPC provider, sends and reads alike, waits for the global limiter and for the
+        // limiter of the endpoint it goes to; both slow down on 429s and climb back (rateLimiter.js).
+        this.rateLimiter = new RateLimiter({ ratePerSecond: config.rateLimitRps, rampUpMs: config.rateLimitRampUpMs, name: 'global' });
+        this.endpointLimiters = new Map(); // url -> RateLimiter, so reads and sends to the same URL share one
+        this.provider = new ethers.JsonRpcProvider(createRateLimitedRequest(config.rpcUrl, [this._endpointLimiter(config.rpcUrl), this.rateLimiter])); // Reads: nonces, fees, balances, receipts
+
+        // Optional start trigger (startTrigger.js): wall-clock time, block number, view call result and/or event.
+        // Everything up to signed transactions is prepared before it is awaited.
+        const startEventAddress = config.startEventAddress || config.tokenContractAddress;
+        this.startTrigger = new StartTrigger(this.provider, {
+            at: config.startAt !== undefined ? parseStartTime(config.startAt) : null,
+            block: config.startBlock !== undefined ? config.startBlock : null,
+            call: config.startCall !== undefined ? buildConditionCall({ signature: config.startCall, args: config.startCallArgs, target: config.startCallTarget || config.tokenContractAddress, expect: config.startCallExpect }) : null,
+            event: config.startEvent !== undefined ? { address: startEventAddress, topic: eventTopic(config.startEvent), description: `${config.startEvent} from ${startEventAddress}` } : null,
+            pollIntervalMs: config.triggerPollIntervalMs,
+            log: (message) => log.info(message),
+        });
+        this.preparedTransactions = new Map(); // `${address}:${nonce}` -> { signedTransaction, gasLimit, fees }, signed ahead of the trigger
+
+        // Pause/resume/stop and the concurrency limit of the live run; mint.js serves it on controlPort.
+        this.control = new RunControl({ maxConcurrentTasks: config.maxConcurrentTasks, log: (message) => log.warn(message) });
+
+        // Fees come from the configured strategy (fixed legacy price or eth_feeHistory), gas limit from a cached
+        // estimate of the payload, and every transaction reserves its worst-case cost against the spend caps.
+        this.feeStrategy = createFeeStrategy(config, this.provider, (message) => log.warn(message));
+        this.gasLimitEstimator = new GasLimitEstimator(this.provider, {
+            mode: config.gasLimitMode,
+            fallbackGasLimit: config.gasLimit,
+            marginPercent: config.gasLimitMarginPercent,
+            log: (message) => log.info(message),
+        });
+        this.spendTracker = new SpendTracker({
+            maxPerWallet: config.maxSpendPerWalletEth ? ethers.parseEther(config.maxSpendPerWalletEth) : null,
+            maxPerRun: config.maxSpendPerRunEth ? ethers.parseEther(config.maxSpendPerRunEth) : null,
+        });
+        this.maxFeePerGas = config.maxFeeGwei ? ethers.parseUnits(config.maxFeeGwei, 'gwei') : null;
+        this.lastTransactionCost = 0n; // Most recent worst-case cost of one transaction, used to stop dispatching early
+
+        // batchSizing 'auto': the number of mints per transaction is calibrated before sending and cut
+        // when transactions run out of gas or hit the block gas limit (batchTuner.js). sentBatches keeps
+        // the gas limit and size of each sent hash until its receipt says whether it ran out of gas.
+        this.batchTuner = config.batchSizing === 'auto' ? new BatchTuner({
+            provider: this.provider,
+            buildCall: (count) => this._buildBatchCall(count),
+            maxCount: config.maxMintsPerMulticall,
+            blockGasPercent: config.batchBlockGasPercent,
+            marginPercent: config.gasLimitMarginPercent,
+            maxGasLimit: config.gasLimitMode === 'fixed' ? BigInt(config.gasLimit) : null,
+            log: (message) => log.warn(message),
+        }) : null;
+        this.sentBatches = new Map(); // hash -> { gasLimit, count }
+
+        // Receipts are polled in the background so submission never waits on them; each verdict is journaled.
+        this.receiptTracker = new ReceiptTracker(this.provider, {
+            batchSize: config.receiptBatchSize,
+            pollIntervalMs: config.receiptPollIntervalMs,
+            onOutcome: (entry) => this._onOutcome(entry),
+            log: (message) => log.warn(message),
+        });
+
+        // pacing 'blocks': each wallet keeps targetPendingPerWallet transactions pending, refilled as new
+        // heads show them mined (blockPacer.js). A dry run broadcasts nothing, so there is nothing to pace.
+        this.pacer = config.pacing === 'blocks' && !config.dryRun ? new BlockPacer({
+            provider: this.provider,
+            targetPending: config.targetPendingPerWallet,
+            pollIntervalMs: config.pacePollIntervalMs,
+            stallMs: config.paceStallMs,
+            subscribe: config.paceHeadsUrl ? subscribeNewHeads(config.paceHeadsUrl) : null,
+            log: (message) => log.warn(message),
+        }) : null;
+
+        // Nonces are handed out per wallet by the NonceManager so each wallet can have several
+        // transactions in flight; the pending count is only re-read when a nonce error says we are off.
+        this.nonceQueue = { items: [], processing: false, lastCallTime: 0 };
+        this.nonceManager = new NonceManager({
+            fetchNonce: (address) => this._fetchNonceViaQueue(address, 'Resync'),
+            maxInFlight: config.maxInFlightPerWallet,
+            resyncRetries: config.maxTransactionRetries,
+            resyncDelayMs: config.nonceRetryDelayMs,
+            onResync: ({ address, ...resync }) => this.emit('nonceResynced', { wallet: address, ...resync }),
+            log: (message) => log.info(message),
+        });
+
+        // Live metrics, served in Prometheus text format on GET /metrics when metricsPort is set.
+        this.transactionsSent = metrics.counter('mint_transactions_sent_total', 'Transactions accepted by the node, by send mode (single or batch)');
+        this.sendRequests = metrics.counter('mint_send_requests_total', 'Requests to send endpoints carrying transactions, by send mode (single or batch), retries included');
+        this.sendRequestSize = metrics.histogram('mint_send_request_transactions', 'Transactions per send request', [1, 2, 5, 10, 20, 50, 100]);
+        this.transactionsFailed = metrics.counter('mint_transactions_failed_total', 'Transactions given up on, by error category of the last attempt (errorClassifier.js)');
+        this.attemptErrors = metrics.counter('mint_attempt_errors_total', 'Failed submission attempts (including retried ones), by error category');
+        this.submitLatency = metrics.histogram('mint_submit_latency_seconds', 'Time from handing a transaction to ProxyManager until the node accepted it, queueing included');
+        this.sendRate = new RateWindow(10000);
+        gauge('mint_current_tps', 'Transactions sent per second over the last 10s', () => [{ value: this.sendRate.rate() }]);
+        gauge('mint_nonce_resyncs', 'Nonce resyncs against the pending transaction count so far', () => [{ value: this.nonceManager.resyncCount }]);
+        if (this.pacer) {
+            gauge('mint_pace_pending', 'Transactions accepted by the node and not yet mined, over all wallets (pacing blocks)', () => [{ value: this.pacer.totalPending }]);
+            gauge('mint_pace_included_per_block', 'Our transactions included per block, moving average (pacing blocks)', () => [{ value: this.pacer.includedPerBlock }]);
+        }
+
+        this.started = false;
+    }
+
+    // Ends the run early: nothing new is dispatched, in-flight submissions get shutdownTimeoutMs to
+    // finish, and run() resolves with status 'stopped'. Returns false if it was already stopping.
+    stop(reason = 'stopped') {
+        return this.control.stop(reason);
+    }
+
+    _buildBatchCall(count) {
+        return buildBatchCall({
+            wrapper: this.config.batchWrapper,
+            batchAddress: this.config.contractAddress,
+            target: this.config.tokenContractAddress,
+            callData: this.innerCallData,
+            count,
+            allowFailure: this.config.allowFailure,
+        });
+    }
+
+    // Sends batches of `count` calls from now on. Transactions signed ahead of the start trigger carry
+    // the old batch, so they are dropped and signed again when sent.
+    _setBatchSize(count, reason, details = {}) {
+        const previous = this.mintsPerTransaction;
+        this.batchCall = this._buildBatchCall(count);
+        this.mintsPerTransaction = this.batchCall.callsPerTransaction;
+        this.preparedTransactions.clear();
+        const event = { mintsPerTransaction: this.mintsPerTransaction, previous, reason, gasLimit: null, blockGasLimit: null, ...details };
+        this.emit('batchSize', event);
+        return event;
+    }
+
+    // A batch of `count` calls ran out of gas or hit the block gas limit: cut the size (batchTuner.js).
+    // False when it cannot get any smaller, so retrying would fail the same way.
+    _shrinkBatch(count, reason) {
+        const smaller = this.batchTuner.shrink(count);
+        if (smaller === null) return false;
+        if (smaller === this.mintsPerTransaction) return true; // Another transaction already cut it
+        log.warn(`Batch size: ${count} mint(s) per transaction ${reason === 'out-of-gas' ? 'ran out of gas' : 'hit the gas limit'}; sending ${smaller} from now on.`);
+        const event = this._setBatchSize(smaller, reason);
+        this.journal.record('batchSize', { mintsPerTransaction: event.mintsPerTransaction, previous: event.previous, reason });
+        return true;
+    }
+
+    _endpointLimiter(url) {
+        if (!this.endpointLimiters.has(url)) {
+            this.endpointLimiters.set(url, new RateLimiter({ ratePerSecond: this.config.endpointRateLimitRps, rampUpMs: this.config.rateLimitRampUpMs, name: new URL(url).host }));
+        }
+        return this.endpointLimiters.get(url);
+    }
+
+    _onOutcome(entry) {
+        const batch = this.sentBatches.get(entry.hash);
+        if (batch) {
+            this.sentBatches.delete(entry.hash);
+            // Reverts give back unused gas; a transaction that used all of its gas limit ran out of gas
+            if (entry.outcome === 'reverted' && entry.gasUsed !== undefined && BigInt(entry.gasUsed) >= batch.gasLimit) this._shrinkBatch(batch.count, 'out-of-gas');
+        }
+        this.journal.record('outcome', { tx: entry.tx, wallet: entry.wallet, nonce: entry.nonce, hash: entry.hash, outcome: entry.outcome, blockNumber: entry.blockNumber, gasUsed: entry.gasUsed });
+        const event = { tx: entry.tx, wallet: entry.wallet, nonce: entry.nonce, hash: entry.hash };
+        if (entry.outcome === 'success' || entry.outcome === 'reverted') {
+            this.emit('confirmed', { ...event, outcome: entry.outcome, blockNumber: entry.blockNumber, gasUsed: entry.gasUsed });
+        } else if (entry.outcome === 'dropped') {
+            this.emit('failed', { ...event, reason: 'dropped', error: null });
+        }
+    }
+
+    // Nonce reads go through one queue, at least nonceFetchIntervalMs apart.
+    _fetchNonceViaQueue(walletAddress, attemptInfo) {
+        return new Promise((resolve, reject) => {
+            this.nonceQueue.items.push({ walletAddress, resolve, reject, attemptInfo });
+            this._processNonceQueue();
+        });
+    }
+
+    async _processNonceQueue() {
+        const queue = this.nonceQueue;
+        if (queue.processing || queue.items.length === 0) return;
+        queue.processing = true;
+        const { walletAddress, resolve, reject, attemptInfo } = queue.items.shift();
+
+        try {
+            const timeSinceLastCall = Date.now() - queue.lastCallTime;
+            if (timeSinceLastCall < this.config.nonceFetchIntervalMs) {
+                await delay(this.config.nonceFetchIntervalMs - timeSinceLastCall);
+            }
+            log.debug(`Nonce fetch via queue (${attemptInfo}): requesting pending transaction count`, { wallet: walletAddress });
+            const nonce = await this.provider.getTransactionCount(walletAddress, 'pending');
+            queue.lastCallTime = Date.now();
+            log.debug(`Nonce fetch via queue (${attemptInfo}): got nonce from provider`, { wallet: walletAddress, nonce });
+            resolve(nonce);
+        } catch (err) {
+            queue.lastCallTime = Date.now(); // Still update time to maintain interval for next attempt
+            log.warn(`Nonce fetch via queue (${attemptInfo}) failed: ${err.message}`, { wallet: walletAddress });
+            if (err.stack) log.debug(`Nonce fetch stack: ${err.stack}`);
+            reject(err);
+        } finally {
+            queue.processing = false;
+            this._processNonceQueue(); // Next item, if any
+        }
+    }
+
+    // Wallets: given as signers, or plaintext keys from .env, encrypted keystores or a mnemonic (keyring.js).
+    // Keys stay inside keyring.js; everything else, ProxyManager included, only ever holds a SignerHandle.
+    async _loadSigners() {
+        const config = this.config;
+        const signers = this.signers || await loadWallets({
+            source: config.walletSource,
+            keystorePath: config.keystorePath,
+            derivationPath: config.derivationPath,
+            indexes: config.walletIndexes,
+            secretFd: config.secretFd,
+            log: (message) => log.warn(message),
+        });
+        if (signers.length === 0) throw new KeyLoadError('No wallets could be loaded.');
+        log.info(`Loaded ${signers.length} wallet(s) from ${this.signers ? 'the given signers' : config.walletSource === 'env' ? 'WALLET_PRIVATE_KEYS_CSV' : config.walletSource}.`);
+        return signers;
+    }
+
+    // Signs each wallet's first transactions (as many as it may have in flight) at the current fees and gas
+    // limit, so they go out without any further RPC round trip once the start trigger fires. Called again on
+    // every trigger poll; only transactions whose fees or gas limit changed are signed again.
+    async _prepareFirstTransactions(proxyManager, wallets, assignments) {
+        const fees = await this.feeStrategy.getFees();
+        for (const walletInfo of wallets) {
+            const count = Math.min(assignments.get(walletInfo.address) || 0, this.config.maxInFlightPerWallet);
+            if (count === 0) continue;
+            const gasLimit = await this.gasLimitEstimator.getGasLimit({ from: walletInfo.address, to: this.batchCall.to, data: this.batchCall.data });
+            for (let i = 0; i < count; i++) {
+                const nonce = this.nonceManager.peekNext(walletInfo.address) + i;
+                const key = `${walletInfo.address}:${nonce}`;
+                const prepared = this.preparedTransactions.get(key);
+                if (prepared && prepared.gasLimit === gasLimit && sameFees(prepared.fees, fees)) continue;
+                const signedTransaction = await proxyManager.signTransaction(walletInfo.signer, nonce, this.batchCall, { gasLimit, ...fees });
+                this.preparedTransactions.set(key, { signedTransaction, gasLimit, fees });
+            }
+        }
+    }
+
+    // Submits one transaction for a wallet, retrying up to maxTransactionRetries times as the retry policy
+    // of each error's category says (errorClassifier.js). A nonce is held across retries so ordering stays
+    // stable; it is only given back (as a gap) when the flow fails for good.
+    async _sendTransactionFlow(proxyManager, walletInfo, transactionNumber) {
+        const config = this.config;
+        const { nonceManager, journal } = this;
+        const address = walletInfo.address;
+        let nonce = null;
+        let lastError = null;
+        let fees = null;
+        let feeBumps = 0;
+        let reservedCost = 0n; // Worst-case cost reserved against the spend caps for this transaction
+        let lastCategory = null;
+        let avoidProxyId = null; // Lane to stay off for the next attempt after a transport problem
+        let call = null; // The batch this attempt sends; batchSizing 'auto' may change it between attempts
+
+        for (let attempt = 0; attempt < config.maxTransactionRetries; attempt++) {
+            if (nonce === null) nonce = await nonceManager.acquire(address);
+            call = this.batchCall;
+            try {
+                // Signed ahead of the start trigger; fee bumps always sign afresh
+                const prepared = fees === null ? this.preparedTransactions.get(`${address}:${nonce}`) : undefined;
+                if (prepared) this.preparedTransactions.delete(`${address}:${nonce}`);
+                const gasLimit = prepared ? prepared.gasLimit : await this.gasLimitEstimator.getGasLimit({ from: address, to: call.to, data: call.data });
+                if (fees === null) fees = prepared ? prepared.fees : await this.feeStrategy.getFees();
+                const cost = gasLimit * maxPricePerGas(fees);
+                if (cost > reservedCost) {
+                    this.spendTracker.reserve(address, cost - reservedCost);
+                    reservedCost = cost;
+                }
+                this.lastTransactionCost = cost;
+
+                log.debug('Preparing transaction', { tx: transactionNumber, wallet: address, nonce, attempt: attempt + 1 });
+                journal.record('attempt', { tx: transactionNumber, wallet: address, nonce, attempt: attempt + 1, gasLimit: gasLimit.toString(), maxPricePerGas: maxPricePerGas(fees).toString() });
+
+                const txOptions = { gasLimit, ...fees };
+
+                const submitStartedAt = Date.now();
+                const txResult = await proxyManager.submitTransaction(walletInfo.signer, nonce, call, txOptions, { avoidProxyId, signedTransaction: prepared ? prepared.signedTransaction : null });
+                this.submitLatency.observe((Date.now() - submitStartedAt) / 1000);
+                nonceManager.confirm(address, nonce);
+                if (this.pacer) this.pacer.submitted(address, nonce);
+                this.transactionsSent.inc({ mode: txResult.sendMode || 'single' });
+                this.sendRate.mark();
+
+                const txHash = txResult.transactionHash || txResult.hash;
+                log.debug('Transaction sent', { tx: transactionNumber, wallet: address, nonce, hash: txHash });
+                journal.record('sent', { tx: transactionNumber, wallet: address, nonce, hash: txHash, mints: call.callsPerTransaction, status: txResult.status });
+                this.emit('submitted', { tx: transactionNumber, wallet: address, nonce, hash: txHash, dryRun: Boolean(txResult.dryRun) });
+                if (!txResult.dryRun) this.receiptTracker.track({ hash: txHash, wallet: address, nonce, tx: transactionNumber });
+                if (!txResult.dryRun && this.batchTuner) this.sentBatches.set(txHash, { gasLimit, count: call.callsPerTransaction });
+                return { success: true, result: txResult, walletAddress: address, transactionNumber };
+            } catch (err) {
+                lastError = err;
+                lastCategory = classifyError(err);
+                const policy = getRetryPolicy(lastCategory);
+                log.debug(`Attempt failed (${lastCategory}): ${err.message}`, { tx: transactionNumber, wallet: address, nonce, attempt: attempt + 1 });
+                this.attemptErrors.inc({ error_class: lastCategory });
+                journal.record('error', { tx: transactionNumber, wallet: address, nonce, attempt: attempt + 1, category: lastCategory, code: err.code, error: err.message });
+
+                if (lastCategory === ERROR_CATEGORIES.GasLimit && this.batchTuner && this._shrinkBatch(call.callsPerTransaction, 'gas-limit')) {
+                    continue; // The same nonce again, with a smaller batch
+                }
+                if (!policy.retry) {
+                    break; // Retrying cannot help; give the nonce and the reservation back
+                }
+                avoidProxyId = policy.switchTransport ? err.proxyId || null : null;
+
+                if (policy.resyncNonce) {
+                    // The nonce is used on chain (or by a pooled transaction): drop it and resync before taking a new one
+                    log.debug('Nonce error; resyncing from pending count', { tx: transactionNumber, wallet: address, nonce });
+                    nonceManager.discard(address, nonce);
+                    nonce = null;
+                    try {
+                        await nonceManager.resync(address);
+                    } catch (resyncErr) {
+                        log.error(resyncErr.message);
+                        await delay(config.retryDelayMs);
+                    }
+                    continue;
+                }
+                if (policy.bumpFee && feeBumps < config.maxFeeBumps) {
+                    fees = bumpFees(fees, config.feeBumpPercent, this.maxFeePerGas);
+                    feeBumps++;
+                    log.debug(`Underpriced; bumping fees by ${config.feeBumpPercent}% (bump ${feeBumps}/${config.maxFeeBumps}) to ${ethers.formatUnits(maxPricePerGas(fees), 'gwei')} gwei`, { tx: transactionNumber, wallet: address, nonce });
+                    continue;
+                }
+                if (feeBumps === 0) fees = null; // Pick up fresh fees on the next attempt unless we are bumping
+                if ((policy.backoff || policy.bumpFee) && attempt < config.maxTransactionRetries - 1) {
+                    const backoffMs = config.retryDelayMs * 2 ** attempt;
+                    log.debug(`Backing off ${backoffMs}ms after ${lastCategory}`, { tx: transactionNumber, wallet: address });
+                    await delay(backoffMs);
+                }
+            }
+        } // End of retry loop
+
+        if (nonce !== null) nonceManager.release(address, nonce);
+        if (reservedCost > 0n) this.spendTracker.refund(address, reservedCost);
+        const outcome = lastCategory && !getRetryPolicy(lastCategory).retry ? `Gave up (${lastCategory})` : 'All retries failed';
+        const finalErrorMsg = `Tx #${transactionNumber} (Wallet ${address.substring(0,10)}...): ${outcome}. Last error: ${lastError ? lastError.message : 'unknown'}`;
+        this.transactionsFailed.inc({ error_class: lastCategory || 'Unknown' });
+        log.warn(outcome, { tx: transactionNumber, wallet: address, category: lastCategory, error: lastError ? lastError.message : 'unknown' });
+        this.emit('failed', { tx: transactionNumber, wallet: address, nonce, hash: null, reason: lastCategory || 'Unknown', error: lastError ? lastError.message : 'unknown' });
+        const error = new Error(finalErrorMsg);
+        error.category = lastCategory || 'Unknown';
+        throw error;
+    }
+
+    // Runs the campaign once. Resolves with
+    //   { status, reason, successful, failed, wallets, journalPath, summary, plan, preflight }
+    // status is 'completed', 'stopped' (reason: what stop() was given) or 'aborted' (reason: 'preflight',
+    // 'shortfall' or 'no-nonces'; nothing was sent). summary is summarizeJournal() of the whole journal,
+    // resumed sessions included. Rejects with KeyLoadError when no wallet can be loaded.
+    async run() {
+        if (this.started) throw new Error('A Campaign runs once; create a new one for another run.');
+        this.started = true;
+        try {
+            return await this._run();
+        } finally {
+            // Also when the run failed half way: nothing may keep polling or hold the journal open
+            this.startTrigger.cancel();
+            this.receiptTracker.stop();
+            if (this.pacer) this.pacer.stop();
+            this.journal.close();
+            this.provider.destroy();
+        }
+    }
+
+    async _run() {
+        const config = this.config;
+        const { journal, nonceManager, receiptTracker, spendTracker, feeStrategy, gasLimitEstimator, control: runControl } = this;
+        const startTime = Date.now();
+        const result = { status: 'completed', reason: null, successful: 0, failed: 0, wallets: [], journalPath: this.journalPath, summary: null, plan: null, preflight: null };
+        const abort = (reason) => ({ ...result, status: 'aborted', reason });
+
+        const signers = await this._loadSigners();
+        const walletInfos = signers.map(signer => ({ signer, currentNonce: null, address: signer.address }));
+        const lanes = buildLanes(config);
+        log.info(config.transport === 'direct'
+            ? `ProxyManager will be initialized with ${lanes.length} direct connections (no proxy).`
+            : `ProxyManager will be initialized with ${lanes.length} Oxylabs proxy session configurations.`);
+        log.info(`Starting transaction minting process with pipelined nonce management (up to ${config.maxInFlightPerWallet} in flight per wallet)...`);
+
+        // Initialize ProxyManager. The chain ID is read once here so transactions can be signed locally.
+        const { chainId } = await this.provider.getNetwork();
+        const proxyManager = new ProxyManager(lanes, config.rpcEndpoints.length > 0 ? config.rpcEndpoints : [config.rpcUrl], config.confirmationsRequired, {
+            chainId,
+            dryRun: config.dryRun,
+            rpcTimeoutMs: config.rpcTimeoutMs,
+            confirmationPollIntervalMs: config.receiptPollIntervalMs,
+            sendBatchSize: config.sendBatchSize,
+            onSendRequest: ({ mode, transactions }) => {
+                this.sendRequests.inc({ mode });
+                this.sendRequestSize.observe(transactions);
+            },
+            endpointFailureThreshold: config.endpointFailureThreshold,
+            endpointCooldownMs: config.endpointCooldownMs,
+            proxyCooldownMs: config.proxyCooldownMs,
+            proxyMaxCooldownMs: config.proxyMaxCooldownMs,
+            proxyRecoveryTimeoutMs: config.proxyRecoveryTimeoutMs,
+            rateLimiter: this.rateLimiter,
+            getEndpointLimiter: (url) => this._endpointLimiter(url),
+        });
+        try {
+            gauge('mint_endpoint_health_score', 'Health score (0-1) of each send endpoint', () => proxyManager.endpointPool.endpoints.map(e => ({ labels: { endpoint: e.id }, value: e.score })));
+            gauge('mint_proxies_healthy', 'Lanes (proxy sessions or direct connections) currently in rotation', () => [{ value: proxyManager.getHealthyCount() }]);
+            const limiters = [this.rateLimiter, ...this.endpointLimiters.values()];
+            gauge('mint_rate_limit_rps', 'Current request rate allowed by each limited rate limiter (global and per endpoint host)', () => limiters.filter(l => l.isLimited).map(l => ({ labels: { limiter: l.name }, value: l.currentRate() })));
+            gauge('mint_rate_limited_responses', 'Rate-limit answers (429 or JSON-RPC) seen so far, per rate limiter', () => limiters.map(l => ({ labels: { limiter: l.name }, value: l.rateLimitedCount })));
+            gauge('mint_proxy_queue_depth', 'Requests waiting in each proxy queue', () => proxyManager.proxies.map(p => ({ labels: { proxy: p.id }, value: p.requestQueue.length })));
+
+            // Step 1: Fetch initial nonces for all wallets
+            log.info('Fetching initial nonces for all wallets...');
+            for (const walletInfo of walletInfos) {
+                try {
+                    walletInfo.currentNonce = await this.provider.getTransactionCount(walletInfo.address, 'pending');
+                    log.debug('Initial nonce fetched', { wallet: walletInfo.address, nonce: walletInfo.currentNonce });
+                } catch (err) {
+                    log.error(`Failed to fetch initial nonce for wallet ${walletInfo.address}: ${err.message}. This wallet will be skipped if nonce remains null.`);
+                    // walletInfo.currentNonce will remain null, and it will be skipped later
+                }
+            }
+
+            const activeWallets = walletInfos.filter(wi => wi.currentNonce !== null);
+            result.wallets = activeWallets.map(wi => wi.address);
+            if (activeWallets.length === 0) {
+                log.error('No wallets could be initialized with a starting nonce. Halting.');
+                return abort('no-nonces');
+            }
+            activeWallets.forEach(wi => nonceManager.register(wi.address, wi.currentNonce));
+
+            // batchSizing 'auto': the largest batch whose gas limit fits the block gas limit with margin
+            if (this.batchTuner) {
+                try {
+                    const calibration = await this.batchTuner.calibrate(activeWallets[0].address);
+                    log.info(`Batch size: ${calibration.count} mint(s) per transaction (estimated ${calibration.gas} gas, gas limit ${calibration.gasLimit}; at most ${calibration.budget} of the block gas limit ${calibration.blockGasLimit}; ${calibration.estimates.length} estimate(s)).`);
+                    this._setBatchSize(calibration.count, 'calibrated', { gasLimit: calibration.gasLimit, blockGasLimit: calibration.blockGasLimit });
+                } catch (err) {
+                    log.warn(`Batch size: calibration failed (${err.message}); sending ${this.mintsPerTransaction} mint(s) per transaction (mintsPerMulticall).`);
+                    this.batchTuner.use(this.mintsPerTransaction);
+                }
+            }
+            const batchCall = this.batchCall; // As calibrated; runtime cuts apply to transactions sent after them
+
+            // Pre-flight: simulate the exact payload from every wallet before sending anything
+            if (config.skipPreflight) {
+                log.warn('Warning: pre-flight simulation skipped (--skip-preflight).');
+            } else {
+                log.info(`Pre-flight: simulating the payload to ${batchCall.to} from ${activeWallets.length} wallet(s)...`);
+                const preflight = await runPreflight(this.provider, {
+                    call: batchCall,
+                    wrapper: config.batchWrapper,
+                    wallets: activeWallets.map(wi => wi.address),
+                    log: (message) => log.info(message),
+                });
+                if (!preflight.ok) {
+                    log.error(`Pre-flight FAILED for ${preflight.failures.length} of ${preflight.results.length} wallet(s). Nothing was sent.`);
+                    for (const failure of preflight.failures) {
+                        log.error(`  ${failure.address}: ${failure.reason}`);
+                    }
+                    log.error('Check contractAddress, tokenContractAddress, mintCall/mintArgs, batchWrapper and mintsPerMulticall (or pass --skip-preflight).');
+                    return { ...abort('preflight'), preflight };
+                }
+            }
+            log.info(`Successfully fetched initial nonces for ${activeWallets.length} wallets.`);
+
+            // Step 2: Open the run journal. With resume, reconcile what it recorded against on-chain nonces
+            // and only plan the transactions that are still missing.
+            let alreadyCompleted = 0;
+            let globalTransactionCounter = 0; // To ensure unique transaction numbers even with retries
+            if (config.resume) {
+                const previousRecords = RunJournal.read(this.journalPath);
+                if (previousRecords.length === 0) {
+                    log.warn(`Warning: --resume given but journal ${this.journalPath} is empty or missing. Starting a fresh run.`);
+                }
+                const onChainNonces = new Map(walletInfos.map(wi => [wi.address, wi.currentNonce]));
+                const droppedTransactions = findDroppedTransactions(previousRecords, onChainNonces);
+                journal.open();
+                for (const dropped of droppedTransactions) {
+                    log.info(`Resume: Tx #${dropped.tx} (Wallet ${dropped.wallet.substring(0,10)}..., Nonce ${dropped.nonce}, Hash ${dropped.hash.substring(0,10)}...) is not on chain. It will be sent again.`);
+                    journal.record('dropped', { tx: dropped.tx, wallet: dropped.wallet, nonce: dropped.nonce, hash: dropped.hash });
+                }
+                const resumedRecords = RunJournal.read(this.journalPath);
+                for (const entry of collectTransactions(resumedRecords).values()) {
+                    // Sends from the previous session that never got a verdict are checked again
+                    if (entry.sent && !entry.dropped && (entry.outcome === null || entry.outcome === 'pending')) {
+                        receiptTracker.track({ hash: entry.hash, wallet: entry.wallet, nonce: entry.nonce, tx: entry.tx });
+                    }
+                }
+                const previousSummary = summarizeJournal(resumedRecords);
+                alreadyCompleted = previousSummary.broadcast;
+                globalTransactionCounter = previousSummary.lastTx;
+                log.info(`Resume: journal records ${previousSummary.broadcast} sent, ${previousSummary.failed} failed and ${droppedTransactions.length} dropped transaction(s) over ${previousSummary.sessions} previous session(s).`);
+            } else {
+                const archivedPath = RunJournal.archive(this.journalPath);
+                if (archivedPath) log.info(`Previous journal moved to ${archivedPath}. Use --resume to continue a run instead.`);
+                journal.open();
+            }
+            journal.record('run', {
+                totalTransactions: config.totalTransactions,
+                mintsPerTransaction: this.mintsPerTransaction,
+                to: batchCall.to,
+                wallets: activeWallets.map(wi => wi.address),
+                resumed: config.resume,
+            });
+
+            let transactionsToSend = Math.max(0, config.totalTransactions - alreadyCompleted);
+            if (transactionsToSend === 0) {
+                log.info(`All ${config.totalTransactions} targeted transactions are already recorded as sent. Nothing to do.`);
+            }
+
+            // Step 3: Check every wallet's balance against the cost of one transaction at the current fees and
+            // give each wallet only as many transactions as it can pay for (budgetPlanner.js).
+            const assignments = new Map(); // The plan's even split: what each wallet signs ahead of a start trigger
+            const limits = new Map(); // The most each wallet can pay for: its cap in the shared work queue
+            if (transactionsToSend > 0) {
+                const gasLimit = await gasLimitEstimator.getGasLimit({ from: activeWallets[0].address, to: batchCall.to, data: batchCall.data });
+                const fees = await feeStrategy.getFees();
+                const costPerTransaction = (gasLimit * maxPricePerGas(fees) * BigInt(100 + config.budgetMarginPercent)) / 100n;
+                const balances = await fetchBalances(this.provider, activeWallets.map(wi => wi.address));
+                const plan = planBudget({
+                    wallets: activeWallets.map(wi => ({ address: wi.address, balance: balances.get(wi.address) })),
+                    totalTransactions: transactionsToSend,
+                    costPerTransaction,
+                    maxPerWallet: spendTracker.maxPerWallet,
+                });
+                result.plan = plan;
+                this.emit('plan', { plan, gasLimit, fees, costPerTransaction });
+                journal.record('plan', {
+                    costPerTransaction: costPerTransaction.toString(),
+                    requested: plan.requested,
+                    planned: plan.planned,
+                    wallets: plan.wallets.map(entry => ({ wallet: entry.address, balance: entry.balance.toString(), assigned: entry.assigned })),
+                });
+
+                if (plan.planned < transactionsToSend) {
+                    if (plan.planned === 0 || config.onShortfall === 'abort') {
+                        log.error(`The wallets can only pay for ${plan.planned} of ${transactionsToSend} transaction(s); ${ethers.formatEther(plan.shortfall)} ETH is missing in total (see Shortfall above). Nothing was sent.`);
+                        if (plan.planned > 0) log.error('Fund the wallets, lower totalTransactions, or pass --on-shortfall reduce to send only what they can pay for.');
+                        journal.close();
+                        return abort('shortfall');
+                    }
+                    log.warn(`The wallets can only pay for ${plan.planned} of ${transactionsToSend} transaction(s); sending ${plan.planned} (--on-shortfall reduce).`);
+                    transactionsToSend = plan.planned;
+                }
+                plan.wallets.forEach(entry => {
+                    assignments.set(entry.address, entry.assigned);
+                    limits.set(entry.address, entry.affordable);
+                });
+            }
+
+            // Step 4: With a start trigger, sign the first transactions now and wait for it to fire.
+            const startTrigger = this.startTrigger;
+            if (startTrigger.isSet && transactionsToSend > 0 && !runControl.stopRequested) {
+                startTrigger.onPoll = () => this._prepareFirstTransactions(proxyManager, activeWallets, assignments);
+                await this._prepareFirstTransactions(proxyManager, activeWallets, assignments);
+                log.info(`Prepared ${this.preparedTransactions.size} signed transaction(s). Waiting to start ${startTrigger.describe()}...`);
+                const waitStartedAt = Date.now();
+                let fired = null;
+                (async () => { // A stop (signal or control endpoint) ends the wait
+                    while (!runControl.stopRequested && fired === null) await runControl.changed();
+                    startTrigger.cancel();
+                })();
+                fired = await startTrigger.wait();
+                if (fired) {
+                    log.info(`Start trigger fired after ${((fired.firedAt - waitStartedAt) / 1000).toFixed(1)}s${fired.blockNumber !== null ? ` (block ${fired.blockNumber})` : ''}. Sending.`);
+                    const trigger = { condition: startTrigger.describe(), waitedMs: fired.firedAt - waitStartedAt, blockNumber: fired.blockNumber };
+                    journal.record('trigger', trigger);
+                    this.emit('triggered', trigger);
+                } else {
+                    log.warn('Stopped before the start trigger fired. Nothing was sent.');
+                }
+            }
+
+            receiptTracker.start();
+            if (this.pacer) {
+                activeWallets.forEach(wi => this.pacer.register(wi.address, wi.currentNonce));
+                await this.pacer.start();
+                log.info(`Pacing by blocks: up to ${config.targetPendingPerWallet} pending transaction(s) per wallet, heads ${config.paceHeadsUrl ? 'from a newHeads subscription' : `polled every ${config.pacePollIntervalMs}ms`}.`);
+            }
+
+            log.info(`Starting a total of ${transactionsToSend} transactions using ${activeWallets.length} active wallets. Calling ${batchCall.to} (${config.batchWrapper}, ${this.mintsPerTransaction} mint(s) per tx). Data: ${batchCall.data.substring(0, 74)}...`);
+
+            const runningTasks = []; // Stores promises of currently running transaction flows
+            let successfulTransactions = 0;
+            let failedTransactions = 0;
+
+            log.info(`Starting transaction loop with up to ${runControl.maxConcurrentTasks} concurrent tasks`);
+
+            // One shared queue instead of fixed per-wallet quotas (workQueue.js): whichever wallet is free
+            // takes the next transaction, up to what the budget plan says it can pay for. A wallet that
+            // runs out of funds or hits its spend cap hands its transaction back to the others.
+            const walletsByAddress = new Map(activeWallets.map(wi => [wi.address, wi]));
+            const workQueue = new WorkQueue({
+                total: transactionsToSend,
+                wallets: activeWallets.map(wi => ({ address: wi.address, limit: limits.get(wi.address) || 0 })),
+                maxInFlightPerWallet: config.maxInFlightPerWallet,
+            });
+            const progress = () => ({
+                target: transactionsToSend,
+                sent: workQueue.sent,
+                failed: workQueue.failed,
+                inFlight: workQueue.inFlight,
+                queued: workQueue.queued,
+            });
+            runControl.getProgress = progress;
+            const logProgress = () => {
+                const { target, sent, failed, inFlight, queued } = progress();
+                log.info(`--- Sent ${sent}/${target} (${target > 0 ? ((sent / target) * 100).toFixed(1) : '100.0'}%), failed ${failed}, in flight ${inFlight}, queued ${queued}. Elapsed: ${((Date.now() - startTime) / 1000).toFixed(2)}s ---`);
+            };
+            const isReady = address => {
+                if (nonceManager.isResyncing(address)) return false; // Let the other wallets send meanwhile
+                if (this.pacer && !this.pacer.hasRoom(address, workQueue.inFlightOf(address))) return false; // Enough pending until the next head
+                if (spendTracker.canAfford(address, this.lastTransactionCost)) return true;
+                log.warn(`Wallet ${address.substring(0,10)}...: spend cap of ${config.maxSpendPerWalletEth} ETH reached; the other wallets take over its work.`);
+                workQueue.retire(address);
+                return false;
+            };
+
+            while (!workQueue.finished) {
+                // The limit can change mid-run (control endpoint), so wait on it as well as on the tasks
+                while (runningTasks.length >= runControl.maxConcurrentTasks && !runControl.stopRequested) {
+                    try {
+                        await Promise.race([...runningTasks, runControl.changed()]);
+                    } catch (e) {
+                        // A promise in Promise.race might have rejected, this is fine, it means a slot is free.
+                    }
+                }
+                if (!await runControl.waitUntilRunnable()) break;
+
+                if (spendTracker.runCapReached(this.lastTransactionCost)) {
+                    log.warn(`Run spend cap of ${config.maxSpendPerRunEth} ETH reached. Stopping dispatch.`);
+                    break;
+                }
+
+                const address = workQueue.take(isReady);
+                if (address === null) {
+                    const awaitingPacer = this.pacer !== null && (this.pacer.awaitingInclusion() || this.pacer.awaitingHead());
+                    if (runningTasks.length === 0 && !awaitingPacer) break; // No wallet can take the rest (see below)
+                    // Every wallet is busy, resyncing or paced: wait for a flow to settle, which may also hand
+                    // work back, or for the next head to show transactions mined (or the wallets read at all)
+                    await Promise.race([...runningTasks, runControl.changed(), ...(this.pacer ? [this.pacer.changed()] : [])]).catch(() => {});
+                    continue;
+                }
+
+                const walletInfo = walletsByAddress.get(address);
+                const transactionNumber = ++globalTransactionCounter; // Use a global counter for unique tx logging ID
+
+                const taskPromise = this._sendTransactionFlow(proxyManager, walletInfo, transactionNumber)
+                .then(() => {
+                    workQueue.complete(address);
+                    successfulTransactions++;
+                })
+                .catch(err => {
+                    const handBack = getRetryPolicy(err.category).handBack && !runControl.stopRequested;
+                    journal.record('failed', { tx: transactionNumber, wallet: address, error: err.message, ...(handBack ? { handedBack: true } : {}) });
+                    if (handBack) {
+                        log.warn(`Wallet ${address.substring(0,10)}...: ${err.category}; handing its work back to the other wallets.`);
+                        workQueue.giveBack(address);
+                    } else {
+                        workQueue.fail(address);
+                        failedTransactions++;
+                    }
+                })
+                .finally(() => {
+                    const index = runningTasks.indexOf(taskPromise);
+                    if (index > -1) {
+                        runningTasks.splice(index, 1);
+                    }
+                    const { sent, failed } = workQueue;
+                    if ((sent + failed > 0 && (sent + failed) % 100 === 0) || workQueue.finished) logProgress();
+                    this.emit('progress', progress());
+                });
+                runningTasks.push(taskPromise);
+            }
+
+            // Wait for all remaining tasks to complete
+            if (runControl.stopRequested) {
+                log.warn(`Stopped (${runControl.stopReason}) with ${workQueue.sent}/${transactionsToSend} transaction(s) sent. Waiting up to ${(config.shutdownTimeoutMs / 1000).toFixed(0)}s for ${runningTasks.length} active tasks...`);
+                const drained = await Promise.race([Promise.allSettled(runningTasks).then(() => true), delay(config.shutdownTimeoutMs).then(() => false)]);
+                if (!drained) log.warn(`${runningTasks.length} task(s) still in flight after ${config.shutdownTimeoutMs}ms; their nonces may be pending. Run with --resume to reconcile.`);
+            } else {
+                if (runningTasks.length > 0) log.info(`Dispatch ended. Waiting for ${runningTasks.length} active tasks to complete...`);
+                await Promise.allSettled(runningTasks);
+                if (workQueue.queued > 0 && this.pacer && this.pacer.unread > 0) {
+                    log.warn(`${workQueue.queued} of ${transactionsToSend} transaction(s) were not sent: pacing could not read the wallets' nonces from the chain for ${(config.paceStallMs / 1000).toFixed(0)}s${this.pacer.lastError ? ` (${this.pacer.lastError})` : ''}.`);
+                } else if (workQueue.queued > 0 && this.pacer && this.pacer.totalPending > 0) {
+                    log.warn(`${workQueue.queued} of ${transactionsToSend} transaction(s) were not sent: ${this.pacer.totalPending} pending transaction(s) saw no inclusion for ${(config.paceStallMs / 1000).toFixed(0)}s. Check them with unstick.js.`);
+                } else if (workQueue.queued > 0) {
+                    log.warn(`${workQueue.queued} of ${transactionsToSend} transaction(s) were not sent: no wallet was left that could pay for them.`);
+                }
+            }
+
+            // A nonce given back by a failed flow that no later transaction picked up leaves every higher
+            // nonce of that wallet stuck in the pool. Fill each remaining gap with one more transaction
+            // (not after a stop: that is new work, and resume fills gaps from the journal).
+            const gapFills = [];
+            for (const walletInfo of runControl.stopRequested ? [] : activeWallets) {
+                const gaps = nonceManager.getGaps(walletInfo.address);
+                if (gaps.length === 0) continue;
+                log.warn(`Wallet ${walletInfo.address.substring(0,10)}...: ${gaps.length} unfilled nonce gap(s) [${gaps.join(', ')}]. Sending gap-fill transactions...`);
+                for (let k = 0; k < gaps.length; k++) {
+                    const transactionNumber = ++globalTransactionCounter;
+                    gapFills.push(this._sendTransactionFlow(proxyManager, walletInfo, transactionNumber)
+                        .then(() => { successfulTransactions++; })
+                        .catch(err => {
+                            journal.record('failed', { tx: transactionNumber, wallet: walletInfo.address, error: err.message });
+                            failedTransactions++;
+                        }));
+                }
+            }
+            await Promise.allSettled(gapFills);
+            for (const walletInfo of activeWallets) {
+                const gaps = nonceManager.getGaps(walletInfo.address);
+                if (gaps.length > 0) {
+                    log.error(`Wallet ${walletInfo.address.substring(0,10)}...: nonce(s) [${gaps.join(', ')}] are still unfilled; later transactions of this wallet will stay pending.`);
+                }
+            }
+            log.info(`Nonce resyncs during run: ${nonceManager.resyncCount}`);
+            log.info(`Worst-case spend reserved: ${ethers.formatEther(spendTracker.total)} ETH (fee strategy: ${feeStrategy.name}).`);
+
+            if (config.dryRun) {
+                log.info(`DRY RUN complete: ${successfulTransactions} transaction(s) signed and printed above, none broadcast.`);
+            }
+            const receiptTimeoutMs = runControl.stopRequested ? Math.min(config.receiptTimeoutMs, config.shutdownTimeoutMs) : config.receiptTimeoutMs;
+            log.info(`Waiting up to ${(receiptTimeoutMs / 1000).toFixed(0)}s for ${receiptTracker.pending.length} outstanding receipt(s)...`);
+            await receiptTracker.finish(receiptTimeoutMs);
+
+            journal.record('end', { successful: successfulTransactions, failed: failedTransactions, ...(runControl.stopRequested ? { stopped: runControl.stopReason } : {}) });
+            journal.close();
+
+            return {
+                ...result,
+                status: runControl.stopRequested ? 'stopped' : 'completed',
+                reason: runControl.stopRequested ? runControl.stopReason : null,
+                successful: successfulTransactions,
+                failed: failedTransactions,
+                summary: summarizeJournal(RunJournal.read(this.journalPath)),
+            };
+        } finally {
+            proxyManager.destroy();
+        }
+    }
+}
+
+export default Campaign;
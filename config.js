@@ -0,0 +1,452 @@
+// config.js
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { ethers } from 'ethers';
+import { parseEndpoints } from './transport.js';
+import { parseStartTime, buildConditionCall, eventTopic } from './startTrigger.js';
+
+const DEFAULT_CONFIG_PATH = 'mint.config.json';
+
+// Every setting that defines a run. Values are layered, lowest to highest priority:
+// schema default -> config file -> selected profile -> environment (.env) -> command-line flag.
+// The CLI flag for a key is its kebab-case form (totalTransactions -> --total-transactions).
+const CONFIG_SCHEMA = {
+    // --- Chain / contracts ---
+    rpcUrl: { type: 'url', env: 'RPC_URL', required: true },
+    contractAddress: { type: 'address', env: 'CONTRACT_ADDRESS', default: '0xb1f60733c7b76f8f4085af3d9f6e374c43e462f8' }, // The multicall contract address
+    tokenContractAddress: { type: 'address', env: 'TOKEN_CONTRACT_ADDRESS', default: '0xbe43d66327ca5b77e7f14870a94a3058511103d3' }, // The token contract to call mint on
+    recipientAddress: { type: 'address' }, // Expected token recipient; defaults to contractAddress (parameterless mint mints to the multicall)
+    confirmationsRequired: { type: 'integer', min: 0, env: 'CONFIRMATIONS_REQUIRED', default: 0 },
+
+    // --- Call encoding (callBuilder.js) ---
+    mintCall: { type: 'string', default: '0x05632f40' }, // Inner call: a signature like "mint(address,uint256)" or raw 0x calldata
+    mintArgs: { type: 'json', default: [] }, // JSON array of arguments for mintCall
+    batchWrapper: { type: 'enum', values: ['aggregate', 'aggregate3', 'tryAggregate', 'none'], default: 'aggregate' },
+    allowFailure: { type: 'boolean', default: false }, // aggregate3/tryAggregate: let individual inner calls fail
+
+    // --- Wallets (keyring.js) ---
+    walletSource: { type: 'enum', values: ['env', 'keystore', 'mnemonic'], default: 'env' }, // env = WALLET_PRIVATE_KEYS_CSV
+    keystorePath: { type: 'string' }, // keystore: an encrypted JSON keystore file, or a directory of them (one shared password)
+    derivationPath: { type: 'string', default: "m/44'/60'/0'/0" }, // mnemonic: parent path; the index is appended
+    walletIndexes: { type: 'string', default: '0' }, // mnemonic: indexes to derive, e.g. "0-9" or "0,2,5-7"
+    secretFd: { type: 'integer', min: 0 }, // Read the keystore password or mnemonic from this file descriptor instead of prompting
+
+    // --- Campaign ---
+    totalTransactions: { type: 'integer', min: 1, default: 10000 }, // Number of multicall transactions to send
+    mintsPerMulticall: { type: 'integer', min: 1, default: 125 }, // Number of mints to batch in one multicall transaction
+    batchSizing: { type: 'enum', values: ['fixed', 'auto'], default: 'fixed' }, // auto = pick mints per transaction from gas estimates and the block gas limit, and shrink it when transactions run out of gas (batchTuner.js)
+    maxMintsPerMulticall: { type: 'integer', min: 1, default: 1000 }, // auto: largest batch considered
+    batchBlockGasPercent: { type: 'integer', min: 1, max: 100, default: 50 }, // auto: share of the block gas limit one transaction's gas limit may take
+    maxConcurrentTasks: { type: 'integer', min: 1, default: 150 }, // Max concurrent transaction processing flows
+    maxInFlightPerWallet: { type: 'integer', min: 1, default: 4 }, // Transactions a single wallet may have in submission at once (nonceManager.js)
+
+    // --- Pacing (blockPacer.js) ---
+    pacing: { type: 'enum', values: ['concurrency', 'blocks'], default: 'concurrency' }, // concurrency = maxConcurrentTasks and lane timers only; blocks = also keep targetPendingPerWallet pending per wallet, refilled as blocks include them
+    targetPendingPerWallet: { type: 'integer', min: 1, default: 8 }, // blocks: transactions each wallet may have pending (accepted, not yet mined) or in submission
+    paceHeadsUrl: { type: 'url', secret: true }, // blocks: ws(s) endpoint to subscribe to newHeads on; unset = poll eth_blockNumber on rpcUrl
+    pacePollIntervalMs: { type: 'integer', min: 10, default: 200 }, // blocks: how often the head is polled, and the least time between two refreshes of the mined counts
+    paceStallMs: { type: 'integer', min: 1000, default: 30000 }, // blocks: pending transactions that see no inclusion for this long stop holding back the rest of the work
+
+    // --- Start trigger (startTrigger.js); every one that is set must be met before sending ---
+    startAt: { type: 'string' }, // Wall-clock start: ISO 8601 ("2026-10-20T14:00:00Z") or unix seconds
+    startBlock: { type: 'integer', min: 1 }, // Start once block startBlock - 1 is mined, so the first transactions can land in startBlock
+    startCall: { type: 'string' }, // Start when this view call returns startCallExpect, e.g. "mintOpen() returns (bool)"
+    startCallArgs: { type: 'json', default: [] }, // JSON array of arguments for startCall
+    startCallTarget: { type: 'address' }, // Contract for startCall; defaults to tokenContractAddress
+    startCallExpect: { type: 'string' }, // Expected first return value of startCall; unset = any truthy value
+    startEvent: { type: 'string' }, // Start when this event is emitted, e.g. "MintOpened(uint256)"
+    startEventAddress: { type: 'address' }, // Contract that emits startEvent; defaults to tokenContractAddress
+    triggerPollIntervalMs: { type: 'integer', min: 50, default: 1000 }, // How often block, call and event conditions are polled
+
+    // --- Safety ---
+    skipPreflight: { type: 'boolean', default: false }, // Skip the eth_call simulation of the payload from every wallet (preflight.js)
+    dryRun: { type: 'boolean', default: false }, // Plan, schedule and sign everything but never broadcast
+    onShortfall: { type: 'enum', values: ['abort', 'reduce'], default: 'abort' }, // When wallets cannot pay for totalTransactions: refuse to start, or send only what they can pay for (budgetPlanner.js)
+    budgetMarginPercent: { type: 'integer', min: 0, default: 10 }, // Headroom on the per-transaction cost in the balance plan, for fee rises and bumps
+
+    // --- Run journal (runJournal.js) ---
+    journalPath: { type: 'string', default: 'mint-journal.jsonl' }, // Append-only JSONL record of every attempt/hash/outcome
+    resume: { type: 'boolean', default: false }, // Continue the run recorded in journalPath instead of starting over
+
+    // --- Receipt tracking (receiptTracker.js) ---
+    receiptPollIntervalMs: { type: 'integer', min: 50, default: 1000 }, // How often to poll receipts of sent transactions
+    receiptBatchSize: { type: 'integer', min: 1, default: 100 }, // Receipts requested per poll (one JSON-RPC batch)
+    receiptTimeoutMs: { type: 'integer', min: 0, default: 120000 }, // How long to wait for outstanding receipts after the last send
+
+    // --- Fees and gas (feeStrategy.js) ---
+    feeStrategy: { type: 'enum', values: ['legacy', 'eip1559'], default: 'legacy' }, // legacy = fixed gasPriceGwei
+    gasPriceGwei: { type: 'decimal', default: '0.0019' },
+    feeHistoryBlocks: { type: 'integer', min: 1, max: 1024, default: 10 }, // eip1559: blocks of eth_feeHistory to look at
+    feeHistoryPercentile: { type: 'number', min: 0, max: 100, default: 50 }, // eip1559: priority fee reward percentile
+    baseFeeMultiplier: { type: 'number', min: 1, default: 2 }, // eip1559: maxFeePerGas = baseFee * multiplier + priority fee
+    minPriorityFeeGwei: { type: 'decimal', default: '0' },
+    maxFeeGwei: { type: 'decimal' }, // Hard cap on maxFeePerGas, including bumps
+    feeRefreshMs: { type: 'integer', min: 0, default: 2000 }, // eip1559: how long fee estimates are reused
+    feeBumpPercent: { type: 'integer', min: 10, default: 15 }, // Fee increase per retry after "underpriced"
+    maxFeeBumps: { type: 'integer', min: 0, default: 3 }, // Bumps per transaction; 0 disables bumping
+    gasLimitMode: { type: 'enum', values: ['estimate', 'fixed'], default: 'estimate' }, // estimate = cached eth_estimateGas + margin
+    gasLimit: { type: 'integer', min: 21000, default: 5000000 }, // Used as-is in fixed mode, as the fallback in estimate mode
+    gasLimitMarginPercent: { type: 'integer', min: 0, default: 20 },
+    maxSpendPerWalletEth: { type: 'decimal' }, // Stop dispatching for a wallet before its worst-case spend exceeds this
+    maxSpendPerRunEth: { type: 'decimal' }, // Stop dispatching before the run's worst-case spend exceeds this
+
+    // --- Retries ---
+    maxTransactionRetries: { type: 'integer', min: 1, default: 5 },
+    retryDelayMs: { type: 'integer', min: 0, default: 1000 }, // Delay for general retries
+    nonceRetryDelayMs: { type: 'integer', min: 0, default: 500 }, // Shorter delay if only re-fetching nonce
+    nonceFetchIntervalMs: { type: 'integer', min: 0, default: 100 }, // Min interval between direct provider calls for nonce
+
+    // --- Transport ---
+    transport: { type: 'enum', values: ['proxy', 'direct'], env: 'MINT_TRANSPORT', default: 'proxy' }, // direct = no proxies (local and private nodes)
+    directConnections: { type: 'integer', min: 1, default: 8 }, // direct: parallel send lanes, each with its own queue and pacing
+    rpcEndpoints: { type: 'json', default: [], secret: true }, // Send endpoints: ["https://...", "wss://..."] or [{ "url": ..., "weight": 2 }]; empty = rpcUrl
+    rpcTimeoutMs: { type: 'integer', min: 100, default: 15000 }, // Per-request timeout on send endpoints
+    sendBatchSize: { type: 'integer', min: 1, default: 1 }, // Signed transactions per JSON-RPC batch request on each lane; 1 = one request per transaction
+    endpointFailureThreshold: { type: 'integer', min: 1, default: 3 }, // Consecutive transport failures before an endpoint is taken out of rotation
+    endpointCooldownMs: { type: 'integer', min: 0, default: 30000 }, // How long a failing endpoint stays out of rotation
+    rateLimitRps: { type: 'number', min: 0, default: 0 }, // Requests per second over all endpoints, sends and reads together; 0 = no cap (rateLimiter.js)
+    endpointRateLimitRps: { type: 'number', min: 0, default: 0 }, // Requests per second to each endpoint (rpcUrl included); 0 = no cap
+    rateLimitRampUpMs: { type: 'integer', min: 0, default: 30000 }, // After a 429 halves a rate, time to climb back to the configured one
+    proxyCooldownMs: { type: 'integer', min: 100, default: 30000 }, // First cooldown of an unhealthy lane before it is probed; doubles while probes fail
+    proxyMaxCooldownMs: { type: 'integer', min: 100, default: 300000 },
+    proxyRecoveryTimeoutMs: { type: 'integer', min: 0, default: 60000 }, // How long a send waits for a lane to recover when all are unhealthy; 0 fails at once
+
+    // --- Oxylabs proxies ---
+    proxySessions: { type: 'integer', min: 0, default: 150 }, // The number of concurrent proxy sessions
+    proxyHostPort: { type: 'string', default: 'pr.oxylabs.io:7777' }, // Oxylabs backconnect proxy
+    proxyCountryCode: { type: 'string', default: 'US' },
+    proxyUsername: { type: 'string', env: 'OXYLABS_CORE_USERNAME', secret: true },
+    proxyPassword: { type: 'string', env: 'OXYLABS_PASSWORD', secret: true },
+
+    // --- Logging & metrics ---
+    logLevel: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], env: 'LOG_LEVEL', default: 'info' }, // Per-transaction lines are logged at debug
+    logFormat: { type: 'enum', values: ['text', 'json'], env: 'LOG_FORMAT', default: 'text' }, // json = one JSON object per line
+    metricsPort: { type: 'integer', min: 0, max: 65535, default: 0 }, // Serve Prometheus metrics on GET /metrics; 0 disables
+    metricsHost: { type: 'string', default: '127.0.0.1' },
+
+    // --- Reconciliation (reconcile.js) ---
+    reconcileHashes: { type: 'string' }, // File of transaction hashes to check (one per line); default: the sent hashes in journalPath
+    reconcileFromBlock: { type: 'integer', min: 0 }, // Check Transfers to recipientAddress from this block on instead of hashes
+    reconcileToBlock: { type: 'integer', min: 0 }, // Last block of the range; default: latest
+    reconcileWallets: { type: 'json', default: [] }, // Wallet addresses to report on; default: the journal's wallets
+    reportPath: { type: 'string', default: 'mint-report' }, // Writes <reportPath>.json, <reportPath>.csv and <reportPath>.transactions.csv
+
+    // --- Stuck transactions (unstick.js) ---
+    unstickAction: { type: 'enum', values: ['list', 'cancel', 'speed-up'], default: 'list' }, // list only, replace each stuck nonce with a 0-value self-transfer, or re-send its payload, at a higher fee
+    unstickTimeoutMs: { type: 'integer', min: 0, default: 120000 }, // How long to wait for the replaced nonces to be mined
+
+    // --- Run control (control.js) ---
+    shutdownTimeoutMs: { type: 'integer', min: 0, default: 30000 }, // After SIGINT/SIGTERM, how long in-flight submissions (and receipts) may take before the run ends anyway
+    controlPort: { type: 'integer', min: 0, max: 65535, default: 0 }, // Serve the pause/resume/stop/concurrency endpoint; 0 disables
+    controlHost: { type: 'string', default: '127.0.0.1' },
+    controlToken: { type: 'string', env: 'MINT_CONTROL_TOKEN', secret: true }, // When set, control requests need "Authorization: Bearer <token>"
+};
+
+class ConfigError extends Error {
+    constructor(issues) {
+        super(`Invalid configuration:\n  - ${issues.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.issues = issues;
+    }
+}
+
+function toKebabCase(key) {
+    return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// Coerces a raw value (JSON value, env string or CLI string) to the schema type.
+// Returns { value } on success or { error } with a readable reason.
+function coerceValue(spec, raw) {
+    switch (spec.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+            if (!Number.isSafeInteger(value)) return { error: `expected an integer, got ${JSON.stringify(raw)}` };
+            if (spec.min !== undefined && value < spec.min) return { error: `must be >= ${spec.min}, got ${value}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `must be <= ${spec.max}, got ${value}` };
+            return { value };
+        }
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !Number.isFinite(value)) return { error: `expected a number, got ${JSON.stringify(raw)}` };
+            if (spec.min !== undefined && value < spec.min) return { error: `must be >= ${spec.min}, got ${value}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `must be <= ${spec.max}, got ${value}` };
+            return { value };
+        }
+        case 'decimal': {
+            // Kept as a string so it can be handed to ethers.parseUnits without float rounding
+            const value = String(raw).trim();
+            if (!/^\d+(\.\d+)?$/.test(value)) return { error: `expected a non-negative decimal, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const value = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(value)) return { value: true };
+            if (['false', '0', 'no'].includes(value)) return { value: false };
+            return { error: `expected true or false, got ${JSON.stringify(raw)}` };
+        }
+        case 'enum': {
+            const value = String(raw).trim();
+            if (!spec.values.includes(value)) return { error: `expected one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'json': {
+            // Config files give the value as-is; env and CLI give it as a JSON string
+            let value = raw;
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    return { error: `expected JSON, got ${JSON.stringify(raw)}` };
+                }
+            }
+            if (Array.isArray(spec.default) && !Array.isArray(value)) return { error: `expected a JSON array, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'address': {
+            const value = String(raw).trim();
+            if (!ethers.isAddress(value)) return { error: `expected a 0x-prefixed address, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'url': {
+            const value = String(raw).trim();
+            try {
+                new URL(value);
+            } catch (e) {
+                return { error: `expected a URL, got ${JSON.stringify(raw)}` };
+            }
+            return { value };
+        }
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `expected a string, got ${JSON.stringify(raw)}` };
+            return { value: String(raw) };
+        }
+        default:
+            return { error: `unknown schema type '${spec.type}'` };
+    }
+}
+
+function readConfigFile(filePath, explicit) {
+    if (!fs.existsSync(filePath)) {
+        if (explicit) throw new ConfigError([`config file not found: ${filePath}`]);
+        return {};
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new ConfigError([`could not parse ${filePath}: ${e.message}`]);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError([`${filePath} must contain a JSON object`]);
+    }
+    return parsed;
+}
+
+function parseCliArgs(argv) {
+    const options = {
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+    };
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        options[toKebabCase(key)] = { type: spec.type === 'boolean' ? 'boolean' : 'string' };
+    }
+    try {
+        return parseArgs({ args: argv, options, strict: true, allowPositionals: false }).values;
+    } catch (e) {
+        throw new ConfigError([e.message]);
+    }
+}
+
+// Applies one layer of raw values on top of `target`, collecting validation issues.
+function applyLayer(target, sources, layer, rawValues, issues) {
+    for (const [key, raw] of Object.entries(rawValues)) {
+        if (raw === undefined) continue;
+        const spec = CONFIG_SCHEMA[key];
+        if (!spec) {
+            issues.push(`${layer}: unknown setting '${key}'`);
+            continue;
+        }
+        const { value, error } = coerceValue(spec, raw);
+        if (error) {
+            issues.push(`${layer}: ${key} ${error}`);
+            continue;
+        }
+        target[key] = value;
+        sources[key] = layer;
+    }
+}
+
+// Builds the run configuration from defaults, config file, profile, environment and CLI flags.
+// Throws ConfigError listing every problem found.
+// forSending: false for commands that need no proxy credentials: reconcile.js only reads the chain, and unstick.js
+// sends its few replacements straight to rpcUrl.
+function loadConfig({ argv = process.argv.slice(2), env = process.env, forSending = true } = {}) {
+    const cli = parseCliArgs(argv);
+    const issues = [];
+    const config = {};
+    const sources = {};
+
+    const defaults = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.default !== undefined) defaults[key] = spec.default;
+    }
+    applyLayer(config, sources, 'default', defaults, issues);
+
+    const configPath = path.resolve(cli.config || env.MINT_CONFIG || DEFAULT_CONFIG_PATH);
+    const fileConfig = readConfigFile(configPath, Boolean(cli.config || env.MINT_CONFIG));
+    const { profiles = {}, ...baseFileValues } = fileConfig;
+    applyLayer(config, sources, path.basename(configPath), baseFileValues, issues);
+
+    const profileName = cli.profile || env.MINT_PROFILE;
+    if (profileName) {
+        const profile = profiles[profileName];
+        if (!profile || typeof profile !== 'object') {
+            const known = Object.keys(profiles);
+            issues.push(`profile '${profileName}' not found in ${path.basename(configPath)}${known.length ? ` (available: ${known.join(', ')})` : ''}`);
+        } else {
+            applyLayer(config, sources, `profile '${profileName}'`, profile, issues);
+        }
+    }
+
+    const envValues = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') envValues[key] = env[spec.env];
+    }
+    applyLayer(config, sources, 'environment', envValues, issues);
+
+    const cliValues = {};
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+        cliValues[key] = cli[toKebabCase(key)];
+    }
+    applyLayer(config, sources, 'command line', cliValues, issues);
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.required && config[key] === undefined) {
+            issues.push(`${key} is required (set it in ${path.basename(configPath)}${spec.env ? `, ${spec.env} in .env` : ''} or --${toKebabCase(key)})`);
+        }
+    }
+    checkConfig(config, sources, issues, { forSending });
+    if (issues.length > 0) throw new ConfigError(issues);
+
+    return { config, sources, profile: profileName || null, configPath, help: Boolean(cli.help) };
+}
+
+// The same settings given as a plain object (campaign.js), on top of the defaults only: no config
+// file, environment or flags. Returns the complete settings or throws ConfigError.
+function resolveOptions(options = {}, { forSending = true } = {}) {
+    const issues = [];
+    const config = {};
+    const sources = {};
+    const defaults = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.default !== undefined) defaults[key] = spec.default;
+    }
+    applyLayer(config, sources, 'default', defaults, issues);
+    applyLayer(config, sources, 'options', options, issues);
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.required && config[key] === undefined) issues.push(`${key} is required`);
+    }
+    checkConfig(config, sources, issues, { forSending });
+    if (issues.length > 0) throw new ConfigError(issues);
+    return config;
+}
+
+// Checks that span several settings, after all layers are applied. Fills in derived defaults.
+function checkConfig(config, sources, issues, { forSending }) {
+    if (config.recipientAddress === undefined && config.contractAddress !== undefined) {
+        config.recipientAddress = config.contractAddress;
+        sources.recipientAddress = sources.contractAddress;
+    }
+    if (forSending && config.transport === 'proxy') {
+        if (config.proxySessions === 0) {
+            issues.push("proxySessions must be > 0 with transport 'proxy' (use --transport direct to send without proxies)");
+        } else if (!config.proxyUsername || !config.proxyPassword) {
+            issues.push("proxyUsername/proxyPassword (OXYLABS_CORE_USERNAME/OXYLABS_PASSWORD in .env) are required with transport 'proxy'");
+        }
+    }
+    if (!Array.isArray(config.rpcEndpoints)) {
+        issues.push('rpcEndpoints must be a JSON array of URLs or { "url", "weight" } objects');
+    } else if (config.rpcEndpoints.length > 0) {
+        try {
+            parseEndpoints(config.rpcEndpoints);
+        } catch (e) {
+            issues.push(`rpcEndpoints: ${e.message}`);
+        }
+    }
+
+    if (config.batchSizing === 'auto' && config.batchWrapper === 'none') {
+        issues.push("batchSizing 'auto' needs a batchWrapper: with 'none' every transaction carries a single call");
+    }
+    if (config.paceHeadsUrl !== undefined && !/^wss?:\/\//i.test(config.paceHeadsUrl)) {
+        issues.push('paceHeadsUrl must be a ws:// or wss:// URL (newHeads needs a subscription)');
+    }
+
+    if (config.walletSource === 'keystore' && !config.keystorePath) {
+        issues.push("keystorePath is required with walletSource 'keystore'");
+    }
+    if (config.walletSource === 'mnemonic' && !/^\s*\d+(-\d+)?(\s*,\s*\d+(-\d+)?)*\s*$/.test(config.walletIndexes)) {
+        issues.push(`walletIndexes must look like "0-9" or "0,2,5-7", got ${JSON.stringify(config.walletIndexes)}`);
+    }
+
+    if (config.startAt !== undefined) {
+        try {
+            parseStartTime(config.startAt);
+        } catch (e) {
+            issues.push(`startAt: ${e.message}`);
+        }
+    }
+    if (config.startCall !== undefined) {
+        try {
+            if (!Array.isArray(config.startCallArgs)) throw new Error('startCallArgs must be a JSON array');
+            buildConditionCall({ signature: config.startCall, args: config.startCallArgs, target: config.startCallTarget || config.tokenContractAddress, expect: config.startCallExpect });
+        } catch (e) {
+            issues.push(`startCall: ${e.shortMessage || e.message}`);
+        }
+    }
+    if (config.startEvent !== undefined) {
+        try {
+            eventTopic(config.startEvent);
+        } catch (e) {
+            issues.push(`startEvent: ${e.message}`);
+        }
+    }
+
+    if (!Array.isArray(config.reconcileWallets) || !config.reconcileWallets.every(a => typeof a === 'string' && ethers.isAddress(a))) {
+        issues.push('reconcileWallets must be a JSON array of addresses');
+    }
+    if (config.reconcileFromBlock !== undefined && config.reconcileToBlock !== undefined && config.reconcileToBlock < config.reconcileFromBlock) {
+        issues.push(`reconcileToBlock (${config.reconcileToBlock}) is before reconcileFromBlock (${config.reconcileFromBlock})`);
+    }
+
+    if (config.dryRun && config.resume) {
+        issues.push('dryRun cannot be combined with resume');
+    }
+}
+
+// One line per setting with the layer it came from; secrets are masked.
+function describeConfig({ config, sources }) {
+    return Object.keys(CONFIG_SCHEMA).filter(key => config[key] !== undefined).map(key => {
+        const value = CONFIG_SCHEMA[key].secret ? '********' : (typeof config[key] === 'object' ? JSON.stringify(config[key]) : config[key]);
+        return `  ${key} = ${value} (${sources[key]})`;
+    }).join('\n');
+}
+
+function usage(command = 'mint.js') {
+    const lines = [
+        `Usage: node ${command} [--config <file>] [--profile <name>] [--<setting> <value> ...]`,
+        '',
+        `Settings (also readable from ${DEFAULT_CONFIG_PATH} and its "profiles"):`,
+    ];
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const defaultText = spec.default !== undefined ? ` (default: ${JSON.stringify(spec.default)})` : '';
+        const envText = spec.env ? ` [env: ${spec.env}]` : '';
+        const typeText = spec.type === 'enum' ? spec.values.join('|') : spec.type;
+        lines.push(`  --${toKebabCase(key)} <${typeText}>${defaultText}${envText}`);
+    }
+    return lines.join('\n');
+}
+
+export { CONFIG_SCHEMA, ConfigError, loadConfig, resolveOptions, describeConfig, usage };
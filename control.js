@@ -0,0 +1,154 @@
+// control.js
+import http from 'http';
+import crypto from 'crypto';
+
+const MAX_BODY_BYTES = 4096;
+
+// State of a live run, shared by the dispatch loop, the signal handlers and the control endpoint:
+//   running  - transactions are dispatched up to maxConcurrentTasks at a time
+//   paused   - no new transaction is dispatched; in-flight ones carry on
+//   stopping - dispatch has ended for good; the run drains and prints its summary
+// The dispatch loop asks waitUntilRunnable() before each transaction and waits on changed() while
+// it is at the concurrency limit, so a resume or a raised limit takes effect at once.
+class RunControl {
+    constructor({ maxConcurrentTasks, log = () => {} }) {
+        this.state = 'running';
+        this.maxConcurrentTasks = maxConcurrentTasks;
+        this.stopReason = null;
+        this.log = log;
+        this.getProgress = () => ({}); // Extra fields for status(), set by the run once it has counters
+        this.change = null; // { promise, resolve } shared by everyone waiting for the next change
+    }
+
+    get stopRequested() {
+        return this.state === 'stopping';
+    }
+
+    // Resolves on the next pause, resume, stop or concurrency change.
+    changed() {
+        if (!this.change) {
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            this.change = { promise, resolve };
+        }
+        return this.change.promise;
+    }
+
+    _notify() {
+        const change = this.change;
+        this.change = null;
+        if (change) change.resolve();
+    }
+
+    // Resolves true when a new transaction may be dispatched, false once the run is stopping.
+    async waitUntilRunnable() {
+        while (this.state === 'paused') await this.changed();
+        return this.state === 'running';
+    }
+
+    pause() {
+        if (this.state !== 'running') return false;
+        this.state = 'paused';
+        this.log('Paused: no new transactions will be dispatched until resumed.');
+        this._notify();
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.state = 'running';
+        this.log('Resumed.');
+        this._notify();
+        return true;
+    }
+
+    stop(reason = 'stop requested') {
+        if (this.state === 'stopping') return false;
+        this.state = 'stopping';
+        this.stopReason = reason;
+        this._notify();
+        return true;
+    }
+
+    setMaxConcurrentTasks(value) {
+        if (!Number.isSafeInteger(value) || value < 1) {
+            throw new RangeError(`maxConcurrentTasks must be an integer >= 1, got ${JSON.stringify(value)}`);
+        }
+        const previous = this.maxConcurrentTasks;
+        this.maxConcurrentTasks = value;
+        this.log(`Concurrency limit changed from ${previous} to ${value}.`);
+        this._notify();
+    }
+
+    status() {
+        return { state: this.state, maxConcurrentTasks: this.maxConcurrentTasks, stopReason: this.stopReason, ...this.getProgress() };
+    }
+
+    // Serves the control endpoint on host:port. Resolves with the http.Server once listening.
+    //   GET  /status        - state, concurrency limit and progress
+    //   POST /pause         - stop dispatching new transactions
+    //   POST /resume        - dispatch again
+    //   POST /stop          - end the run as SIGINT does
+    //   POST /concurrency   - body {"maxConcurrentTasks": N}
+    // With a token, every request needs "Authorization: Bearer <token>".
+    listen(port, host = '127.0.0.1', { token } = {}) {
+        const server = http.createServer((req, res) => {
+            const reply = (statusCode, body) => {
+                res.writeHead(statusCode, { 'content-type': 'application/json' });
+                res.end(JSON.stringify(body));
+            };
+            if (token && !isAuthorized(req.headers.authorization, token)) return reply(401, { error: 'unauthorized' });
+
+            const route = `${req.method} ${req.url.split('?')[0]}`;
+            readBody(req).then(body => {
+                switch (route) {
+                    case 'GET /status':
+                        return reply(200, this.status());
+                    case 'POST /pause':
+                    case 'POST /resume':
+                    case 'POST /stop': {
+                        const action = route.slice('POST /'.length);
+                        const changed = action === 'stop' ? this.stop('control endpoint') : this[action]();
+                        return reply(changed ? 200 : 409, changed ? this.status() : { error: `cannot ${action} while ${this.state}`, ...this.status() });
+                    }
+                    case 'POST /concurrency': {
+                        try {
+                            this.setMaxConcurrentTasks(JSON.parse(body).maxConcurrentTasks);
+                        } catch (e) {
+                            return reply(400, { error: e instanceof RangeError ? e.message : 'expected a JSON body like {"maxConcurrentTasks": 50}' });
+                        }
+                        return reply(200, this.status());
+                    }
+                    default:
+                        return reply(404, { error: 'not found' });
+                }
+            }, () => reply(413, { error: 'request body too large' }));
+        });
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(server));
+        });
+    }
+}
+
+function isAuthorized(header, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(header || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('body too large'));
+                body = '';
+            }
+        });
+        req.on('end', () => resolve(body));
+    });
+}
+
+export default RunControl;
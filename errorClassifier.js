@@ -0,0 +1,111 @@
+// errorClassifier.js
+import { isTransportError, isAlreadyKnownError } from './transport.js';
+
+// What went wrong with a submission, independent of which node or library reported it.
+const ERROR_CATEGORIES = {
+    NonceTooLow: 'NonceTooLow', // The nonce is already used on chain
+    NonceTooHigh: 'NonceTooHigh', // The node will not queue a nonce this far ahead of the account
+    ReplacementUnderpriced: 'ReplacementUnderpriced', // Another transaction already sits in the pool at this nonce
+    AlreadyKnown: 'AlreadyKnown', // The node already has this exact signed transaction
+    Underpriced: 'Underpriced', // Fees below the pool minimum or the block base fee
+    PoolFull: 'PoolFull',
+    InsufficientFunds: 'InsufficientFunds',
+    GasLimit: 'GasLimit', // Gas limit too low for the payload or above the block gas limit
+    Revert: 'Revert',
+    RateLimited: 'RateLimited',
+    Transport: 'Transport', // The request or its answer never made it (connection, timeout, 5xx)
+    SpendCap: 'SpendCap', // Refused locally by SpendTracker
+    Unknown: 'Unknown',
+};
+
+// What sendTransactionFlow does for each category:
+//   retry           - try this transaction again at all
+//   resyncNonce     - drop the nonce and re-read the pending count before taking a new one
+//   bumpFee         - raise fees by feeBumpPercent (up to maxFeeBumps) and resend the same nonce
+//   backoff         - wait retryDelayMs * 2^attempt before the next attempt
+//   switchTransport - send the next attempt through a different lane
+//   handBack        - once given up on, put the transaction back in the work queue for the other
+//                     wallets and give this wallet no more work
+const RETRY_POLICY = {
+    NonceTooLow: { retry: true, resyncNonce: true },
+    NonceTooHigh: { retry: true, backoff: true }, // Lower nonces are still landing; the gap closes by itself
+    ReplacementUnderpriced: { retry: true, resyncNonce: true },
+    AlreadyKnown: { retry: false }, // ProxyManager already reports these as sent
+    Underpriced: { retry: true, bumpFee: true },
+    PoolFull: { retry: true, backoff: true },
+    InsufficientFunds: { retry: false, handBack: true }, // Retrying cannot add funds; another wallet may have them
+    GasLimit: { retry: false }, // Payload or gasLimit setting problem; every retry would fail the same way (batchSizing 'auto' retries with a smaller batch instead)
+    Revert: { retry: false },
+    RateLimited: { retry: true, backoff: true, switchTransport: true },
+    Transport: { retry: true, switchTransport: true },
+    SpendCap: { retry: false, handBack: true },
+    Unknown: { retry: true, backoff: true },
+};
+
+// Node messages, most specific first. Covers geth, reth (and reth-based nodes such as MegaETH's), anvil,
+// erigon and nethermind wordings. Matched against the JSON-RPC error message, never against the
+// whole ethers message, which embeds the signed transaction hex.
+const MESSAGE_PATTERNS = [
+    [ERROR_CATEGORIES.ReplacementUnderpriced, /replacement (transaction|fee) underpriced|replacement fee too low|could not replace existing tx/],
+    [ERROR_CATEGORIES.NonceTooLow, /nonce too low|nonce has already been used|oldnonce|nonce is too low|tx nonce is lower/],
+    [ERROR_CATEGORIES.NonceTooHigh, /nonce too high|nonce gap|futurenonce|nonce is too high|exceeds the nonce/],
+    [ERROR_CATEGORIES.Underpriced, /underpriced|fee too low|less than block base fee|feecap|fee cap|gas price too low|tip too low|max fee per gas less than/],
+    [ERROR_CATEGORIES.PoolFull, /txpool is full|transaction pool is full|pool is full|txpool full|too many pending transactions|pool limit/],
+    [ERROR_CATEGORIES.InsufficientFunds, /insufficient funds|insufficient balance|not enough funds|lack of funds/],
+    [ERROR_CATEGORIES.GasLimit, /exceeds block gas limit|gas limit exceeded|intrinsic gas too low|gas limit reached|gas required exceeds allowance|out of gas/],
+    // "limit exceeded" only where no gas is involved: "block gas limit exceeded" is GasLimit above
+    [ERROR_CATEGORIES.RateLimited, /rate limit|ratelimit|too many requests|request limit|(?<!gas )limit exceeded|capacity exceeded|compute units/],
+    // The contract reverted, not anything else that was "reverted" (a reorg, a snapshot)
+    [ERROR_CATEGORIES.Revert, /execution reverted|transaction reverted|vm exception while processing transaction: revert|^reverted\b/],
+];
+
+// ethers v6 error codes (set from the same node messages, or by the library itself).
+const ETHERS_CODES = {
+    NONCE_EXPIRED: ERROR_CATEGORIES.NonceTooLow,
+    REPLACEMENT_UNDERPRICED: ERROR_CATEGORIES.ReplacementUnderpriced,
+    INSUFFICIENT_FUNDS: ERROR_CATEGORIES.InsufficientFunds,
+    CALL_EXCEPTION: ERROR_CATEGORIES.Revert,
+    SPEND_CAP_EXCEEDED: ERROR_CATEGORIES.SpendCap,
+};
+
+// JSON-RPC error codes with one meaning across nodes (EIP-1474 and the execution-apis spec).
+// -32000/-32003/-32010 are catch-alls that depend on the message.
+const JSON_RPC_CODES = {
+    3: ERROR_CATEGORIES.Revert,
+    [-32005]: ERROR_CATEGORIES.RateLimited,
+};
+
+// The JSON-RPC error object inside whatever was thrown: ethers keeps it in info.error or error,
+// a raw response error is the object itself.
+function getRpcError(err) {
+    if (!err || typeof err !== 'object') return null;
+    if (err.info && err.info.error && typeof err.info.error === 'object') return err.info.error;
+    if (err.error && typeof err.error === 'object' && 'message' in err.error) return err.error;
+    if (typeof err.code === 'number' && typeof err.message === 'string') return err;
+    return null;
+}
+
+function classifyError(err) {
+    if (!err) return ERROR_CATEGORIES.Unknown;
+    if (err.code === 'SPEND_CAP_EXCEEDED') return ERROR_CATEGORIES.SpendCap;
+
+    const rpcError = getRpcError(err);
+    const message = (rpcError ? rpcError.message : (err.shortMessage || err.message || '')).toLowerCase();
+    if (isAlreadyKnownError({ message })) return ERROR_CATEGORIES.AlreadyKnown;
+    for (const [category, pattern] of MESSAGE_PATTERNS) {
+        if (pattern.test(message)) return category;
+    }
+
+    if (ETHERS_CODES[err.code]) return ETHERS_CODES[err.code];
+    if (rpcError && JSON_RPC_CODES[rpcError.code]) return JSON_RPC_CODES[rpcError.code];
+    const status = err.response && err.response.statusCode;
+    if (status === 429) return ERROR_CATEGORIES.RateLimited;
+    if (isTransportError(err)) return ERROR_CATEGORIES.Transport;
+    return ERROR_CATEGORIES.Unknown;
+}
+
+function getRetryPolicy(category) {
+    return RETRY_POLICY[category] || RETRY_POLICY.Unknown;
+}
+
+export { ERROR_CATEGORIES, RETRY_POLICY, classifyError, getRetryPolicy, getRpcError };
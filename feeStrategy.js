@@ -0,0 +1,200 @@
+// feeStrategy.js
+import { ethers } from 'ethers';
+
+// Legacy transactions at one fixed gas price (the original behaviour).
+class FixedGasPriceStrategy {
+    constructor({ gasPriceGwei }) {
+        this.name = 'legacy';
+        this.gasPrice = ethers.parseUnits(gasPriceGwei, 'gwei');
+    }
+
+    async getFees() {
+        return { gasPrice: this.gasPrice };
+    }
+}
+
+// EIP-1559 fees from eth_feeHistory: the next block's base fee times a multiplier (headroom for
+// base fee increases while the transaction waits) plus the median priority fee paid at the
+// configured reward percentile over the last `blocks` blocks. Results are cached for refreshMs.
+class FeeHistoryStrategy {
+    constructor(provider, { blocks = 10, percentile = 50, baseFeeMultiplier = 2, minPriorityFeeGwei = '0', maxFeeGwei = null, refreshMs = 2000, log = () => {} }) {
+        this.name = 'eip1559';
+        this.provider = provider;
+        this.blocks = blocks;
+        this.percentile = percentile;
+        this.baseFeeMultiplierBps = BigInt(Math.round(baseFeeMultiplier * 10000));
+        this.minPriorityFee = ethers.parseUnits(minPriorityFeeGwei, 'gwei');
+        this.maxFee = maxFeeGwei ? ethers.parseUnits(maxFeeGwei, 'gwei') : null;
+        this.refreshMs = refreshMs;
+        this.log = log;
+        this.cached = null;
+        this.cachedAt = 0;
+        this.refreshing = null;
+    }
+
+    async _fetch() {
+        const history = await this.provider.send('eth_feeHistory', [ethers.toQuantity(this.blocks), 'latest', [this.percentile]]);
+        const baseFees = (history.baseFeePerGas || []).map(v => BigInt(v));
+        if (baseFees.length === 0) {
+            throw new Error('eth_feeHistory returned no baseFeePerGas (is this an EIP-1559 chain?)');
+        }
+        const nextBaseFee = baseFees[baseFees.length - 1]; // Last entry is the block after 'latest'
+
+        const rewards = (history.reward || []).map(r => BigInt(r[0])).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        let priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+        if (priorityFee < this.minPriorityFee) priorityFee = this.minPriorityFee;
+
+        let maxFeePerGas = (nextBaseFee * this.baseFeeMultiplierBps) / 10000n + priorityFee;
+        if (this.maxFee !== null && maxFeePerGas > this.maxFee) {
+            this.log(`Fee strategy: computed maxFeePerGas ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei capped at ${ethers.formatUnits(this.maxFee, 'gwei')} gwei.`);
+            maxFeePerGas = this.maxFee;
+        }
+        if (priorityFee > maxFeePerGas) priorityFee = maxFeePerGas;
+        return { maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+    }
+
+    async getFees() {
+        if (this.cached && Date.now() - this.cachedAt < this.refreshMs) {
+            return { ...this.cached };
+        }
+        // Concurrent callers share one eth_feeHistory request
+        if (!this.refreshing) {
+            this.refreshing = this._fetch()
+                .then(fees => {
+                    this.cached = fees;
+                    this.cachedAt = Date.now();
+                    return fees;
+                })
+                .catch(err => {
+                    if (!this.cached) throw err;
+                    this.log(`Fee strategy: eth_feeHistory failed (${err.message}); reusing last fees.`);
+                    return this.cached;
+                })
+                .finally(() => { this.refreshing = null; });
+        }
+        return { ...(await this.refreshing) };
+    }
+}
+
+function createFeeStrategy(config, provider, log) {
+    if (config.feeStrategy === 'eip1559') {
+        return new FeeHistoryStrategy(provider, {
+            blocks: config.feeHistoryBlocks,
+            percentile: config.feeHistoryPercentile,
+            baseFeeMultiplier: config.baseFeeMultiplier,
+            minPriorityFeeGwei: config.minPriorityFeeGwei,
+            maxFeeGwei: config.maxFeeGwei,
+            refreshMs: config.feeRefreshMs,
+            log,
+        });
+    }
+    return new FixedGasPriceStrategy({ gasPriceGwei: config.gasPriceGwei });
+}
+
+// Raises every fee field by `percent` (at least +1 wei), never above maxFee when one is given.
+// Nodes require a replacement to pay at least ~10% more, so percent should be >= 10.
+function bumpFees(fees, percent, maxFee = null) {
+    const bump = (value) => {
+        let bumped = (value * BigInt(100 + percent)) / 100n;
+        if (bumped <= value) bumped = value + 1n;
+        return maxFee !== null && bumped > maxFee ? maxFee : bumped;
+    };
+    const bumped = {};
+    if (fees.gasPrice !== undefined) bumped.gasPrice = bump(fees.gasPrice);
+    if (fees.maxFeePerGas !== undefined) bumped.maxFeePerGas = bump(fees.maxFeePerGas);
+    if (fees.maxPriorityFeePerGas !== undefined) {
+        bumped.maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+        if (bumped.maxFeePerGas !== undefined && bumped.maxPriorityFeePerGas > bumped.maxFeePerGas) {
+            bumped.maxPriorityFeePerGas = bumped.maxFeePerGas;
+        }
+    }
+    return bumped;
+}
+
+// Highest price per gas a transaction with these fees can pay.
+function maxPricePerGas(fees) {
+    return fees.maxFeePerGas !== undefined ? fees.maxFeePerGas : fees.gasPrice;
+}
+
+// eth_estimateGas of a call plus a safety margin, cached per (to, data) since every transaction
+// of a run carries the same payload. Falls back to the configured limit if estimation fails.
+class GasLimitEstimator {
+    constructor(provider, { mode = 'estimate', fallbackGasLimit, marginPercent = 20, log = () => {} }) {
+        this.provider = provider;
+        this.mode = mode;
+        this.fallbackGasLimit = BigInt(fallbackGasLimit);
+        this.marginPercent = marginPercent;
+        this.log = log;
+        this.cache = new Map(); // `${to}:${data}` -> Promise<bigint>
+    }
+
+    getGasLimit({ from, to, data }) {
+        if (this.mode === 'fixed') return Promise.resolve(this.fallbackGasLimit);
+        const key = `${to}:${data}`;
+        if (!this.cache.has(key)) {
+            const estimate = this.provider.estimateGas({ from, to, data })
+                .then(estimated => {
+                    const gasLimit = (estimated * BigInt(100 + this.marginPercent)) / 100n;
+                    this.log(`Gas limit: estimated ${estimated}, using ${gasLimit} (+${this.marginPercent}%).`);
+                    return gasLimit;
+                })
+                .catch(err => {
+                    this.log(`Gas limit: eth_estimateGas failed (${err.shortMessage || err.message}); using configured gasLimit ${this.fallbackGasLimit}.`);
+                    this.cache.delete(key); // Try again next time
+                    return this.fallbackGasLimit;
+                });
+            this.cache.set(key, estimate);
+        }
+        return this.cache.get(key);
+    }
+}
+
+class SpendCapError extends Error {
+    constructor(message, scope) {
+        super(message);
+        this.name = 'SpendCapError';
+        this.code = 'SPEND_CAP_EXCEEDED';
+        this.scope = scope; // 'wallet' | 'run'
+    }
+}
+
+// Worst-case spend (gasLimit * max price per gas) reserved per transaction before it is sent,
+// so dispatching stops before a wallet or the whole run could go over budget.
+class SpendTracker {
+    constructor({ maxPerWallet = null, maxPerRun = null }) {
+        this.maxPerWallet = maxPerWallet; // bigint wei or null for no cap
+        this.maxPerRun = maxPerRun;
+        this.perWallet = new Map(); // address -> reserved wei
+        this.total = 0n;
+    }
+
+    canAfford(address, cost) {
+        const walletSpent = this.perWallet.get(address) || 0n;
+        if (this.maxPerWallet !== null && walletSpent + cost > this.maxPerWallet) return false;
+        if (this.maxPerRun !== null && this.total + cost > this.maxPerRun) return false;
+        return true;
+    }
+
+    reserve(address, cost) {
+        const walletSpent = this.perWallet.get(address) || 0n;
+        if (this.maxPerWallet !== null && walletSpent + cost > this.maxPerWallet) {
+            throw new SpendCapError(`Wallet ${address.substring(0,10)}... would exceed its spend cap of ${ethers.formatEther(this.maxPerWallet)} ETH`, 'wallet');
+        }
+        if (this.maxPerRun !== null && this.total + cost > this.maxPerRun) {
+            throw new SpendCapError(`Run would exceed its spend cap of ${ethers.formatEther(this.maxPerRun)} ETH`, 'run');
+        }
+        this.perWallet.set(address, walletSpent + cost);
+        this.total += cost;
+    }
+
+    runCapReached(cost) {
+        return this.maxPerRun !== null && this.total + cost > this.maxPerRun;
+    }
+
+    refund(address, cost) {
+        this.perWallet.set(address, (this.perWallet.get(address) || 0n) - cost);
+        this.total -= cost;
+    }
+}
+
+export { FixedGasPriceStrategy, FeeHistoryStrategy, createFeeStrategy, bumpFees, maxPricePerGas, GasLimitEstimator, SpendCapError, SpendTracker };
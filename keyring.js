@@ -0,0 +1,194 @@
+// keyring.js
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { ethers } from 'ethers';
+import { registerSecret } from './logger.js';
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0";
+
+class KeyLoadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeyLoadError';
+    }
+}
+
+// The only way the rest of the code reaches a key. A handle exposes the address and can sign, but
+// the wallet behind it lives in a module-private WeakMap: there is no property, JSON or inspect
+// output through which the key could travel into a task, a log line or the journal.
+const wallets = new WeakMap();
+
+class SignerHandle {
+    constructor(wallet) {
+        this.address = wallet.address;
+        wallets.set(this, wallet);
+        Object.freeze(this);
+    }
+
+    signTransaction(transaction) {
+        return wallets.get(this).signTransaction(transaction);
+    }
+
+    toJSON() {
+        return { address: this.address };
+    }
+
+    toString() {
+        return `SignerHandle(${this.address})`;
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return this.toString();
+    }
+}
+
+function createSignerHandle(wallet) {
+    registerSecret(wallet.privateKey);
+    return new SignerHandle(wallet);
+}
+
+// "0-9", "3", "0,2,5-7" -> [0, 1, ...]
+function parseIndexRange(spec) {
+    const indexes = [];
+    for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+        if (!match) throw new KeyLoadError(`Invalid index range '${part}' (expected e.g. "0-9" or "0,2,5-7")`);
+        const from = Number(match[1]);
+        const to = match[2] !== undefined ? Number(match[2]) : from;
+        if (to < from) throw new KeyLoadError(`Invalid index range '${part}': end is before start`);
+        for (let i = from; i <= to; i++) indexes.push(i);
+    }
+    if (indexes.length === 0) throw new KeyLoadError('The index range is empty');
+    return [...new Set(indexes)];
+}
+
+// Reads a secret from an already-open file descriptor (e.g. `3< password.txt`), without the trailing newline.
+function readSecretFromFd(fd) {
+    try {
+        return fs.readFileSync(fd, 'utf8').replace(/\r?\n$/, '');
+    } catch (err) {
+        throw new KeyLoadError(`Could not read the secret from file descriptor ${fd}: ${err.message}`);
+    }
+}
+
+// Asks on the terminal without echoing what is typed.
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new KeyLoadError(`${question.trim()} cannot be prompted for without a terminal; pass it on a file descriptor with --secret-fd`));
+    }
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        rl._writeToOutput = (text) => {
+            if (text.startsWith(question)) process.stderr.write(question);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function getSecret(secretFd, question) {
+    const secret = secretFd !== undefined ? readSecretFromFd(secretFd) : await promptHidden(question);
+    registerSecret(secret); // Unless it is too short to redact safely; it is never printed anyway
+    return secret;
+}
+
+// Plaintext comma-separated keys (WALLET_PRIVATE_KEYS_CSV). Bad entries are reported by position only.
+function loadFromCsv(csv, log) {
+    if (!csv || csv.trim() === '') {
+        throw new KeyLoadError('WALLET_PRIVATE_KEYS_CSV not set or empty in .env file. Please provide a comma-separated list of private keys, or use --wallet-source keystore|mnemonic.');
+    }
+    const entries = csv.split(',').map(key => key.trim()).filter(key => key !== '');
+    entries.forEach(registerSecret); // Before any validation message could include one
+    const handles = [];
+    entries.forEach((key, index) => {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(key)) {
+            log(`Entry #${index + 1} of WALLET_PRIVATE_KEYS_CSV is not a 0x-prefixed 32-byte hex private key. Skipping.`);
+            return;
+        }
+        try {
+            handles.push(createSignerHandle(new ethers.Wallet(key)));
+        } catch (e) {
+            log(`Entry #${index + 1} of WALLET_PRIVATE_KEYS_CSV is not a valid private key. Skipping.`);
+        }
+    });
+    return handles;
+}
+
+// Encrypted JSON keystores (geth/ethers format): one file, or every *.json file in a directory.
+// All files share one password.
+async function loadFromKeystores(keystorePath, secretFd, log) {
+    if (!keystorePath) throw new KeyLoadError('keystorePath is required with walletSource keystore');
+    let files;
+    try {
+        files = fs.statSync(keystorePath).isDirectory()
+            ? fs.readdirSync(keystorePath).filter(f => f.endsWith('.json')).sort().map(f => path.join(keystorePath, f))
+            : [keystorePath];
+    } catch (err) {
+        throw new KeyLoadError(`Cannot read keystore path ${keystorePath}: ${err.message}`);
+    }
+    if (files.length === 0) throw new KeyLoadError(`No *.json keystore files found in ${keystorePath}`);
+
+    const password = await getSecret(secretFd, `Password for ${files.length} keystore file(s): `);
+    const handles = [];
+    for (const file of files) {
+        try {
+            // scrypt is deliberately slow; files are decrypted one at a time
+            handles.push(createSignerHandle(await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), password)));
+        } catch (err) {
+            throw new KeyLoadError(`Could not decrypt keystore ${path.basename(file)}: ${err.shortMessage || err.message}`);
+        }
+        log(`Decrypted keystore ${path.basename(file)} (${handles[handles.length - 1].address}).`);
+    }
+    return handles;
+}
+
+// BIP-39 mnemonic from the secret fd, WALLET_MNEMONIC or a prompt; one wallet per index under derivationPath.
+async function loadFromMnemonic({ env, derivationPath = DEFAULT_DERIVATION_PATH, indexes, secretFd }) {
+    let phrase;
+    if (secretFd !== undefined) {
+        phrase = readSecretFromFd(secretFd);
+    } else if (env.WALLET_MNEMONIC) {
+        phrase = env.WALLET_MNEMONIC;
+    } else {
+        phrase = await promptHidden('Mnemonic: ');
+    }
+    phrase = phrase.trim().replace(/\s+/g, ' ');
+    registerSecret(phrase);
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+        throw new KeyLoadError('The mnemonic is not a valid BIP-39 phrase');
+    }
+    return parseIndexRange(indexes).map(index => createSignerHandle(ethers.HDNodeWallet.fromPhrase(phrase, undefined, `${derivationPath}/${index}`)));
+}
+
+// Returns one SignerHandle per wallet, in a stable order, with duplicates removed.
+async function loadWallets({ source = 'env', env = process.env, keystorePath, derivationPath, indexes = '0', secretFd, log = () => {} }) {
+    let handles;
+    switch (source) {
+        case 'env':
+            handles = loadFromCsv(env.WALLET_PRIVATE_KEYS_CSV, log);
+            break;
+        case 'keystore':
+            handles = await loadFromKeystores(keystorePath, secretFd, log);
+            break;
+        case 'mnemonic':
+            handles = await loadFromMnemonic({ env, derivationPath, indexes, secretFd });
+            break;
+        default:
+            throw new KeyLoadError(`Unknown wallet source '${source}'`);
+    }
+    const seen = new Set();
+    return handles.filter(handle => {
+        if (seen.has(handle.address)) {
+            log(`Wallet ${handle.address} is listed more than once. Using it once.`);
+            return false;
+        }
+        seen.add(handle.address);
+        return true;
+    });
+}
+
+export { SignerHandle, KeyLoadError, createSignerHandle, loadWallets, parseIndexRange, DEFAULT_DERIVATION_PATH };
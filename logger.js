@@ -0,0 +1,99 @@
+// logger.js
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+const MIN_SECRET_LENGTH = 8;
+
+// Key material registered by keyring.js. Every log line, and with guardProcessOutput() everything
+// written to stdout/stderr (console.*, crash traces), has these replaced before it leaves the process.
+const secrets = new Set();
+
+// Shared settings for every logger created by createLogger(); changed once at startup by configureLogging().
+const settings = {
+    level: LEVELS.info,
+    format: 'text', // 'text' or 'json' (one JSON object per line)
+    write: (line, level) => (level >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+};
+
+function configureLogging({ level, format, write } = {}) {
+    if (level !== undefined) {
+        if (LEVELS[level] === undefined) throw new Error(`Unknown log level '${level}'. Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+        settings.level = LEVELS[level];
+    }
+    if (format !== undefined) settings.format = format;
+    if (write !== undefined) settings.write = write;
+}
+
+// Registers a secret in the spellings it could be printed in (with/without 0x, either hex case).
+// Values shorter than MIN_SECRET_LENGTH are skipped: replacing "a" or "test" everywhere would mangle
+// unrelated output, and nothing prints the keystore password (the only secret that can be that short).
+function registerSecret(value) {
+    if (typeof value !== 'string') return;
+    const bare = value.startsWith('0x') ? value.slice(2) : value;
+    if (bare.length < MIN_SECRET_LENGTH) return;
+    const variants = /^[0-9a-fA-F]+$/.test(bare)
+        ? [bare, bare.toLowerCase(), bare.toUpperCase()]
+        : [value];
+    variants.forEach(v => secrets.add(v));
+}
+
+function redact(text) {
+    if (secrets.size === 0) return text;
+    let result = text;
+    for (const secret of secrets) {
+        if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+    }
+    return result;
+}
+
+// Routes every write to stdout and stderr through redact(), so nothing printed by any code path
+// (including an uncaught error's message) can carry a registered key. Installed once at startup.
+function guardProcessOutput() {
+    for (const stream of [process.stdout, process.stderr]) {
+        if (stream.__redacting) continue;
+        const write = stream.write.bind(stream);
+        stream.write = (chunk, ...rest) => {
+            if (secrets.size > 0 && (typeof chunk === 'string' || Buffer.isBuffer(chunk))) {
+                chunk = redact(chunk.toString());
+            }
+            return write(chunk, ...rest);
+        };
+        stream.__redacting = true;
+    }
+}
+
+function formatValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'string') return /\s/.test(value) ? JSON.stringify(value) : value;
+    return JSON.stringify(value);
+}
+
+function emit(levelName, component, bindings, message, fields) {
+    const level = LEVELS[levelName];
+    if (level < settings.level) return;
+    const all = { ...bindings, ...fields };
+    const ts = new Date().toISOString();
+    let line;
+    if (settings.format === 'json') {
+        line = JSON.stringify({ ts, level: levelName, component, msg: message, ...all }, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    } else {
+        const extra = Object.entries(all).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}=${formatValue(v)}`).join(' ');
+        line = `[${ts}] ${levelName.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${message}${extra ? ` ${extra}` : ''}`;
+    }
+    settings.write(redact(line), level);
+}
+
+// Leveled logger: log.info('message', { field: value }). Level checks are cheap, so per-transaction
+// debug lines cost nothing when the level is info or above.
+function createLogger(component = '', bindings = {}) {
+    return {
+        debug: (message, fields) => emit('debug', component, bindings, message, fields),
+        info: (message, fields) => emit('info', component, bindings, message, fields),
+        warn: (message, fields) => emit('warn', component, bindings, message, fields),
+        error: (message, fields) => emit('error', component, bindings, message, fields),
+        isDebugEnabled: () => settings.level <= LEVELS.debug,
+        child: (extraBindings) => createLogger(component, { ...bindings, ...extraBindings }),
+    };
+}
+
+export { LEVELS, configureLogging, createLogger, registerSecret, redact, guardProcessOutput };
@@ -0,0 +1,169 @@
+// metrics.js
+import http from 'http';
+
+const DEFAULT_LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.values = new Map(); // labelKey -> { labels, value }
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = this.values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(labelKey(labels));
+        return entry ? entry.value : 0;
+    }
+
+    collect() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+// A gauge is either set directly or computed on scrape by `collectFn` returning [{ labels, value }].
+class Gauge {
+    constructor(name, help, collectFn = null) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collectFn = collectFn;
+        this.values = new Map();
+    }
+
+    set(labels, value) {
+        this.values.set(labelKey(labels), { labels, value });
+    }
+
+    collect() {
+        const samples = this.collectFn ? this.collectFn() : [...this.values.values()];
+        return samples.map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_LATENCY_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.counts = new Array(this.buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.sum += value;
+        this.count++;
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) this.counts[i]++;
+        }
+    }
+
+    collect() {
+        const lines = this.buckets.map((le, i) => `${this.name}_bucket{le="${le}"} ${this.counts[i]}`);
+        lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+        lines.push(`${this.name}_sum ${this.sum}`);
+        lines.push(`${this.name}_count ${this.count}`);
+        return lines;
+    }
+}
+
+// Events per second over a sliding window, for the "current TPS" gauge.
+class RateWindow {
+    constructor(windowMs = 10000) {
+        this.windowMs = windowMs;
+        this.timestamps = [];
+    }
+
+    mark(now = Date.now()) {
+        this.timestamps.push(now);
+        this._trim(now);
+    }
+
+    _trim(now) {
+        const cutoff = now - this.windowMs;
+        let drop = 0;
+        while (drop < this.timestamps.length && this.timestamps[drop] < cutoff) drop++;
+        if (drop > 0) this.timestamps.splice(0, drop);
+    }
+
+    rate(now = Date.now()) {
+        this._trim(now);
+        return this.timestamps.length / (this.windowMs / 1000);
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) return this.metrics.get(metric.name);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this._register(new Counter(name, help));
+    }
+
+    gauge(name, help, collectFn) {
+        return this._register(new Gauge(name, help, collectFn));
+    }
+
+    histogram(name, help, buckets) {
+        return this._register(new Histogram(name, help, buckets));
+    }
+
+    // Prometheus text exposition format
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.collect());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Serves GET /metrics on host:port. Resolves with the http.Server once listening.
+    listen(port, host = '127.0.0.1') {
+        const server = http.createServer((req, res) => {
+            if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+                res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
+                res.end(this.render());
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(server));
+        });
+    }
+}
+
+// The process-wide registry used by mint.js and ProxyManager.
+const registry = new MetricsRegistry();
+
+export { Counter, Gauge, Histogram, RateWindow, MetricsRegistry, registry, DEFAULT_LATENCY_BUCKETS };
@@ -0,0 +1,159 @@
+// nonceManager.js
+
+// Hands out nonces per wallet without waiting for the previous transaction to finish, so a wallet
+// can have up to maxInFlight transactions being submitted at once.
+//
+// Lifecycle of a nonce handed out by acquire():
+//   confirm(address, nonce) - the node accepted the transaction; the nonce is used.
+//   release(address, nonce) - the transaction will not be sent with this nonce; it becomes a gap
+//                             that the next acquire() hands out again (lowest first) so later
+//                             nonces are not left stuck behind it. The highest nonce handed out
+//                             simply becomes the next one again.
+//   discard(address, nonce) - the node says the nonce is already taken; it is dropped without
+//                             becoming a gap. Usually followed by resync().
+//
+// resync() re-reads the "pending" transaction count, only when a caller has evidence the local
+// view is wrong (e.g. "nonce too low"), and coalesces concurrent requests for the same wallet.
+class NonceManager {
+    constructor({ fetchNonce, maxInFlight = 8, resyncRetries = 3, resyncDelayMs = 500, onResync = () => {}, log = () => {} }) {
+        if (typeof fetchNonce !== 'function') {
+            throw new Error('NonceManager requires a fetchNonce(address) function');
+        }
+        this.fetchNonce = fetchNonce; // async (address) => pending transaction count
+        this.maxInFlight = maxInFlight;
+        this.resyncRetries = resyncRetries;
+        this.resyncDelayMs = resyncDelayMs;
+        this.onResync = onResync; // ({ address, pending, previousNext, next, gaps }) after every successful resync
+        this.log = log;
+        this.wallets = new Map(); // address -> wallet state
+        this.resyncCount = 0;
+    }
+
+    _wallet(address) {
+        const wallet = this.wallets.get(address);
+        if (!wallet) {
+            throw new Error(`NonceManager: wallet ${address} is not registered`);
+        }
+        return wallet;
+    }
+
+    register(address, startNonce) {
+        this.wallets.set(address, {
+            next: startNonce, // Next never-used nonce
+            inFlight: new Set(), // Nonces handed out and not yet confirmed/released/discarded
+            gaps: [], // Released nonces below `next`, kept sorted ascending
+            waiters: [], // Resolvers of acquire() calls blocked on maxInFlight
+            resyncing: null, // Promise of the running resync, if any
+        });
+    }
+
+    async acquire(address) {
+        const wallet = this._wallet(address);
+        for (;;) {
+            if (wallet.resyncing) {
+                await wallet.resyncing.catch(() => {});
+                continue;
+            }
+            if (wallet.inFlight.size < this.maxInFlight) break;
+            await new Promise(resolve => wallet.waiters.push(resolve));
+        }
+
+        const nonce = wallet.gaps.length > 0 ? wallet.gaps.shift() : wallet.next++;
+        wallet.inFlight.add(nonce);
+        return nonce;
+    }
+
+    _settle(wallet, nonce) {
+        if (!wallet.inFlight.delete(nonce)) return false;
+        const waiter = wallet.waiters.shift();
+        if (waiter) waiter();
+        return true;
+    }
+
+    confirm(address, nonce) {
+        this._settle(this._wallet(address), nonce);
+    }
+
+    release(address, nonce) {
+        const wallet = this._wallet(address);
+        if (!this._settle(wallet, nonce)) return;
+        if (nonce < wallet.next && !wallet.gaps.includes(nonce)) {
+            wallet.gaps.push(nonce);
+            wallet.gaps.sort((a, b) => a - b);
+            this.log(`Wallet ${address.substring(0,10)}: Nonce ${nonce} released, will be refilled by the next transaction.`);
+        }
+        // Released nonces at the top hold nothing up: hand them out as new nonces rather than as gaps
+        while (wallet.gaps.length > 0 && wallet.gaps[wallet.gaps.length - 1] === wallet.next - 1) {
+            wallet.gaps.pop();
+            wallet.next--;
+        }
+    }
+
+    discard(address, nonce) {
+        this._settle(this._wallet(address), nonce);
+    }
+
+    // Nonces below `next` that nothing currently covers. Non-empty at the end of a run means later
+    // transactions of this wallet are stuck behind them.
+    getGaps(address) {
+        return [...this._wallet(address).gaps];
+    }
+
+    getInFlightCount(address) {
+        return this._wallet(address).inFlight.size;
+    }
+
+    peekNext(address) {
+        return this._wallet(address).next;
+    }
+
+    isResyncing(address) {
+        return this._wallet(address).resyncing !== null;
+    }
+
+    resync(address) {
+        const wallet = this._wallet(address);
+        if (!wallet.resyncing) {
+            wallet.resyncing = this._resync(address, wallet).finally(() => {
+                wallet.resyncing = null;
+                // Wake blocked acquirers so they re-check state after the resync
+                wallet.waiters.splice(0).forEach(resolve => resolve());
+            });
+        }
+        return wallet.resyncing;
+    }
+
+    async _resync(address, wallet) {
+        let pending;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                pending = await this.fetchNonce(address);
+                break;
+            } catch (err) {
+                if (attempt >= this.resyncRetries) {
+                    throw new Error(`Wallet ${address.substring(0,10)}: nonce resync failed after ${attempt} attempt(s): ${err.message}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, this.resyncDelayMs * attempt));
+            }
+        }
+        this.resyncCount++;
+
+        const previousNext = wallet.next;
+        // Gaps the chain has already moved past were filled by someone else
+        wallet.gaps = wallet.gaps.filter(n => n >= pending);
+        if (pending > wallet.next) {
+            wallet.next = pending;
+        } else {
+            // Anything between the chain's count and our next nonce that is not being sent is a gap
+            for (let n = pending; n < wallet.next; n++) {
+                if (!wallet.inFlight.has(n) && !wallet.gaps.includes(n)) wallet.gaps.push(n);
+            }
+            wallet.gaps.sort((a, b) => a - b);
+        }
+        this.log(`Wallet ${address.substring(0,10)}: Nonce resync. Pending count ${pending}, next nonce ${previousNext} -> ${wallet.next}, gaps [${wallet.gaps.join(', ')}], in flight ${wallet.inFlight.size}.`);
+        this.onResync({ address, pending, previousNext, next: wallet.next, gaps: [...wallet.gaps] });
+        return pending;
+    }
+}
+
+export default NonceManager;
@@ -0,0 +1,64 @@
+// preflight.js
+import { ethers } from 'ethers';
+import { decodeBatchResult } from './callBuilder.js';
+
+const PREFLIGHT_CONCURRENCY = 10; // eth_calls in flight at once
+
+const revertInterface = new ethers.Interface([
+    'error Error(string message)',
+    'error Panic(uint256 code)',
+]);
+
+// Turns raw revert data into something readable: Error(string), Panic(uint256) or the bare selector.
+function decodeRevertData(data) {
+    if (!data || data === '0x') return 'reverted without a reason';
+    try {
+        const parsed = revertInterface.parseError(data);
+        if (parsed) {
+            return parsed.name === 'Panic'
+                ? `Panic(0x${parsed.args[0].toString(16)})`
+                : `Error("${parsed.args[0]}")`;
+        }
+    } catch (e) {
+        // Fall through to the selector
+    }
+    return `custom error ${data.substring(0, 10)}${data.length > 10 ? ` (${(data.length - 10) / 2} bytes of data)` : ''}`;
+}
+
+function describeRevert(err) {
+    if (err.revert) {
+        return `${err.revert.name}(${err.revert.args.map(a => JSON.stringify(typeof a === 'bigint' ? a.toString() : a)).join(', ')})`;
+    }
+    if (err.data) return decodeRevertData(err.data);
+    if (err.info && err.info.error && err.info.error.data) return decodeRevertData(err.info.error.data);
+    return err.shortMessage || err.message;
+}
+
+// eth_calls the exact transaction payload from every wallet. A wallet fails the pre-flight when the
+// call reverts, or when a wrapper with per-call results (aggregate3/tryAggregate) reports inner failures.
+async function runPreflight(provider, { call, wrapper, wallets, log = () => {} }) {
+    const results = [];
+    for (let i = 0; i < wallets.length; i += PREFLIGHT_CONCURRENCY) {
+        const chunk = wallets.slice(i, i + PREFLIGHT_CONCURRENCY);
+        results.push(...await Promise.all(chunk.map(async (address) => {
+            try {
+                const returnData = await provider.call({ from: address, to: call.to, data: call.data });
+                const batch = decodeBatchResult(wrapper, returnData);
+                if (batch && batch.failed > 0) {
+                    return { address, ok: false, reason: `${batch.failed} of ${batch.total} inner calls would fail: ${decodeRevertData(batch.firstFailureData)}` };
+                }
+                return { address, ok: true };
+            } catch (err) {
+                return { address, ok: false, reason: describeRevert(err) };
+            }
+        })));
+    }
+
+    const failures = results.filter(r => !r.ok);
+    if (failures.length === 0) {
+        log(`Pre-flight: the payload simulates successfully from all ${results.length} wallet(s).`);
+    }
+    return { ok: failures.length === 0, results, failures };
+}
+
+export { runPreflight, describeRevert, decodeRevertData };
@@ -1,248 +1,538 @@
 // proxyManager.js
-import { ethers, Wallet, Contract, FetchRequest, FetchResponse } from 'ethers';
+import { ethers } from 'ethers';
 import { HttpsProxyAgent } from 'https-proxy-agent';
-import fetch from 'node-fetch'; // For Node.js environment
+import { createLogger } from './logger.js';
+import { EndpointPool, parseEndpoints, createTransport, sendWithTimeout, sendBatch, supportsBatch, BatchRejectedError, isTransportError, isAlreadyKnownError } from './transport.js';
+import { RateLimiter, getRetryAfterMs } from './rateLimiter.js';
+import { classifyError, getRpcError, ERROR_CATEGORIES } from './errorClassifier.js';
 
-const MIN_REQUEST_INTERVAL_MS = 100; // Minimum 34ms between requests per proxy (~29.4 TPS) 
-const MAX_PROXY_FAILURES = 3;
+const MIN_REQUEST_INTERVAL_MS = 100; // Least time between two sends on one lane; request rates are capped by rateLimitRps and endpointRateLimitRps
+const MAX_PROXY_FAILURES = 3; // Consecutive transport failures before a proxy's circuit opens
 
+// Each entry of proxyConfigs is a lane with its own queue and pacing: { url } for a proxy session,
+// { url: null } for a direct connection. Every lane can reach every RPC endpoint.
+//
+// Lane health is a circuit breaker. Only transport failures count against a lane; an answer from
+// the node (nonce too low, revert, underpriced) proves the lane works. After MAX_PROXY_FAILURES in a
+// row the lane is unhealthy: its queued tasks move to healthy lanes, and after a cooldown (doubling
+// up to maxCooldownMs while it keeps failing) an eth_blockNumber probe decides whether it comes back.
+// Rate limiting (429 or a rate-limit JSON-RPC error) is not a lane failure either: it slows down the
+// endpoint's and the global RateLimiter, and the send moves on to another endpoint.
+//
+// With sendBatchSize > 1 a lane sends up to that many queued transactions as one JSON-RPC batch request,
+// settling each task with its own item's answer. An endpoint that refuses batches gets single sends.
 class ProxyManager {
-    constructor(proxyConfigs, rpcUrl, contractAddress, contractAbi = [], confirmations = 1) {
-        this.rpcUrl = rpcUrl;
-        this.contractAddress = contractAddress;
-        this.contractAbi = contractAbi;
+    constructor(proxyConfigs, endpoints, confirmations = 1, options = {}) {
         this.confirmations = confirmations; // Number of confirmations to wait for
-        this.proxies = proxyConfigs.map((config, index) => ({
-            id: `Proxy${index + 1}`,
-            config: config,
-            url: config.url, // Ensuring this matches the structure from mint.js
-            agent: new HttpsProxyAgent(config.url), // Create and store agent here
-            requestQueue: [], // Standardized to requestQueue
-            isProcessing: false,
-            failureCount: 0,
-            isHealthy: true,
-            lastRequestTime: 0
-        }));
+        this.dryRun = Boolean(options.dryRun); // Sign everything, broadcast nothing
+        this.logger = options.logger || createLogger('proxy');
+        this.rpcTimeoutMs = options.rpcTimeoutMs || 15000;
+        this.confirmationPollIntervalMs = options.confirmationPollIntervalMs || 1000; // Receipt polling while waiting for confirmations
+        this.cooldownMs = options.proxyCooldownMs || 30000;
+        this.maxCooldownMs = options.proxyMaxCooldownMs || 300000;
+        this.recoveryTimeoutMs = options.proxyRecoveryTimeoutMs !== undefined ? options.proxyRecoveryTimeoutMs : 60000;
+        this.waitingTasks = []; // Tasks waiting for any lane to recover
+        this.sendBatchSize = options.sendBatchSize || 1; // Signed transactions per JSON-RPC batch request; 1 = one request each
+        this.onSendRequest = options.onSendRequest || (() => {}); // ({ mode, transactions }) for every request carrying sends
+        this.rateLimiter = options.rateLimiter || new RateLimiter({ name: 'global' }); // Shared with reads when given
+        this.endpointPool = new EndpointPool(parseEndpoints(endpoints), {
+            failureThreshold: options.endpointFailureThreshold,
+            cooldownMs: options.endpointCooldownMs,
+            getLimiter: options.getEndpointLimiter,
+        });
+        if (options.chainId === undefined || options.chainId === null) {
+            throw new Error('ProxyManager requires options.chainId to sign transactions locally.');
+        }
+        this.network = ethers.Network.from(BigInt(options.chainId));
+        this.proxies = proxyConfigs.map((config, index) => {
+            const agent = config.url ? new HttpsProxyAgent(config.url) : null; // null = direct connection
+            return {
+                id: `${agent ? 'Proxy' : 'Direct'}${index + 1}`,
+                config: config,
+                url: config.url, // Ensuring this matches the structure from mint.js
+                agent: agent,
+                transports: new Map(), // endpoint id -> provider, created on first use and reused for the run
+                requestQueue: [], // Standardized to requestQueue
+                isProcessing: false,
+                failureCount: 0,
+                isHealthy: true,
+                lastRequestTime: 0,
+                currentCooldownMs: 0, // Cooldown of the latest trip; 0 while the lane is healthy
+                probeTimer: null,
+            };
+        });
         this.currentProxyIndex = 0;
-        this.log(`ProxyManager initialized with ${this.proxies.length} proxies. Confirmations: ${this.confirmations}`);
+        this.logger.info(`ProxyManager initialized with ${this.proxies.length} ${this.proxies.some(p => p.agent) ? 'proxies' : 'direct connections'} to ${this.endpointPool.endpoints.length} RPC endpoint(s) [${this.endpointPool.endpoints.map(e => e.id).join(', ')}]. Chain ID: ${this.network.chainId}. Confirmations: ${this.confirmations}${this.dryRun ? ' (DRY RUN: nothing will be broadcast)' : ''}`);
     }
 
-    log(message) {
-        console.log(`[${new Date().toISOString()}] ${message}`); 
+    _getTransport(proxy, endpoint) {
+        if (!proxy.transports.has(endpoint.id)) {
+            proxy.transports.set(endpoint.id, createTransport(endpoint.url, { network: this.network, agent: proxy.agent, timeoutMs: this.rpcTimeoutMs }));
+        }
+        return proxy.transports.get(endpoint.id);
     }
 
-    _getProviderForProxy(proxyInstance) {
-        const customFetch = async (requestInfo, requestInit) => {
-            let url;
-            let options = { ...requestInit }; // Clone to avoid modifying original
+    // Broadcasts over the healthiest endpoints in turn: on a transport failure (connection, timeout, 5xx)
+    // the same signed transaction goes to the next endpoint. A JSON-RPC error from the node is the
+    // chain's answer and is thrown to the caller unchanged.
+    // Blame: when another endpoint gets through, the failed ones are at fault. When none gets through a
+    // proxy, the proxy is the likelier culprit and the endpoints are left alone. A rate-limited endpoint
+    // is never blamed; it is paused for its Retry-After instead.
+    async _broadcast(proxy, signedTx) {
+        const tried = new Set();
+        const failures = [];
+        let lastError = null;
+        const blameEndpoints = () => failures.forEach(({ endpoint, error }) => this.endpointPool.reportFailure(endpoint, error));
+        for (let endpoint = this.endpointPool.select(tried); endpoint; endpoint = this.endpointPool.select(tried)) {
+            tried.add(endpoint);
+            const transport = this._getTransport(proxy, endpoint);
+            await endpoint.limiter.acquire();
+            await this.rateLimiter.acquire();
+            try {
+                this.onSendRequest({ mode: 'single', transactions: 1 });
+                const returnedHash = await sendWithTimeout(transport, 'eth_sendRawTransaction', [signedTx], this.rpcTimeoutMs);
+                this.endpointPool.reportSuccess(endpoint);
+                blameEndpoints();
+                return { endpoint, transport, returnedHash };
+            } catch (error) {
+                lastError = error;
+                if (classifyError(error) === ERROR_CATEGORIES.RateLimited) {
+                    const retryAfterMs = getRetryAfterMs(error);
+                    endpoint.limiter.penalize(retryAfterMs);
+                    this.rateLimiter.penalize(retryAfterMs, { pause: false });
+                    this.logger.debug(`Endpoint is rate limiting${retryAfterMs !== null ? ` (Retry-After ${retryAfterMs}ms)` : ''}; trying the next one`, { proxy: proxy.id, endpoint: endpoint.id });
+                    continue;
+                }
+                if (!isTransportError(error)) {
+                    this.endpointPool.reportSuccess(endpoint); // The node answered; the endpoint is fine
+                    blameEndpoints();
+                    if (isAlreadyKnownError(error)) {
+                        // The node already holds this exact transaction (an earlier endpoint or attempt delivered it)
+                        return { endpoint, transport, returnedHash: null };
+                    }
+                    throw error;
+                }
+                this.logger.debug(`Endpoint failed (${error.code || error.message}); trying the next one`, { proxy: proxy.id, endpoint: endpoint.id });
+                failures.push({ endpoint, error });
+            }
+        }
+        if (!proxy.agent) blameEndpoints();
+        throw lastError;
+    }
 
-            if (typeof requestInfo === 'string') {
-                url = requestInfo;
-            } else if (requestInfo instanceof URL) {
-                url = requestInfo.toString();
-            } else { // It's a Request object
-                url = requestInfo.url;
-                options = { ...options, ...requestInfo }; // Merge options from Request object
+    // Batch mode (sendBatchSize > 1) is on while some http(s) endpoint has not refused a batch.
+    _batching() {
+        return this.sendBatchSize > 1 && !this.dryRun && this.endpointPool.endpoints.some(e => !e.batchRejected && supportsBatch(e.url));
+    }
+
+    // _broadcast() for several signed transactions in one JSON-RPC batch request, over the endpoints that
+    // take batches. Resolves with the endpoint and, per transaction in order, { returnedHash } or { error }.
+    // An endpoint that refuses batches is not offered one again; when none is left, resolves with null
+    // and the caller sends the transactions one by one.
+    async _broadcastBatch(proxy, signedTxs) {
+        const tried = new Set(this.endpointPool.endpoints.filter(e => e.batchRejected || !supportsBatch(e.url)));
+        const failures = [];
+        let lastError = null;
+        const blameEndpoints = () => failures.forEach(({ endpoint, error }) => this.endpointPool.reportFailure(endpoint, error));
+        for (let endpoint = this.endpointPool.select(tried); endpoint; endpoint = this.endpointPool.select(tried)) {
+            tried.add(endpoint);
+            const transport = this._getTransport(proxy, endpoint);
+            for (let i = 0; i < signedTxs.length; i++) { // Limiters count calls, not HTTP requests
+                await endpoint.limiter.acquire();
+                await this.rateLimiter.acquire();
+            }
+            try {
+                this.onSendRequest({ mode: 'batch', transactions: signedTxs.length });
+                const answers = await sendBatch(transport, signedTxs.map(signedTx => ['eth_sendRawTransaction', [signedTx]]), this.rpcTimeoutMs);
+                this.endpointPool.reportSuccess(endpoint);
+                blameEndpoints();
+                const outcomes = answers.map(({ result, error }) => {
+                    if (!error) return { returnedHash: result };
+                    if (isAlreadyKnownError(error)) return { returnedHash: null };
+                    return { error };
+                });
+                if (outcomes.some(({ error }) => error && classifyError(error) === ERROR_CATEGORIES.RateLimited)) {
+                    endpoint.limiter.penalize(null);
+                    this.rateLimiter.penalize(null, { pause: false });
+                }
+                return { endpoint, transport, outcomes };
+            } catch (error) {
+                if (error instanceof BatchRejectedError) {
+                    endpoint.batchRejected = true;
+                    this.logger.warn(`${error.message}; sending transactions to this endpoint one by one from now on`, { proxy: proxy.id, endpoint: endpoint.id });
+                    continue;
+                }
+                lastError = error;
+                if (classifyError(error) === ERROR_CATEGORIES.RateLimited) {
+                    const retryAfterMs = getRetryAfterMs(error);
+                    endpoint.limiter.penalize(retryAfterMs);
+                    this.rateLimiter.penalize(retryAfterMs, { pause: false });
+                    this.logger.debug(`Endpoint is rate limiting${retryAfterMs !== null ? ` (Retry-After ${retryAfterMs}ms)` : ''}; trying the next one`, { proxy: proxy.id, endpoint: endpoint.id });
+                    continue;
+                }
+                this.logger.debug(`Endpoint failed (${error.code || error.message}); trying the next one`, { proxy: proxy.id, endpoint: endpoint.id });
+                failures.push({ endpoint, error });
             }
-            
-            options.agent = proxyInstance.agent;
-            return fetch(url, options);
+        }
+        if (lastError === null) return null; // Every batch-capable endpoint refused
+        if (!proxy.agent) blameEndpoints();
+        throw lastError;
+    }
+
+    // Closes every provider (HTTP keep-alive sockets and WebSockets) so the process can exit.
+    destroy() {
+        for (const proxy of this.proxies) {
+            clearTimeout(proxy.probeTimer);
+            proxy.probeTimer = null;
+            for (const transport of proxy.transports.values()) transport.destroy();
+            proxy.transports.clear();
+        }
+        for (const task of this.waitingTasks.splice(0)) {
+            clearTimeout(task.recoveryTimer);
+            task.reject(new Error('ProxyManager was shut down.'));
+        }
+    }
+
+    // task.call is the { to, data } produced by callBuilder.js; task.txOptions carries gasLimit and fees
+    _buildTransaction(task) {
+        if (!task.call || !task.call.to || typeof task.call.data !== 'string' || !task.call.data.startsWith('0x')) {
+            throw new Error(`Insufficient data for transaction. Call: ${JSON.stringify(task.call)}`);
+        }
+        const { gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas } = task.txOptions || {};
+        if (gasLimit == null || (gasPrice == null && maxFeePerGas == null)) {
+            throw new Error('Transaction options must include gasLimit and either gasPrice or maxFeePerGas to sign locally.');
+        }
+        const transaction = {
+            chainId: this.network.chainId,
+            nonce: task.nonce,
+            to: task.call.to,
+            data: task.call.data,
+            value: 0n,
+            gasLimit,
         };
+        if (maxFeePerGas != null) {
+            return { ...transaction, type: 2, maxFeePerGas, maxPriorityFeePerGas: maxPriorityFeePerGas != null ? maxPriorityFeePerGas : 0n };
+        }
+        return { ...transaction, type: 0, gasPrice };
+    }
 
-        return new ethers.JsonRpcProvider(this.rpcUrl, undefined, { fetchFunc: customFetch });
+    getHealthyCount() {
+        return this.proxies.filter(p => p.isHealthy).length;
     }
 
-    _selectProxy() {
+    // Opens the circuit: no new tasks, queued ones go elsewhere, probe after the cooldown.
+    _markUnhealthy(proxy) {
+        proxy.isHealthy = false;
+        proxy.currentCooldownMs = proxy.currentCooldownMs > 0 ? Math.min(proxy.currentCooldownMs * 2, this.maxCooldownMs) : this.cooldownMs;
+        this.logger.warn(`Marked as unhealthy after ${proxy.failureCount} transport failure(s); probing again in ${proxy.currentCooldownMs}ms`, { proxy: proxy.id, healthy: this.getHealthyCount() });
+        this._scheduleProbe(proxy);
+
+        const stranded = proxy.requestQueue.splice(0);
+        if (stranded.length > 0) {
+            this.logger.info(`Moving ${stranded.length} queued task(s) to other lanes`, { proxy: proxy.id });
+            stranded.forEach(task => this._enqueue(task));
+        }
+    }
+
+    _scheduleProbe(proxy) {
+        clearTimeout(proxy.probeTimer);
+        proxy.probeTimer = setTimeout(() => this._probe(proxy), proxy.currentCooldownMs);
+        proxy.probeTimer.unref(); // Waiting tasks keep the process alive, not the probe
+    }
+
+    // Half-open: one lightweight request through the proxy. Only an answer from a node re-admits it: a
+    // block number, or a JSON-RPC error object other than rate limiting. Anything else (transport
+    // failures, rate limiting, no endpoint to probe) backs off and probes again later.
+    async _probe(proxy) {
+        proxy.probeTimer = null;
+        try {
+            const endpoint = this.endpointPool.select();
+            await sendWithTimeout(this._getTransport(proxy, endpoint), 'eth_blockNumber', [], this.rpcTimeoutMs);
+        } catch (error) {
+            const answered = getRpcError(error) !== null && classifyError(error) !== ERROR_CATEGORIES.RateLimited;
+            if (!answered) {
+                proxy.currentCooldownMs = Math.min(proxy.currentCooldownMs * 2, this.maxCooldownMs);
+                this.logger.debug(`Probe failed (${error.code || error.message}); next probe in ${proxy.currentCooldownMs}ms`, { proxy: proxy.id });
+                this._scheduleProbe(proxy);
+                return;
+            }
+        }
+        proxy.isHealthy = true;
+        proxy.failureCount = 0;
+        this.logger.info('Probe succeeded; back in rotation', { proxy: proxy.id, healthy: this.getHealthyCount() });
+        const waiting = this.waitingTasks.splice(0);
+        waiting.forEach(task => {
+            clearTimeout(task.recoveryTimer);
+            this._enqueue(task);
+        });
+    }
+
+    // Hands a task to the next healthy lane, or parks it until one recovers (up to recoveryTimeoutMs).
+    _enqueue(task) {
+        const selectedProxy = this._selectProxy(task.avoidProxyId);
+        if (selectedProxy) {
+            selectedProxy.requestQueue.push(task);
+            if (!selectedProxy.isProcessing) {
+                this._processQueue(selectedProxy);
+            }
+            return;
+        }
+        if (this.proxies.length === 0 || this.recoveryTimeoutMs === 0) {
+            task.reject(new Error('No healthy proxies available.'));
+            return;
+        }
+        if (this.waitingTasks.length === 0) {
+            this.logger.warn(`All ${this.proxies.length} lanes are unhealthy; holding tasks for up to ${this.recoveryTimeoutMs}ms while they recover`);
+        }
+        task.recoveryTimer = setTimeout(() => {
+            const index = this.waitingTasks.indexOf(task);
+            if (index > -1) this.waitingTasks.splice(index, 1);
+            task.reject(new Error(`No healthy proxies available (none recovered within ${this.recoveryTimeoutMs}ms).`));
+        }, this.recoveryTimeoutMs);
+        this.waitingTasks.push(task);
+    }
+
+    // Round-robin over healthy lanes, passing over any lane with more queued work than another: a slow
+    // lane is not handed its full share while the others sit idle. avoidProxyId is skipped unless it is
+    // the only healthy one.
+    _selectProxy(avoidProxyId = null) {
+        let selected = null;
+        let avoided = null;
+        const load = proxy => proxy.requestQueue.length + (proxy.isProcessing ? 1 : 0);
         for (let i = 0; i < this.proxies.length; i++) {
-            const proxy = this.proxies[this.currentProxyIndex];
-            this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxies.length;
-            if (proxy.isHealthy) {
-                return proxy;
+            const proxy = this.proxies[(this.currentProxyIndex + i) % this.proxies.length];
+            if (!proxy.isHealthy) continue;
+            if (proxy.id === avoidProxyId) {
+                avoided = proxy;
+                continue;
             }
+            if (!selected || load(proxy) < load(selected)) selected = proxy;
         }
-        return null; // No healthy proxies available
+        selected = selected || avoided; // null when no healthy proxies are available
+        if (selected) this.currentProxyIndex = (this.proxies.indexOf(selected) + 1) % this.proxies.length;
+        return selected;
     }
 
     async _processQueue(proxy) { // Expects the full proxy object
         if (!proxy || proxy.isProcessing || !proxy.isHealthy || proxy.requestQueue.length === 0) {
-            if (proxy && proxy.requestQueue.length > 0 && !proxy.isProcessing && !proxy.isHealthy) {
-                this.log(`Proxy ${proxy.id}: Queue has tasks but proxy is unhealthy. Not processing.`);
-            }
             return;
         }
 
         proxy.isProcessing = true;
         const task = proxy.requestQueue.shift();
-        this.log(`Proxy ${proxy.id}: Dequeued task for wallet ${task.privateKey.substring(0,10)}... Queue size now: ${proxy.requestQueue.length}`);
+        this.logger.debug('Dequeued task', { proxy: proxy.id, nonce: task.nonce, queue: proxy.requestQueue.length });
 
         const timeSinceLastRequest = Date.now() - proxy.lastRequestTime;
         const delayRequired = Math.max(0, MIN_REQUEST_INTERVAL_MS - timeSinceLastRequest);
 
         if (delayRequired > 0) {
-            this.log(`Proxy ${proxy.id}: Delaying next request by ${delayRequired}ms to respect rate limit.`);
+            this.logger.debug(`Delaying next request by ${delayRequired}ms to respect rate limit`, { proxy: proxy.id });
         }
 
         const jitter = Math.random() * 10; // Add 0-10ms jitter
         setTimeout(async () => {
             proxy.lastRequestTime = Date.now();
-            // _sendTransactionThroughProxy will handle setting isProcessing = false
-            // and then call _processQueue again if needed in its finally block.
-            await this._sendTransactionThroughProxy(proxy, task);
+            // The send methods set isProcessing = false and call _processQueue again in their finally block.
+            if (this._batching()) {
+                // Whatever queued up on this lane during the pacing delay goes out in the same request
+                await this._sendBatchThroughProxy(proxy, [task, ...proxy.requestQueue.splice(0, this.sendBatchSize - 1)]);
+            } else {
+                await this._sendTransactionThroughProxy(proxy, task);
+            }
         }, delayRequired + jitter);
     }
 
-async _sendTransactionThroughProxy(proxy, task) {
-    // this.log(`Proxy ${proxy.id}: Processing task for wallet ${task.privateKey.substring(0,10)}... (Method/Data: ${task.methodName ? task.methodName.substring(0,40) : 'N/A'}...)`);
-    const agent = proxy.agent; // Use agent from proxy object
-
-    // customFetch for ethers.JsonRpcProvider to use HttpsProxyAgent
-    // Assumes FetchRequest and FetchResponse will be imported from 'ethers'
-    const customFetch = async (request) => { // request is ethers.FetchRequest
-        const options = {
-            method: request.method,
-            headers: request.headersToObject(), // Converts ethers.Headers to a plain object for node-fetch
-            body: request.body, // request.body is Uint8Array | null
-            agent: agent // The HttpsProxyAgent instance
-        };
-
-        const nodeFetchResponse = await fetch(request.url, options); // node-fetch call
-
-        // Convert node-fetch Headers back to a plain object for ethers.FetchResponse
-        const responseHeaders = {};
-        nodeFetchResponse.headers.forEach((value, key) => { responseHeaders[key] = value; });
-        
-        const responseBody = await nodeFetchResponse.arrayBuffer(); // Get body as ArrayBuffer
-
-        return new FetchResponse(
-            nodeFetchResponse.status,
-            nodeFetchResponse.statusText,
-            responseHeaders,
-            new Uint8Array(responseBody), // ethers.FetchResponse expects Uint8Array
-            request // The original ethers.FetchRequest that initiated this
-        );
-    };
-
-    const proxiedProvider = new ethers.JsonRpcProvider(this.rpcUrl, undefined, { batchMaxCount: 1, fetchFunc: customFetch });
-    const proxiedSigner = new ethers.Wallet(task.privateKey, proxiedProvider);
-
-    let receipt = null;
-
-    try {
-        let transactionRequest = {};
-
-        if (task.methodName && typeof task.methodName === 'string' && task.methodName.startsWith('0x') && (!task.methodArgs || task.methodArgs.length === 0)) {
-            // this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Preparing raw transaction with data: ${task.methodName}`);
-
-            transactionRequest = {
-                to: this.contractAddress,
-                data: task.methodName,
-                nonce: task.nonce,
-                ...(task.txOptions || {})
-            };
-        } else if (this.contractAbi && this.contractAbi.length > 0 && task.methodName) {
-            // this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Populating transaction for method '${task.methodName}'`);
-            const contract = new ethers.Contract(this.contractAddress, this.contractAbi, proxiedSigner);
-            const rawTxObject = {
-                nonce: task.nonce,
-                gasLimit: task.txOptions.gasLimit,
-                gasPrice: task.txOptions.gasPrice,
-                data: task.methodName
-            };
-            this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Raw tx object PRE-POPULATE. Nonce: ${rawTxObject.nonce}, GasLimit: ${rawTxObject.gasLimit}, GasPrice: ${rawTxObject.gasPrice}, Data: ${rawTxObject.data ? rawTxObject.data.substring(0,10) : 'N/A'}...`);
-            const populatedTx = await contract[task.methodName].populateTransaction(...(task.methodArgs || []), task.txOptions || {});
-            transactionRequest = populatedTx;
-            if (transactionRequest.nonce == null) transactionRequest.nonce = task.nonce;
-        } else {
-            const errorMessage = `Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Failed: Insufficient data for transaction. MethodName: ${task.methodName}`;
-            this.log(errorMessage);
-            throw new Error(errorMessage);
+    // Waits for the confirmations asked for, if any. Without a mined receipt the outcome is unknown:
+    // status stays null and the caller hands the hash to ReceiptTracker instead of assuming success.
+    async _awaitReceipt(proxy, task, { endpoint, transport, hash, returnedHash, sendMode }) {
+        const signer = task.signer;
+        if (returnedHash && returnedHash.toLowerCase() !== hash) {
+            this.logger.warn(`Node returned hash ${returnedHash}, expected ${hash}`, { proxy: proxy.id, endpoint: endpoint.id, wallet: signer.address });
         }
+        this.logger.debug(`Raw transaction sent. Waiting for ${this.confirmations} confirmation(s)`, { proxy: proxy.id, endpoint: endpoint.id, wallet: signer.address, hash });
 
-        if (!transactionRequest.to && this.contractAddress) {
-            transactionRequest.to = this.contractAddress;
-        }
-
-        // this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Using standard sendTransaction. TxRequest: To: ${transactionRequest.to}, Nonce: ${transactionRequest.nonce}, Data: ${transactionRequest.data ? transactionRequest.data.substring(0,40) : 'N/A'}...`);
-        const txResponse = await proxiedSigner.sendTransaction(transactionRequest);
-        this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Standard transaction sent, hash: ${txResponse.hash}. Waiting for ${this.confirmations} confirmation(s)...`);
-
+        let receipt;
         if (this.confirmations > 0) {
             try {
-                receipt = await txResponse.wait(this.confirmations);
-                if (receipt) {
-                    receipt.proxyId = proxy.id;
-                    receipt.method = 'standard_sendTransaction_with_wait';
-                    if (typeof receipt.status === 'undefined') {
-                        this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - txResponse.wait() receipt missing status, assuming 1 (success).`);
-                        receipt.status = 1;
-                    }
-                } else {
-                    this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - txResponse.wait() returned null. Considering successful based on hash.`);
-                    receipt = { transactionHash: txResponse.hash, status: 1, confirmations: this.confirmations, proxyId: proxy.id, method: 'standard_sendTransaction_wait_returned_null' };
-                }
+                receipt = await this._waitForConfirmations(proxy, endpoint, transport, hash);
+                receipt.proxyId = proxy.id;
+                receipt.method = 'raw_send_with_wait';
             } catch (waitError) {
                 const waitErrorMessage = waitError.message ? waitError.message.toLowerCase() : '';
                 if (waitErrorMessage.includes("full block not allowed")) {
-                    this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - txResponse.wait() failed with "full block not allowed". Proceeding with hash only. Error: ${waitError.message}`);
-                    receipt = { transactionHash: txResponse.hash, status: 1, confirmations: 0, proxyId: proxy.id, method: 'standard_sendTransaction_full_block_fallback' };
+                    this.logger.debug(`Waiting for confirmations failed with "full block not allowed". Proceeding with hash only. Error: ${waitError.message}`, { proxy: proxy.id, wallet: signer.address, hash });
+                    receipt = { transactionHash: hash, status: null, confirmations: 0, proxyId: proxy.id, method: 'raw_send_full_block_fallback' };
                 } else {
-                    this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - txResponse.wait() failed with unexpected error: ${waitError.message}`);
+                    this.logger.warn(`Waiting for confirmations failed with unexpected error: ${waitError.message}`, { proxy: proxy.id, wallet: signer.address, hash });
                     throw waitError;
                 }
             }
         } else { // No confirmations requested
-            receipt = { transactionHash: txResponse.hash, status: 1, confirmations: 0, proxyId: proxy.id, method: 'standard_sendTransaction_no_wait' };
+            receipt = { transactionHash: hash, status: null, confirmations: 0, proxyId: proxy.id, endpointId: endpoint.id, method: 'raw_send_no_wait' };
         }
-        
-        this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Standard transaction processing completed. Hash: ${(receipt ? receipt.transactionHash : txResponse.hash)}, Status: ${(receipt ? receipt.status : 'unknown')}`);
-        proxy.failureCount = 0; // Reset failure count on success
-        proxy.isHealthy = true;   // Ensure proxy is marked healthy on success
-        task.resolve(receipt);
+        receipt.sendMode = sendMode;
+        this.logger.debug('Transaction processing completed', { proxy: proxy.id, wallet: signer.address, hash: receipt.transactionHash, status: receipt.status !== null && receipt.status !== undefined ? receipt.status : 'unknown' });
+        return receipt;
+    }
 
-    } catch (error) {
+    // Polls the receipt, then the head, until the transaction has this.confirmations blocks on it.
+    // Every poll waits its turn at the endpoint's and the global RateLimiter, as sends do (ethers'
+    // waitForTransaction() would poll on its own schedule, past both). Rate limiting and transport
+    // failures are waited out; any other error from the node is thrown.
+    async _waitForConfirmations(proxy, endpoint, transport, hash) {
+        for (;;) {
+            try {
+                await endpoint.limiter.acquire();
+                await this.rateLimiter.acquire();
+                const receipt = await transport.getTransactionReceipt(hash);
+                if (receipt) {
+                    if (this.confirmations <= 1) return receipt;
+                    await endpoint.limiter.acquire();
+                    await this.rateLimiter.acquire();
+                    if ((await transport.getBlockNumber()) - receipt.blockNumber + 1 >= this.confirmations) return receipt;
+                }
+            } catch (error) {
+                if (classifyError(error) === ERROR_CATEGORIES.RateLimited) {
+                    const retryAfterMs = getRetryAfterMs(error);
+                    endpoint.limiter.penalize(retryAfterMs);
+                    this.rateLimiter.penalize(retryAfterMs, { pause: false });
+                } else if (!isTransportError(error)) {
+                    throw error;
+                }
+                this.logger.debug(`Receipt poll failed (${error.code || error.message}); polling again`, { proxy: proxy.id, endpoint: endpoint.id, hash });
+            }
+            await new Promise(resolve => setTimeout(resolve, this.confirmationPollIntervalMs));
+        }
+    }
+
+    // Counts a failed send against the lane (transport failures only) and rejects the task with it.
+    _failTask(proxy, task, error) {
         if (error.code === 'NETWORK_ERROR') {
-            this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Network error during transaction: ${error.message}`);
+            this.logger.warn(`Network error during transaction: ${error.message}`, { proxy: proxy.id, wallet: task.signer.address, nonce: task.nonce });
         } else if (error.code === 'INSUFFICIENT_FUNDS') {
-            this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Insufficient funds for transaction: ${error.message}`);
+            this.logger.warn(`Insufficient funds for transaction: ${error.message}`, { proxy: proxy.id, wallet: task.signer.address, nonce: task.nonce });
         } else {
-            this.log(`Proxy ${proxy.id}: Wallet ${proxiedSigner.address} - Overall error in _sendTransactionThroughProxy: ${error.message} (Stack: ${error.stack})`);
-        }
-        proxy.failureCount++;
-        if (proxy.failureCount >= MAX_PROXY_FAILURES) {
-            proxy.isHealthy = false;
-            this.log(`Proxy ${proxy.id}: Marked as unhealthy due to ${proxy.failureCount} failures.`);
+            this.logger.debug(`Send failed: ${error.message}`, { proxy: proxy.id, wallet: task.signer.address, nonce: task.nonce, stack: error.stack });
         }
+        error.proxyId = proxy.id; // Lets the caller send its retry through a different lane
         task.reject(error);
-    } finally {
+    }
+
+    _countLaneResult(proxy, error) {
+        if (error && isTransportError(error) && classifyError(error) !== ERROR_CATEGORIES.RateLimited) {
+            proxy.failureCount++;
+            if (proxy.isHealthy && proxy.failureCount >= MAX_PROXY_FAILURES) {
+                this._markUnhealthy(proxy);
+            }
+            return;
+        }
+        proxy.failureCount = 0; // The node answered, so the lane itself works
+        if (!error && proxy.isHealthy) proxy.currentCooldownMs = 0; // A lane that stays up starts its next trip at the base cooldown
+    }
+
+    _finishProcessing(proxy) {
         proxy.isProcessing = false;
-        this.log(`Proxy ${proxy.id}: Task finished processing. Healthy: ${proxy.isHealthy}, Queue length: ${proxy.requestQueue.length}`);
+        this.logger.debug('Task finished processing', { proxy: proxy.id, healthy: proxy.isHealthy, queue: proxy.requestQueue.length });
         if (proxy.isHealthy && proxy.requestQueue.length > 0) {
-            this.log(`Proxy ${proxy.id}: Attempting to process next in its queue.`);
             this._processQueue(proxy);
-        } else if (!proxy.isHealthy) {
-            this.log(`Proxy ${proxy.id}: Not processing further from its queue (unhealthy).`);
         }
     }
-}
 
-    submitTransaction(privateKey, nonce, methodName, methodArgs, txOptions) {
-        methodArgs = methodArgs || [];
-        txOptions = txOptions || {};
-        return new Promise((resolve, reject) => {
-            const selectedProxy = this._selectProxy();
-            if (!selectedProxy) {
-                reject(new Error('No healthy proxies available.'));
+    // Signs every task and broadcasts them in one JSON-RPC batch (_broadcastBatch), settling each task
+    // with its own item's answer. If no endpoint takes batches, the signed tasks go back to the front of
+    // the lane's queue and are sent one by one.
+    async _sendBatchThroughProxy(proxy, tasks) {
+        try {
+            const signed = [];
+            for (const task of tasks) {
+                try {
+                    const signedTx = task.signedTransaction || await task.signer.signTransaction(this._buildTransaction(task));
+                    signed.push({ task, signedTx, hash: ethers.keccak256(signedTx) });
+                } catch (error) {
+                    this._failTask(proxy, task, error);
+                }
+            }
+            if (signed.length === 0) return;
+
+            let sent;
+            try {
+                sent = await this._broadcastBatch(proxy, signed.map(({ signedTx }) => signedTx));
+            } catch (error) {
+                this._countLaneResult(proxy, error);
+                signed.forEach(({ task }) => this._failTask(proxy, task, error));
+                return;
+            }
+            if (sent === null) {
+                signed.forEach(entry => { entry.task.signedTransaction = entry.signedTx; });
+                proxy.requestQueue.unshift(...signed.map(({ task }) => task));
                 return;
             }
+            this._countLaneResult(proxy, null);
+            await Promise.all(signed.map(async ({ task, hash }, i) => {
+                const { returnedHash, error } = sent.outcomes[i];
+                if (error) {
+                    this._failTask(proxy, task, error);
+                    return;
+                }
+                try {
+                    task.resolve(await this._awaitReceipt(proxy, task, { endpoint: sent.endpoint, transport: sent.transport, hash, returnedHash, sendMode: 'batch' }));
+                } catch (waitError) {
+                    this._failTask(proxy, task, waitError);
+                }
+            }));
+        } finally {
+            this._finishProcessing(proxy);
+        }
+    }
 
-            const taskData = { privateKey, methodName, methodArgs, txOptions, resolve, reject, nonce };
-    
-            selectedProxy.requestQueue.push(taskData);
-            // console.log(`[${selectedProxy.id}] Task queued for wallet ${privateKey.substring(0,10)}... Method: ${methodName}. Queue size: ${selectedProxy.requestQueue.length}`);
+    // Signs locally (nonce, fees and gas are already known) and broadcasts with a single
+    // eth_sendRawTransaction over the lane's long-lived provider: one round trip per transaction.
+    async _sendTransactionThroughProxy(proxy, task) {
+        const signer = task.signer;
 
-            if (!selectedProxy.isProcessing) {
-                this._processQueue(selectedProxy);
+        try {
+            const transaction = this._buildTransaction(task);
+            const signedTx = task.signedTransaction || await signer.signTransaction(transaction);
+            const hash = ethers.keccak256(signedTx);
+
+            if (this.dryRun) {
+                this.logger.info(`DRY RUN: would send to ${transaction.to}, gasLimit ${transaction.gasLimit}, ${transaction.maxFeePerGas != null ? `maxFeePerGas ${transaction.maxFeePerGas}` : `gasPrice ${transaction.gasPrice}`}, data ${transaction.data.substring(0,10)}... (${(transaction.data.length - 2) / 2} bytes)`, { proxy: proxy.id, wallet: signer.address, nonce: transaction.nonce, hash });
+                proxy.failureCount = 0;
+                task.resolve({ transactionHash: hash, status: null, confirmations: 0, proxyId: proxy.id, method: 'dry_run', sendMode: 'single', dryRun: true, signedTransaction: signedTx });
+                return;
+            }
+
+            const { endpoint, transport, returnedHash } = await this._broadcast(proxy, signedTx);
+            const receipt = await this._awaitReceipt(proxy, task, { endpoint, transport, hash, returnedHash, sendMode: 'single' });
+            this._countLaneResult(proxy, null);
+            task.resolve(receipt);
+        } catch (error) {
+            this._countLaneResult(proxy, error);
+            this._failTask(proxy, task, error);
+        } finally {
+            this._finishProcessing(proxy);
+        }
+    }
+
+    // Signs the transaction submitTransaction() would send, so it can be prepared ahead of time and
+    // handed back as options.signedTransaction.
+    signTransaction(signer, nonce, call, txOptions) {
+        return signer.signTransaction(this._buildTransaction({ call, txOptions, nonce }));
+    }
+
+    // signer: a SignerHandle from keyring.js (address + signTransaction; never a raw key)
+    // call: { to, data } built by callBuilder.js (buildBatchCall)
+    // options.avoidProxyId: lane to keep this send off, e.g. the one the previous attempt failed on
+    // options.signedTransaction: the same transaction already signed (signTransaction), sent as-is
+    submitTransaction(signer, nonce, call, txOptions, options = {}) {
+        txOptions = txOptions || {};
+        return new Promise((resolve, reject) => {
+            if (!signer || typeof signer !== 'object' || typeof signer.signTransaction !== 'function') {
+                reject(new Error('submitTransaction needs a signer handle (keyring.js), not a private key.'));
+                return;
             }
+            const taskData = { signer, call, txOptions, resolve, reject, nonce, avoidProxyId: options.avoidProxyId || null, signedTransaction: options.signedTransaction || null };
+            this._enqueue(taskData);
         });
     }
 }
@@ -0,0 +1,146 @@
+// rateLimiter.js
+import { FetchRequest, toUtf8String } from 'ethers';
+import { classifyError, ERROR_CATEGORIES } from './errorClassifier.js';
+
+const DEFAULT_PAUSE_MS = 1000; // Pause after a rate-limit answer that carries no Retry-After
+const MAX_PAUSE_MS = 120000; // Never trust a Retry-After beyond this
+const MIN_RATE_FRACTION = 0.05; // Backing off never goes below this share of the configured rate
+
+// Token bucket in requests per second that adapts to the provider's answers. A rate-limit answer
+// halves the current rate and (for an endpoint) pauses it for Retry-After; the rate then climbs back
+// linearly to the configured one over rampUpMs. ratePerSecond 0 means no steady cap: only pauses apply.
+// Waiters are served in arrival order.
+class RateLimiter {
+    constructor({ ratePerSecond = 0, rampUpMs = 30000, name = 'limiter' } = {}) {
+        this.name = name;
+        this.maxRate = ratePerSecond;
+        this.rampUpMs = rampUpMs;
+        this.burst = Math.max(1, ratePerSecond); // One second's worth
+        this.tokens = this.burst;
+        this.refilledAt = Date.now();
+        this.floorRate = ratePerSecond; // Rate right after the latest back-off
+        this.penalizedAt = 0;
+        this.pausedUntil = 0;
+        this.rateLimitedCount = 0;
+        this.tail = Promise.resolve();
+    }
+
+    get isLimited() {
+        return this.maxRate > 0;
+    }
+
+    currentRate(now = Date.now()) {
+        if (!this.isLimited) return Infinity;
+        if (this.floorRate >= this.maxRate) return this.maxRate;
+        const progress = this.rampUpMs > 0 ? Math.min(1, (now - this.penalizedAt) / this.rampUpMs) : 1;
+        const rate = this.floorRate + (this.maxRate - this.floorRate) * progress;
+        if (progress >= 1) this.floorRate = this.maxRate;
+        return rate;
+    }
+
+    isPaused(now = Date.now()) {
+        return this.pausedUntil > now;
+    }
+
+    // Called for every rate-limit answer. pause: false only slows down (used for the global limiter,
+    // which should not stop every endpoint because one of them is out of quota).
+    penalize(retryAfterMs = null, { pause = true } = {}) {
+        const now = Date.now();
+        this.rateLimitedCount++;
+        if (this.isLimited) {
+            this._refill(now);
+            this.floorRate = Math.max(this.maxRate * MIN_RATE_FRACTION, this.currentRate(now) / 2);
+            this.penalizedAt = now;
+            this.tokens = Math.min(this.tokens, 0);
+        }
+        if (pause) {
+            const pauseMs = Math.min(retryAfterMs !== null && retryAfterMs !== undefined ? retryAfterMs : DEFAULT_PAUSE_MS, MAX_PAUSE_MS);
+            this.pausedUntil = Math.max(this.pausedUntil, now + pauseMs);
+        }
+    }
+
+    // Resolves when the caller may send one request.
+    acquire() {
+        const turn = this.tail.then(() => this._waitForToken());
+        this.tail = turn;
+        return turn;
+    }
+
+    _refill(now) {
+        const rate = this.currentRate(now);
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * rate);
+        this.refilledAt = now;
+    }
+
+    async _waitForToken() {
+        for (;;) {
+            const now = Date.now();
+            if (this.isPaused(now)) {
+                await sleep(this.pausedUntil - now);
+                continue;
+            }
+            if (!this.isLimited) return;
+            this._refill(now);
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil(((1 - this.tokens) / this.currentRate(now)) * 1000));
+        }
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either delay-seconds or an HTTP date. Returns milliseconds, or null when absent or unreadable.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Retry-After of a thrown ethers error (the HTTP response is kept on err.response).
+function getRetryAfterMs(err) {
+    const headers = err && err.response && err.response.headers;
+    return headers ? parseRetryAfter(headers['retry-after']) : null;
+}
+
+// Whether a 200 answer carries a rate-limit JSON-RPC error (-32005, "rate limit", "compute units"...),
+// as providers that never send a 429 do; for a batch, any one of its answers.
+function isRateLimitedBody(body) {
+    if (!body || body.length === 0) return false;
+    let payload;
+    try {
+        payload = JSON.parse(toUtf8String(body));
+    } catch {
+        return false;
+    }
+    const answers = Array.isArray(payload) ? payload : [payload];
+    return answers.some(answer => answer && answer.error && typeof answer.error === 'object'
+        && classifyError(answer.error) === ERROR_CATEGORIES.RateLimited);
+}
+
+// A FetchRequest for `url` whose every HTTP request (ethers' own 429 retries included) first waits
+// for each limiter; a 429 answer, or a JSON-RPC rate-limit error, penalizes them, the first one (the
+// endpoint's) with a pause.
+function createRateLimitedRequest(url, limiters, { timeoutMs } = {}) {
+    const request = new FetchRequest(url);
+    if (timeoutMs) request.timeout = timeoutMs;
+    const getUrl = FetchRequest.createGetUrlFunc();
+    request.getUrlFunc = async (req, signal) => {
+        for (const limiter of limiters) await limiter.acquire();
+        const response = await getUrl(req, signal);
+        if (response.statusCode === 429 || isRateLimitedBody(response.body)) {
+            const retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+            limiters.forEach((limiter, index) => limiter.penalize(retryAfterMs, { pause: index === 0 }));
+        }
+        return response;
+    };
+    return request;
+}
+
+export { RateLimiter, parseRetryAfter, getRetryAfterMs, createRateLimitedRequest };
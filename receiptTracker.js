@@ -0,0 +1,154 @@
+// receiptTracker.js
+
+const OUTCOMES = ['success', 'reverted', 'dropped', 'pending'];
+// ethers answers a repeated identical request from its cache for 250ms, so a second "no receipt"
+// only counts once it comes at least this long after the first
+const DROP_CONFIRM_MS = 1000;
+
+// Polls receipts for broadcast transactions in the background and classifies each as
+//   success  - mined with status 1
+//   reverted - mined with status 0
+//   dropped  - never mined, and the wallet's mined nonce count has moved past its nonce
+//              (replaced by another transaction or evicted from the pool)
+//   pending  - still unresolved when finish() gives up waiting
+// Submission never waits on the tracker: track() only queues the hash.
+class ReceiptTracker {
+    constructor(provider, { batchSize = 100, pollIntervalMs = 1000, onOutcome = () => {}, log = () => {} } = {}) {
+        this.provider = provider; // Any ethers provider; used for getTransactionReceipt / getTransactionCount
+        this.batchSize = batchSize;
+        this.pollIntervalMs = pollIntervalMs;
+        this.onOutcome = onOutcome; // (entry) => void, called once per transaction when it is classified
+        this.log = log;
+        this.pending = []; // Entries still waiting for an outcome, in polling order
+        this.resolved = []; // Entries with a final outcome
+        this.timer = null;
+        this.polling = null;
+        this.stopped = true;
+    }
+
+    track({ hash, wallet, nonce, tx }) {
+        if (!hash) return;
+        this.pending.push({ hash, wallet, nonce, tx, trackedAt: Date.now(), suspectDropped: false, outcome: null });
+    }
+
+    start() {
+        if (!this.stopped) return this;
+        this.stopped = false;
+        this._schedule();
+        return this;
+    }
+
+    _schedule() {
+        if (this.stopped) return;
+        this.timer = setTimeout(() => {
+            this.polling = this._poll()
+                .catch(err => this.log(`ReceiptTracker: poll failed: ${err.message}`))
+                .finally(() => {
+                    this.polling = null;
+                    this._schedule();
+                });
+        }, this.pollIntervalMs);
+    }
+
+    _resolve(entry, outcome, receipt) {
+        entry.outcome = outcome;
+        entry.resolvedAt = Date.now();
+        if (receipt) {
+            entry.blockNumber = receipt.blockNumber;
+            entry.gasUsed = receipt.gasUsed !== undefined && receipt.gasUsed !== null ? receipt.gasUsed.toString() : undefined;
+        }
+        this.resolved.push(entry);
+        this.onOutcome(entry);
+    }
+
+    async _poll() {
+        if (this.pending.length === 0) return;
+        const batch = this.pending.splice(0, this.batchSize);
+
+        // Requests issued in the same tick are sent as one JSON-RPC batch by ethers.JsonRpcProvider
+        const receipts = await Promise.all(batch.map(entry =>
+            this.provider.getTransactionReceipt(entry.hash).catch(err => {
+                this.log(`ReceiptTracker: receipt lookup for ${entry.hash.substring(0,10)}... failed: ${err.message}`);
+                return undefined; // Unknown, retry next round
+            })));
+
+        const unmined = [];
+        batch.forEach((entry, i) => {
+            const receipt = receipts[i];
+            if (receipt) {
+                this._resolve(entry, receipt.status === 1 ? 'success' : 'reverted', receipt);
+            } else {
+                unmined.push({ entry, lookupFailed: receipt === undefined });
+            }
+        });
+
+        // For unmined transactions, a mined nonce count past their nonce means they can no longer be mined
+        const wallets = [...new Set(unmined.filter(u => !u.lookupFailed && u.entry.nonce !== undefined && u.entry.nonce !== null).map(u => u.entry.wallet))];
+        const minedCounts = new Map();
+        await Promise.all(wallets.map(async wallet => {
+            try {
+                minedCounts.set(wallet, await this.provider.getTransactionCount(wallet, 'latest'));
+            } catch (err) {
+                this.log(`ReceiptTracker: nonce lookup for ${wallet.substring(0,10)}... failed: ${err.message}`);
+            }
+        }));
+
+        const stillPending = [];
+        for (const { entry } of unmined) {
+            const minedCount = minedCounts.get(entry.wallet);
+            if (minedCount !== undefined && entry.nonce < minedCount) {
+                // Require two observations apart in time: the receipt may simply not have been visible yet
+                if (entry.suspectDropped && Date.now() - entry.suspectedAt >= DROP_CONFIRM_MS) {
+                    this._resolve(entry, 'dropped', null);
+                    continue;
+                }
+                if (!entry.suspectDropped) entry.suspectedAt = Date.now();
+                entry.suspectDropped = true;
+            } else {
+                entry.suspectDropped = false;
+            }
+            stillPending.push(entry);
+        }
+        // Re-queue at the back so every tracked hash gets its turn
+        this.pending.push(...stillPending);
+    }
+
+    // Stops accepting new polls once everything is resolved or timeoutMs has passed; whatever
+    // is left is classified as 'pending'. Returns the per-wallet report.
+    async finish(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        this.start();
+        // A running poll holds its batch outside `pending`, so wait for it too
+        while ((this.pending.length > 0 || this.polling) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(this.pollIntervalMs, Math.max(0, deadline - Date.now()))));
+        }
+        this.stop();
+        if (this.polling) await this.polling;
+        for (const entry of this.pending.splice(0)) {
+            this._resolve(entry, 'pending', null);
+        }
+        return this.report();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    report() {
+        const totals = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+        const perWallet = {};
+        for (const entry of this.resolved) {
+            if (!perWallet[entry.wallet]) perWallet[entry.wallet] = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+            perWallet[entry.wallet][entry.outcome]++;
+            totals[entry.outcome]++;
+        }
+        return { totals, perWallet, unresolved: this.pending.length };
+    }
+}
+
+export default ReceiptTracker;
+export { OUTCOMES, DROP_CONFIRM_MS };
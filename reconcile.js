@@ -0,0 +1,99 @@
+// reconcile.js
+// Checks a finished run against on-chain state and writes JSON and CSV reports (reconciliation.js).
+// Takes the same settings as mint.js (config file, profiles, .env, flags); see README, "Reconciliation".
+import 'dotenv/config';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { loadConfig, usage, ConfigError } from './config.js';
+import RunJournal, { collectTransactions, summarizeJournal } from './runJournal.js';
+import { reconcile, reportToJson, reportToCsv, formatReport } from './reconciliation.js';
+import { configureLogging, createLogger } from './logger.js';
+import { RateLimiter, createRateLimitedRequest } from './rateLimiter.js';
+
+let loadedConfig;
+try {
+    loadedConfig = loadConfig({ forSending: false });
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    console.error(`\n${usage('reconcile.js')}`);
+    process.exit(1);
+}
+if (loadedConfig.help) {
+    console.log(usage('reconcile.js'));
+    process.exit(0);
+}
+const CONFIG = loadedConfig.config;
+configureLogging({ level: CONFIG.logLevel, format: CONFIG.logFormat });
+const log = createLogger('reconcile');
+
+// A file of hashes: one per line (or separated by commas/whitespace); anything else is ignored
+function readHashes(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return [...new Set(text.split(/[\s,]+/).filter(word => /^0x[0-9a-fA-F]{64}$/.test(word)))].map(hash => ({ hash: hash.toLowerCase() }));
+}
+
+async function main() {
+    const rateLimiter = new RateLimiter({ ratePerSecond: CONFIG.rateLimitRps, rampUpMs: CONFIG.rateLimitRampUpMs, name: 'global' });
+    const provider = new ethers.JsonRpcProvider(createRateLimitedRequest(CONFIG.rpcUrl, [rateLimiter]));
+
+    const records = RunJournal.read(CONFIG.journalPath);
+    const runs = records.filter(r => r.type === 'run');
+    const lastRun = runs[runs.length - 1];
+    const byRange = CONFIG.reconcileFromBlock !== undefined;
+
+    // What to check: a hash file, else a block range, else every hash the journal recorded as sent
+    let transactions = null;
+    let durationSeconds = null;
+    if (CONFIG.reconcileHashes) {
+        transactions = readHashes(CONFIG.reconcileHashes);
+        log.info(`Checking ${transactions.length} hash(es) from ${CONFIG.reconcileHashes}.`);
+    } else if (!byRange) {
+        if (records.length === 0) {
+            log.error(`Journal ${CONFIG.journalPath} is empty or missing. Give --journal-path, --reconcile-hashes <file> or --reconcile-from-block <n>.`);
+            process.exitCode = 1;
+            return;
+        }
+        transactions = [...collectTransactions(records).values()]
+            .filter(entry => entry.sent && !entry.dropped)
+            .map(entry => ({ hash: entry.hash, wallet: entry.wallet, nonce: entry.nonce, tx: entry.tx, mints: entry.mints }));
+        durationSeconds = summarizeJournal(records).activeSeconds;
+        log.info(`Checking ${transactions.length} sent transaction(s) from journal ${CONFIG.journalPath}.`);
+    }
+
+    // Wallets: given explicitly, else those the journal's runs used, with the balances of the first budget plan
+    const plan = records.find(r => r.type === 'plan');
+    const startBalances = new Map(plan ? plan.wallets.map(w => [ethers.getAddress(w.wallet), BigInt(w.balance)]) : []);
+    const addresses = CONFIG.reconcileWallets.length > 0 ? CONFIG.reconcileWallets : [...new Set(runs.flatMap(run => run.wallets || []))];
+    const wallets = addresses.map(address => ({ address, startBalance: startBalances.get(ethers.getAddress(address)) }));
+
+    // mintsPerTransaction is journaled (per transaction too, since batchSizing 'auto' can change it);
+    // without a journal it follows the batch settings as mint.js does
+    const mintsPerTransaction = lastRun ? lastRun.mintsPerTransaction : (CONFIG.batchWrapper === 'none' ? 1 : CONFIG.mintsPerMulticall);
+
+    const report = await reconcile(provider, {
+        token: CONFIG.tokenContractAddress,
+        recipient: CONFIG.recipientAddress,
+        mintsPerTransaction,
+        transactions,
+        wallets,
+        fromBlock: byRange ? CONFIG.reconcileFromBlock : null,
+        toBlock: CONFIG.reconcileToBlock !== undefined ? CONFIG.reconcileToBlock : null,
+        durationSeconds,
+        batchSize: CONFIG.receiptBatchSize,
+        log: (message) => log.info(message),
+    });
+    provider.destroy();
+
+    const csv = reportToCsv(report);
+    fs.writeFileSync(`${CONFIG.reportPath}.json`, reportToJson(report));
+    fs.writeFileSync(`${CONFIG.reportPath}.csv`, csv.wallets);
+    fs.writeFileSync(`${CONFIG.reportPath}.transactions.csv`, csv.transactions);
+    console.log(formatReport(report));
+    console.log(`\nReports written to ${CONFIG.reportPath}.json, ${CONFIG.reportPath}.csv and ${CONFIG.reportPath}.transactions.csv`);
+}
+
+main().catch(error => {
+    console.error('Reconciliation failed:', error);
+    process.exit(1);
+});
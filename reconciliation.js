@@ -0,0 +1,208 @@
+// reconciliation.js
+import { ethers } from 'ethers';
+import { getBlockNumberUncached } from './transport.js';
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const LOG_RANGE_BLOCKS = 5000; // Blocks per eth_getLogs request when scanning a block range
+
+// Transfer logs of `token` to `recipient` among a receipt's logs; each one is a mint. ERC-721 puts
+// the token id in a third indexed topic, ERC-20 puts the amount in data.
+function countTransfers(logs, token, recipient) {
+    let mints = 0;
+    let amount = 0n;
+    for (const log of logs) {
+        if (log.address.toLowerCase() !== token.toLowerCase() || log.topics[0] !== TRANSFER_TOPIC || log.topics.length < 3) continue;
+        if (ethers.dataSlice(log.topics[2], 12).toLowerCase() !== recipient.toLowerCase()) continue;
+        mints++;
+        amount += log.topics.length === 4 ? 1n : (log.data && log.data !== '0x' ? BigInt(log.data) : 0n);
+    }
+    return { mints, amount };
+}
+
+async function inBatches(items, size, lookup) {
+    const results = [];
+    for (let i = 0; i < items.length; i += size) {
+        // Requests issued in the same tick go out as one JSON-RPC batch
+        results.push(...await Promise.all(items.slice(i, i + size).map(lookup)));
+    }
+    return results;
+}
+
+// Hashes of the transactions that sent `token` Transfers to `recipient` within [fromBlock, toBlock].
+async function findMintTransactions(provider, { token, recipient, fromBlock, toBlock }) {
+    const hashes = new Set();
+    for (let start = fromBlock; start <= toBlock; start += LOG_RANGE_BLOCKS) {
+        const logs = await provider.getLogs({
+            address: token,
+            topics: [TRANSFER_TOPIC, null, ethers.zeroPadValue(recipient, 32)],
+            fromBlock: start,
+            toBlock: Math.min(toBlock, start + LOG_RANGE_BLOCKS - 1),
+        });
+        logs.forEach(log => hashes.add(log.transactionHash));
+    }
+    return [...hashes].map(hash => ({ hash }));
+}
+
+// Checks a run against the chain and returns the report (see README, "Reconciliation"):
+//   transactions - [{ hash, wallet?, nonce?, tx?, mints? }] to check, e.g. from the journal; null to find them
+//                  from Transfer logs in [fromBlock, toBlock] instead (reverted ones leave no log there).
+//                  mints: the calls a transaction carries, where that differs from mintsPerTransaction
+//   wallets      - [{ address, startBalance? }] to report final nonces and balances for; senders of
+//                  the checked transactions are added. In block-range mode, limits which senders count.
+//   fromBlock/toBlock - restrict the check to transactions mined in this range
+//   durationSeconds   - how long the run took (the journal knows); otherwise the span of block timestamps
+async function reconcile(provider, { token, recipient, mintsPerTransaction, transactions = null, wallets = [], fromBlock = null, toBlock = null, durationSeconds = null, batchSize = 100, log = () => {} }) {
+    const source = transactions === null ? 'blocks' : 'hashes';
+    if (transactions === null) {
+        if (fromBlock === null) throw new Error('Give transaction hashes or a block range to reconcile');
+        const lastBlock = toBlock !== null ? toBlock : await getBlockNumberUncached(provider);
+        transactions = await findMintTransactions(provider, { token, recipient, fromBlock, toBlock: lastBlock });
+        toBlock = lastBlock;
+        log(`Found ${transactions.length} transaction(s) with Transfers to ${recipient} in blocks ${fromBlock}-${toBlock}.`);
+    }
+
+    const lookups = await inBatches(transactions, batchSize, async entry => {
+        const [receipt, tx] = await Promise.all([
+            provider.getTransactionReceipt(entry.hash),
+            entry.wallet === undefined || entry.nonce === undefined ? provider.getTransaction(entry.hash) : null,
+        ]);
+        return { entry, receipt, tx };
+    });
+
+    const walletFilter = source === 'blocks' && wallets.length > 0 ? new Set(wallets.map(w => w.address.toLowerCase())) : null;
+    const rows = [];
+    for (const { entry, receipt, tx } of lookups) {
+        const wallet = entry.wallet || (receipt && receipt.from) || (tx && tx.from) || null;
+        if (walletFilter && (!wallet || !walletFilter.has(wallet.toLowerCase()))) continue;
+        if (receipt && ((fromBlock !== null && receipt.blockNumber < fromBlock) || (toBlock !== null && receipt.blockNumber > toBlock))) continue;
+        const { mints, amount } = receipt ? countTransfers(receipt.logs, token, recipient) : { mints: 0, amount: 0n };
+        rows.push({
+            hash: entry.hash,
+            tx: entry.tx !== undefined ? entry.tx : null,
+            wallet: wallet ? ethers.getAddress(wallet) : null,
+            nonce: entry.nonce !== undefined ? entry.nonce : (tx ? tx.nonce : null),
+            status: !receipt ? 'not found' : receipt.status === 1 ? 'success' : 'reverted',
+            blockNumber: receipt ? receipt.blockNumber : null,
+            gasUsed: receipt ? receipt.gasUsed : 0n,
+            gasCost: receipt ? receipt.fee : 0n, // gasUsed * effective gas price
+            mintsExpected: entry.mints !== undefined && entry.mints !== null ? entry.mints : mintsPerTransaction,
+            mints,
+            amount,
+        });
+    }
+
+    // Final state of every wallet involved
+    const walletMap = new Map();
+    wallets.forEach(w => walletMap.set(ethers.getAddress(w.address), { startBalance: w.startBalance !== undefined ? w.startBalance : null }));
+    rows.forEach(row => { if (row.wallet && !walletMap.has(row.wallet)) walletMap.set(row.wallet, { startBalance: null }); });
+    const walletStates = await inBatches([...walletMap.keys()], batchSize, async address => {
+        const [nonce, balance] = await Promise.all([provider.getTransactionCount(address, 'latest'), provider.getBalance(address, 'latest')]);
+        return { address, nonce, balance };
+    });
+
+    const walletRows = walletStates.map(({ address, nonce, balance }) => {
+        const own = rows.filter(row => row.wallet === address);
+        const { startBalance } = walletMap.get(address);
+        return {
+            address,
+            transactions: own.length,
+            mined: own.filter(row => row.status === 'success').length,
+            reverted: own.filter(row => row.status === 'reverted').length,
+            notFound: own.filter(row => row.status === 'not found').length,
+            mintsExpected: own.reduce((sum, row) => sum + row.mintsExpected, 0),
+            mints: own.reduce((sum, row) => sum + row.mints, 0),
+            gasUsed: own.reduce((sum, row) => sum + row.gasUsed, 0n),
+            gasCost: own.reduce((sum, row) => sum + row.gasCost, 0n),
+            finalNonce: nonce,
+            startBalance,
+            balance,
+        };
+    });
+
+    const minedBlocks = rows.filter(row => row.blockNumber !== null).map(row => row.blockNumber);
+    let durationSource = 'journal';
+    if (durationSeconds === null && minedBlocks.length > 0) {
+        const [first, last] = await Promise.all([provider.getBlock(Math.min(...minedBlocks)), provider.getBlock(Math.max(...minedBlocks))]);
+        durationSeconds = last.timestamp - first.timestamp;
+        durationSource = 'blocks';
+    }
+    const mints = rows.reduce((sum, row) => sum + row.mints, 0);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        source,
+        token: ethers.getAddress(token),
+        recipient: ethers.getAddress(recipient),
+        mintsPerTransaction,
+        fromBlock,
+        toBlock,
+        totals: {
+            transactions: rows.length,
+            mined: rows.filter(row => row.status === 'success').length,
+            reverted: rows.filter(row => row.status === 'reverted').length,
+            notFound: rows.filter(row => row.status === 'not found').length,
+            mintsExpected: rows.reduce((sum, row) => sum + row.mintsExpected, 0),
+            mints,
+            amount: rows.reduce((sum, row) => sum + row.amount, 0n),
+            gasUsed: rows.reduce((sum, row) => sum + row.gasUsed, 0n),
+            gasCost: rows.reduce((sum, row) => sum + row.gasCost, 0n),
+            firstBlock: minedBlocks.length > 0 ? Math.min(...minedBlocks) : null,
+            lastBlock: minedBlocks.length > 0 ? Math.max(...minedBlocks) : null,
+            durationSeconds,
+            durationSource: durationSeconds === null ? null : durationSource,
+            mintsPerSecond: durationSeconds > 0 ? mints / durationSeconds : null,
+        },
+        wallets: walletRows,
+        reverted: rows.filter(row => row.status === 'reverted'),
+        transactions: rows,
+    };
+}
+
+// The report as JSON text: amounts in wei and gas stay exact as decimal strings.
+function reportToJson(report) {
+    return JSON.stringify(report, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+// Two CSV tables: one row per wallet plus a total row, and one row per transaction.
+function reportToCsv(report) {
+    const { totals } = report;
+    const wallets = toCsv(
+        ['wallet', 'transactions', 'mined', 'reverted', 'not_found', 'mints_expected', 'mints', 'gas_used', 'gas_cost_eth', 'final_nonce', 'start_balance_eth', 'balance_eth'],
+        [
+            ...report.wallets.map(w => [w.address, w.transactions, w.mined, w.reverted, w.notFound, w.mintsExpected, w.mints, w.gasUsed, ethers.formatEther(w.gasCost), w.finalNonce, w.startBalance !== null ? ethers.formatEther(w.startBalance) : '', ethers.formatEther(w.balance)]),
+            ['TOTAL', totals.transactions, totals.mined, totals.reverted, totals.notFound, totals.mintsExpected, totals.mints, totals.gasUsed, ethers.formatEther(totals.gasCost), '', '', ''],
+        ],
+    );
+    const transactions = toCsv(
+        ['hash', 'tx', 'wallet', 'nonce', 'status', 'block', 'gas_used', 'gas_cost_eth', 'mints', 'amount'],
+        report.transactions.map(t => [t.hash, t.tx, t.wallet, t.nonce, t.status, t.blockNumber, t.gasUsed, ethers.formatEther(t.gasCost), t.mints, t.amount]),
+    );
+    return { wallets, transactions };
+}
+
+// Console summary of a report.
+function formatReport(report) {
+    const { totals } = report;
+    const lines = [
+        `Reconciliation of ${totals.transactions} transaction(s) (${report.source === 'blocks' ? `Transfers in blocks ${report.fromBlock}-${report.toBlock}` : 'given hashes'}):`,
+        `  Mined OK ${totals.mined}, reverted ${totals.reverted}, not found ${totals.notFound}`,
+        `  Mints to ${report.recipient}: ${totals.mints} of ${totals.mintsExpected} expected (${report.mintsPerTransaction} per transaction)${totals.mints < totals.mintsExpected ? `, ${totals.mintsExpected - totals.mints} missing` : ''}`,
+        `  Gas: ${totals.gasUsed} used, ${ethers.formatEther(totals.gasCost)} ETH`,
+        `  Effective rate: ${totals.mintsPerSecond !== null ? `${totals.mintsPerSecond.toFixed(2)} mints/s over ${totals.durationSeconds.toFixed(2)}s (${totals.durationSource})` : 'N/A'}`,
+        '  Per wallet (transactions / mined / reverted / mints / gas ETH / final nonce / balance ETH):',
+        ...report.wallets.map(w => `    ${w.address}: ${w.transactions} / ${w.mined} / ${w.reverted} / ${w.mints} / ${ethers.formatEther(w.gasCost)} / ${w.finalNonce} / ${ethers.formatEther(w.balance)}`),
+    ];
+    return lines.join('\n');
+}
+
+export { reconcile, reportToJson, reportToCsv, formatReport, countTransfers, TRANSFER_TOPIC };
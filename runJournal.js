@@ -0,0 +1,182 @@
+// runJournal.js
+import fs from 'fs';
+import path from 'path';
+
+// Append-only JSONL record of a campaign. Every line is one event:
+//   run      - a (re)start of the campaign, with the settings it was started with
+//   plan     - the budget plan: cost per transaction and each wallet's balance and assigned count
+//   trigger  - the start trigger fired: its condition, how long the run waited for it and the block
+//   attempt  - a submission attempt for transaction #tx from wallet/nonce
+//   sent     - the node accepted the transaction and returned a hash, with the number of `mints` it
+//              carries (or unstick.js replaced it with a faster one: `replaces` holds the previous hash)
+//   error    - an attempt failed (the transaction may still be retried)
+//   failed   - the transaction was given up on after all retries
+//   dropped  - a previously sent transaction was found not to be on chain when resuming, or unstick.js
+//              cancelled it (`cancelledBy`)
+//   outcome  - the receipt tracker's verdict for a sent hash: success, reverted, dropped or pending
+//   batchSize - batchSizing 'auto' cut the mints per transaction mid-run (`reason`: out-of-gas or gas-limit)
+//   end      - the run finished normally, or drained after a stop (`stopped` names the signal or 'control endpoint')
+// Lines are written synchronously so a crash loses at most the line being written;
+// a truncated final line is ignored when the journal is read back.
+class RunJournal {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.fd = null;
+    }
+
+    static read(filePath) {
+        const resolved = path.resolve(filePath);
+        if (!fs.existsSync(resolved)) return [];
+        const records = [];
+        const lines = fs.readFileSync(resolved, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (line.trim() === '') return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                // Only the last line can legitimately be partial (crash mid-write)
+                if (index < lines.length - 2) {
+                    throw new Error(`Journal ${resolved} is corrupt at line ${index + 1}: ${e.message}`);
+                }
+            }
+        });
+        return records;
+    }
+
+    // Moves an existing journal out of the way so a fresh (non-resumed) run starts empty.
+    static archive(filePath) {
+        const resolved = path.resolve(filePath);
+        if (!fs.existsSync(resolved) || fs.statSync(resolved).size === 0) return null;
+        const { dir, name, ext } = path.parse(resolved);
+        const archivedPath = path.join(dir, `${name}.${Date.now()}${ext}`);
+        fs.renameSync(resolved, archivedPath);
+        return archivedPath;
+    }
+
+    open() {
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+        return this;
+    }
+
+    record(type, fields = {}) {
+        if (this.fd === null) this.open();
+        fs.writeSync(this.fd, `${JSON.stringify({ type, ts: Date.now(), ...fields })}\n`);
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.fsyncSync(this.fd);
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// Per-transaction state from the journal: the latest 'sent' hash/nonce, dropped and final failure flags.
+function collectTransactions(records) {
+    const transactions = new Map(); // tx -> { tx, wallet, nonce, hash, mints, sent, dropped, failed, outcome, attempts }
+    for (const record of records) {
+        if (record.tx === undefined) continue;
+        if (!transactions.has(record.tx)) {
+            transactions.set(record.tx, { tx: record.tx, wallet: record.wallet, nonce: null, hash: null, mints: null, sent: false, dropped: false, failed: false, outcome: null, attempts: 0 });
+        }
+        const entry = transactions.get(record.tx);
+        switch (record.type) {
+            case 'attempt':
+                entry.attempts++;
+                break;
+            case 'sent':
+                entry.wallet = record.wallet;
+                entry.nonce = record.nonce;
+                entry.hash = record.hash;
+                if (record.mints !== undefined) entry.mints = record.mints; // Journals before batchSizing have none
+                entry.sent = true;
+                entry.dropped = false;
+                entry.failed = false;
+                entry.outcome = null;
+                break;
+            case 'dropped':
+                entry.dropped = true;
+                break;
+            case 'outcome':
+                if (record.hash !== entry.hash) break; // Verdict for an earlier send of this tx
+                entry.outcome = record.outcome;
+                if (record.outcome === 'dropped') entry.dropped = true;
+                break;
+            case 'failed':
+                // Handed back to the work queue: another wallet sends it under a new tx number
+                if (!entry.sent && !record.handedBack) entry.failed = true;
+                break;
+        }
+    }
+    return transactions;
+}
+
+// Reconciles sent transactions against each wallet's on-chain "pending" transaction count.
+// Anything journaled as sent at a nonce the chain has not reached was dropped and must be redone.
+// Returns the dropped transactions so the caller can journal them.
+function findDroppedTransactions(records, onChainNonces) {
+    const dropped = [];
+    for (const entry of collectTransactions(records).values()) {
+        if (!entry.sent || entry.dropped) continue;
+        const onChainNonce = onChainNonces.get(entry.wallet);
+        if (onChainNonce !== undefined && onChainNonce !== null && entry.nonce >= onChainNonce) {
+            dropped.push(entry);
+        }
+    }
+    return dropped;
+}
+
+// Everything the end-of-run report needs, computed from the journal alone.
+function summarizeJournal(records) {
+    const runs = records.filter(r => r.type === 'run');
+    const transactions = [...collectTransactions(records).values()];
+    const broadcast = transactions.filter(t => t.sent && !t.dropped);
+    const failed = transactions.filter(t => t.failed && !t.sent);
+    const dropped = transactions.filter(t => t.dropped);
+
+    // Active time is the sum of each session: from its 'run' record (or its 'trigger', so time spent
+    // waiting to start does not count) to its 'end' (or last record if it crashed)
+    let activeMs = 0;
+    runs.forEach(run => {
+        const startIndex = records.indexOf(run);
+        let startTs = run.ts;
+        let endTs = run.ts;
+        for (let i = startIndex + 1; i < records.length && records[i].type !== 'run'; i++) {
+            if (records[i].type === 'trigger') startTs = records[i].ts;
+            endTs = records[i].ts;
+        }
+        activeMs += endTs - startTs;
+    });
+
+    // Broadcasts per wallet, broken out by on-chain outcome ('unknown' = never checked by the tracker)
+    const outcomes = { success: 0, reverted: 0, dropped: 0, pending: 0, unknown: 0 };
+    const perWallet = {};
+    for (const t of transactions.filter(t => t.sent)) {
+        const outcome = t.outcome || (t.dropped ? 'dropped' : 'unknown');
+        if (!perWallet[t.wallet]) perWallet[t.wallet] = { sent: 0, success: 0, reverted: 0, dropped: 0, pending: 0, unknown: 0 };
+        perWallet[t.wallet].sent++;
+        perWallet[t.wallet][outcome]++;
+        outcomes[outcome]++;
+    }
+
+    const lastRun = runs[runs.length - 1];
+    return {
+        target: lastRun ? lastRun.totalTransactions : 0,
+        mintsPerTransaction: lastRun ? lastRun.mintsPerTransaction : 0,
+        sessions: runs.length,
+        broadcast: broadcast.length,
+        failed: failed.length,
+        dropped: dropped.length,
+        outcomes,
+        perWallet,
+        activeSeconds: activeMs / 1000,
+        lastTx: transactions.reduce((max, t) => Math.max(max, t.tx), 0),
+        completed: records.length > 0 && records[records.length - 1].type === 'end',
+    };
+}
+
+export default RunJournal;
+export { collectTransactions, findDroppedTransactions, summarizeJournal };
@@ -0,0 +1,199 @@
+// startTrigger.js
+import { ethers } from 'ethers';
+
+// Parses startAt: an ISO 8601 date-time ("2026-10-20T14:00:00Z") or unix seconds. Returns epoch ms.
+function parseStartTime(value) {
+    const text = String(value).trim();
+    const ms = /^\d+(\.\d+)?$/.test(text) ? Math.round(Number(text) * 1000) : Date.parse(text);
+    if (Number.isNaN(ms)) {
+        throw new Error(`expected an ISO 8601 date-time or unix seconds, got ${JSON.stringify(value)}`);
+    }
+    return ms;
+}
+
+// A view call whose first return value is compared with `expect`. signature must declare its
+// return type, e.g. "mintOpen() returns (bool)". Without `expect` the condition is a truthy
+// result (true, a non-zero number, a non-empty string, a non-zero address).
+function buildConditionCall({ signature, args = [], target, expect }) {
+    const text = signature.trim().startsWith('function ') ? signature.trim() : `function ${signature.trim()}`;
+    let fragment;
+    try {
+        fragment = ethers.FunctionFragment.from(text);
+    } catch (e) {
+        throw new Error(`Invalid function signature '${signature}': ${e.shortMessage || e.message}`);
+    }
+    if (fragment.outputs.length === 0) {
+        throw new Error(`'${signature}' must declare what it returns, e.g. "${fragment.name}(${fragment.inputs.map(i => i.type).join(',')}) returns (bool)"`);
+    }
+    const iface = new ethers.Interface([fragment]);
+    return {
+        to: target,
+        data: iface.encodeFunctionData(fragment, args),
+        description: `${fragment.format()} ${expect !== undefined && expect !== null ? `== ${expect}` : 'is truthy'}`,
+        // Decodes an eth_call result and tells whether the condition holds
+        check(result) {
+            const value = iface.decodeFunctionResult(fragment, result)[0];
+            return matches(value, expect);
+        },
+    };
+}
+
+function matches(value, expect) {
+    if (expect === undefined || expect === null) {
+        if (typeof value === 'string') return ethers.isAddress(value) ? value !== ethers.ZeroAddress : value.length > 0;
+        return Boolean(value) && value !== 0n;
+    }
+    const wanted = String(expect).trim();
+    if (typeof value === 'bigint') {
+        try {
+            return value === BigInt(wanted);
+        } catch (e) {
+            return false;
+        }
+    }
+    if (typeof value === 'string') return ethers.isAddress(value) || ethers.isHexString(value) ? value.toLowerCase() === wanted.toLowerCase() : value === wanted;
+    return String(value) === wanted;
+}
+
+// topic0 of an event signature such as "MintOpened(uint256)" or "event SaleStarted(uint256 indexed id)".
+function eventTopic(signature) {
+    const text = signature.trim().startsWith('event ') ? signature.trim() : `event ${signature.trim()}`;
+    try {
+        return ethers.EventFragment.from(text).topicHash;
+    } catch (e) {
+        throw new Error(`Invalid event signature '${signature}': ${e.shortMessage || e.message}`);
+    }
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Holds a run back until its start conditions are met. Every condition that is set must be met,
+// in this order:
+//   at    - wall-clock time (epoch ms)
+//   block - the chain has mined block `block - 1`, so the first transactions can land in `block`
+//   call  - a view call (buildConditionCall) returns the expected value
+//   event - a log with topic0 `event.topic` from `event.address` is mined after the wait started
+// Chain conditions are polled every pollIntervalMs; onPoll is called on every poll (and on every
+// tick of the clock wait) so the caller can keep prepared work fresh. cancel() ends wait() with null.
+class StartTrigger {
+    constructor(provider, { at = null, block = null, call = null, event = null, pollIntervalMs = 1000, onPoll = async () => {}, log = () => {} }) {
+        this.provider = provider;
+        this.at = at;
+        this.block = block;
+        this.call = call;
+        this.event = event;
+        this.pollIntervalMs = pollIntervalMs;
+        this.onPoll = onPoll;
+        this.log = log;
+        this.cancelled = false;
+        this.lastPollError = null;
+        this._cancel = null;
+        this.cancelledPromise = new Promise(resolve => { this._cancel = resolve; });
+    }
+
+    get isSet() {
+        return this.at !== null || this.block !== null || this.call !== null || this.event !== null;
+    }
+
+    describe() {
+        const parts = [];
+        if (this.at !== null) parts.push(`at ${new Date(this.at).toISOString()}`);
+        if (this.block !== null) parts.push(`at block ${this.block}`);
+        if (this.call !== null) parts.push(`when ${this.call.description}`);
+        if (this.event !== null) parts.push(`on ${this.event.description}`);
+        return parts.join(', then ');
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this._cancel();
+    }
+
+    _sleep(ms) {
+        return Promise.race([new Promise(resolve => setTimeout(resolve, ms)), this.cancelledPromise]);
+    }
+
+    async _tick() {
+        try {
+            await this.onPoll();
+        } catch (err) {
+            this.log(`Start trigger: preparing ahead failed: ${err.message}`);
+        }
+    }
+
+    // Resolves with { firedAt, blockNumber } once every condition is met, or null when cancelled.
+    async wait() {
+        const startBlock = this.event !== null ? await this._poll(() => this.provider.getBlockNumber()) : null;
+        let blockNumber = null;
+
+        if (this.at !== null) {
+            if (this.at > Date.now()) this.log(`Start trigger: waiting ${formatDuration(this.at - Date.now())} until ${new Date(this.at).toISOString()}.`);
+            while (!this.cancelled && Date.now() < this.at) {
+                await this._tick();
+                await this._sleep(Math.min(this.pollIntervalMs, this.at - Date.now()));
+            }
+        }
+        if (this.block !== null) {
+            this.log(`Start trigger: waiting for block ${this.block - 1} to be mined.`);
+            while (!this.cancelled) {
+                blockNumber = await this._poll(() => this.provider.getBlockNumber());
+                if (blockNumber !== null && blockNumber >= this.block - 1) break;
+                await this._tick();
+                await this._sleep(this.pollIntervalMs);
+            }
+        }
+        if (this.call !== null) {
+            this.log(`Start trigger: polling ${this.call.description}.`);
+            while (!this.cancelled) {
+                const met = await this._poll(async () => this.call.check(await this.provider.call({ to: this.call.to, data: this.call.data })));
+                if (met) break;
+                await this._tick();
+                await this._sleep(this.pollIntervalMs);
+            }
+        }
+        if (this.event !== null) {
+            // From the block the wait started in: the event may be in that block already, or have been
+            // emitted while the conditions above were awaited
+            let nextBlock = startBlock;
+            this.log(`Start trigger: watching for ${this.event.description}${nextBlock !== null ? ` from block ${nextBlock}` : ''}.`);
+            while (!this.cancelled) {
+                const latest = await this._poll(() => this.provider.getBlockNumber());
+                if (latest !== null && nextBlock === null) nextBlock = latest;
+                if (latest !== null && latest >= nextBlock) {
+                    const logs = await this._poll(() => this.provider.getLogs({ address: this.event.address, topics: [this.event.topic], fromBlock: nextBlock, toBlock: latest }));
+                    if (logs !== null && logs.length > 0) {
+                        blockNumber = logs[0].blockNumber;
+                        break;
+                    }
+                    if (logs !== null) nextBlock = latest + 1;
+                }
+                await this._tick();
+                await this._sleep(this.pollIntervalMs);
+            }
+        }
+        return this.cancelled ? null : { firedAt: Date.now(), blockNumber };
+    }
+
+    // A failed poll (node hiccup, a view call that reverts until the mint opens) is retried on the
+    // next one. The same failure is only logged once in a row.
+    async _poll(read) {
+        try {
+            const result = await read();
+            this.lastPollError = null;
+            return result;
+        } catch (err) {
+            const message = err.shortMessage || err.message;
+            if (message !== this.lastPollError) this.log(`Start trigger: poll failed (${message}); retrying every ${this.pollIntervalMs}ms.`);
+            this.lastPollError = message;
+            return null;
+        }
+    }
+}
+
+export default StartTrigger;
+export { parseStartTime, buildConditionCall, eventTopic };
@@ -0,0 +1,113 @@
+// stuckTransactions.js
+// Finds the nonces a run left waiting in the pool and clears them (unstick.js is the command). A wallet
+// is stuck between its "latest" (mined) and "pending" transaction counts; journaled sends above the
+// pending count sit behind a gap that count cannot see, so they are included too. Each stuck nonce is
+// replaced at a higher fee, either by a zero-value transfer to the wallet itself (cancel) or by the
+// original payload (speed-up).
+import { ethers } from 'ethers';
+import { bumpFees, maxPricePerGas } from './feeStrategy.js';
+import { classifyError, ERROR_CATEGORIES } from './errorClassifier.js';
+import { getTransactionCountUncached } from './transport.js';
+
+const ACTIONS = ['cancel', 'speed-up'];
+const TRANSFER_GAS_LIMIT = 21000n;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// journaledNonces: nonces this wallet was journaled as sending
+async function scanWallet(provider, address, journaledNonces = []) {
+    const [latest, pending] = await Promise.all([getTransactionCountUncached(provider, address, 'latest'), getTransactionCountUncached(provider, address, 'pending')]);
+    const end = journaledNonces.filter(nonce => nonce >= latest).reduce((highest, nonce) => Math.max(highest, nonce + 1), pending);
+    const nonces = [];
+    for (let nonce = latest; nonce < end; nonce++) nonces.push(nonce);
+    return { address, latest, pending, nonces };
+}
+
+// The fees a transaction pays, from eth_getTransactionByHash
+function feesOf(transaction) {
+    if (transaction.maxFeePerGas !== undefined && transaction.maxFeePerGas !== null) {
+        return { maxFeePerGas: BigInt(transaction.maxFeePerGas), maxPriorityFeePerGas: BigInt(transaction.maxPriorityFeePerGas) };
+    }
+    return { gasPrice: BigInt(transaction.gasPrice) };
+}
+
+// Fees for a replacement: today's fees, but at least `percent` above what the original pays, since
+// nodes only replace a pooled transaction that pays more. Without the original, today's fees bumped once.
+function replacementFees(current, original, percent, maxFee = null) {
+    if (!original) return bumpFees(current, percent, maxFee);
+    const floor = bumpFees(original, percent, maxFee);
+    const minPrice = maxPricePerGas(floor);
+    const minTip = floor.maxPriorityFeePerGas !== undefined ? floor.maxPriorityFeePerGas : floor.gasPrice;
+    const atLeast = (value, min) => (value > min ? value : min);
+    if (current.gasPrice !== undefined) return { gasPrice: atLeast(current.gasPrice, minPrice) };
+    const maxFeePerGas = atLeast(current.maxFeePerGas, minPrice);
+    const maxPriorityFeePerGas = atLeast(current.maxPriorityFeePerGas, minTip);
+    return { maxFeePerGas, maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas };
+}
+
+// The unsigned replacement for one nonce. original: the stuck transaction (eth_getTransactionByHash),
+// when known; speed-up without it re-sends `call` with `gasLimit`.
+function buildReplacement(action, { address, nonce, chainId, fees, original = null, call = null, gasLimit = null }) {
+    let payload;
+    if (action === 'cancel') {
+        payload = { to: address, data: '0x', value: 0n, gasLimit: TRANSFER_GAS_LIMIT };
+    } else if (original) {
+        payload = { to: original.to, data: original.input || original.data, value: BigInt(original.value || 0), gasLimit: BigInt(original.gas || original.gasLimit) };
+    } else {
+        if (!call) throw new Error(`Nonce ${nonce}: the original transaction is unknown and there is no payload to re-send`);
+        payload = { to: call.to, data: call.data, value: 0n, gasLimit: BigInt(gasLimit) };
+    }
+    const transaction = { chainId: BigInt(chainId), nonce, ...payload };
+    if (fees.maxFeePerGas !== undefined) return { ...transaction, type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+    return { ...transaction, type: 0, gasPrice: fees.gasPrice };
+}
+
+// Replaces every stuck nonce of one wallet. Fees go up by feeBumpPercent again (at most maxFeeBumps
+// times) while the node says the replacement is underpriced. Resolves with one entry per nonce:
+//   { nonce, action, original, hash, fees, status, error }
+// status: 'sent' (replacement accepted), 'mined' (the nonce was mined before it could be replaced)
+// or 'failed'. original is the stuck transaction's hash when known.
+async function unstickWallet(provider, signer, { action, nonces, originals = new Map(), chainId, getFees, call = null, gasLimit = null, feeBumpPercent = 15, maxFeeBumps = 3, maxFee = null, log = () => {} }) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown action '${action}' (expected ${ACTIONS.join(' or ')})`);
+    const results = [];
+    for (const nonce of nonces) {
+        const original = originals.get(nonce) || null;
+        let fees = replacementFees(await getFees(), original ? feesOf(original) : null, feeBumpPercent, maxFee);
+        const result = { nonce, action, original: original ? original.hash : null, hash: null, fees, status: 'failed', error: null };
+        for (let bumps = 0; ; bumps++) {
+            try {
+                const signed = await signer.signTransaction(buildReplacement(action, { address: signer.address, nonce, chainId, fees, original, call, gasLimit }));
+                await provider.send('eth_sendRawTransaction', [signed]);
+                Object.assign(result, { hash: ethers.keccak256(signed), fees, status: 'sent', error: null });
+                break;
+            } catch (err) {
+                const category = classifyError(err);
+                result.error = err.shortMessage || err.message;
+                if (category === ERROR_CATEGORIES.NonceTooLow) {
+                    result.status = 'mined';
+                    break;
+                }
+                const underpriced = category === ERROR_CATEGORIES.Underpriced || category === ERROR_CATEGORIES.ReplacementUnderpriced;
+                if (!underpriced || bumps >= maxFeeBumps) break;
+                fees = bumpFees(fees, feeBumpPercent, maxFee);
+                log(`Wallet ${signer.address.substring(0,10)}...: nonce ${nonce} replacement underpriced; raising fees to ${maxPricePerGas(fees)} wei per gas`);
+            }
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+// Polls the wallet's mined count until it reaches `nonce`; false if timeoutMs passes first.
+async function waitUntilClear(provider, address, nonce, { timeoutMs = 120000, pollIntervalMs = 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        if (await getTransactionCountUncached(provider, address, 'latest') >= nonce) return true;
+        if (Date.now() >= deadline) return false;
+        await delay(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())));
+    }
+}
+
+export { ACTIONS, scanWallet, replacementFees, buildReplacement, unstickWallet, waitUntilClear };
@@ -0,0 +1,77 @@
+// test/batchTuner.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import BatchTuner from '../batchTuner.js';
+import { buildBatchCall } from '../callBuilder.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const MULTICALL = '0xb1f60733c7b76f8f4085af3d9f6e374c43e462f8';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FROM = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const AGGREGATE = new ethers.Interface(['function aggregate((address target, bytes callData)[] calls)']);
+
+const callsIn = data => AGGREGATE.decodeFunctionData('aggregate', data)[0].length;
+const buildCall = count => buildBatchCall({ batchAddress: MULTICALL, target: TOKEN, callData: '0x05632f40', count });
+
+// 21000 + 1000 per call; the contract refuses batches above maxCalls
+async function withTuner(options, { maxCalls = Infinity, blockGasLimit = 1000000n } = {}, run) {
+    const node = await new FakeNode({
+        blockGasLimit,
+        estimateGas: call => {
+            const count = callsIn(call.data);
+            if (count > maxCalls) throw new Error('execution reverted: too many mints');
+            return 21000n + 1000n * BigInt(count);
+        },
+    }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    try {
+        await run(new BatchTuner({ provider, buildCall, maxCount: 1000, blockGasPercent: 50, marginPercent: 20, ...options }), node);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('picks the largest batch whose gas limit fits the share of the block gas limit, in a few estimates', async () => {
+    await withTuner({}, {}, async (tuner, node) => {
+        const calibration = await tuner.calibrate(FROM);
+        // (21000 + 1000n) * 1.2 <= 500000  =>  n <= 395
+        assert.equal(calibration.count, 395);
+        assert.equal(calibration.gas, 416000n);
+        assert.equal(calibration.gasLimit, 499200n);
+        assert.equal(calibration.blockGasLimit, 1000000n);
+        assert.equal(calibration.budget, 500000n);
+        assert.deepEqual(calibration.estimates.map(e => e.count), [1, 2, 395, 396]);
+        assert.equal(node.counts.methods.eth_estimateGas, 4);
+        assert.equal(tuner.count, 395);
+    });
+});
+
+test('stays within maxCount, a fixed gas limit and what the contract accepts', async () => {
+    await withTuner({ maxCount: 100 }, {}, async (tuner) => {
+        assert.equal((await tuner.calibrate(FROM)).count, 100);
+    });
+    await withTuner({ maxGasLimit: 120000n }, {}, async (tuner) => {
+        assert.equal((await tuner.calibrate(FROM)).count, 79); // (21000 + 1000n) * 1.2 <= 120000
+    });
+    await withTuner({}, { maxCalls: 300 }, async (tuner) => {
+        const calibration = await tuner.calibrate(FROM);
+        assert.equal(calibration.count, 300);
+        assert.ok(calibration.estimates.some(e => e.gas === null), 'larger batches fail to estimate');
+    });
+    await withTuner({}, { blockGasLimit: 40000n }, async (tuner) => {
+        await assert.rejects(tuner.calibrate(FROM), /a single call needs a gas limit of 26400, above the 20000/);
+    });
+});
+
+test('shrink() cuts the size once per failing size, down to one call', async () => {
+    await withTuner({}, {}, async (tuner) => {
+        tuner.use(100);
+        assert.equal(tuner.shrink(100), 75);
+        assert.equal(tuner.shrink(100), 75, 'a second failure of the old size does not cut again');
+        assert.equal(tuner.shrink(75), 56);
+        tuner.use(1);
+        assert.equal(tuner.shrink(1), null);
+    });
+});
@@ -0,0 +1,118 @@
+// test/blockPacer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import BlockPacer from '../blockPacer.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+async function withPacer(options, run) {
+    const node = await new FakeNode({ automine: false }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    const wallet = new ethers.Wallet(KEY, provider);
+    const pacer = new BlockPacer({ provider, targetPending: 2, pollIntervalMs: 10, ...options });
+    const send = async (nonce) => {
+        await wallet.sendTransaction({ to: TOKEN, data: '0x', nonce, gasLimit: 100000, gasPrice: 10n, type: 0 });
+        pacer.submitted(wallet.address, nonce);
+    };
+    try {
+        pacer.register(wallet.address, 0);
+        await run({ node, pacer, address: wallet.address, send });
+    } finally {
+        pacer.stop();
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('room opens as new heads show the wallet\'s transactions mined', async () => {
+    await withPacer({}, async ({ node, pacer, address, send }) => {
+        assert.equal(pacer.hasRoom(address), false, 'not read from the chain yet');
+        await pacer.start();
+        assert.equal(pacer.hasRoom(address), true);
+        assert.equal(pacer.hasRoom(address, 2), false, 'transactions in submission count too');
+
+        await send(0);
+        await send(1);
+        assert.equal(pacer.pending(address), 2);
+        assert.equal(pacer.hasRoom(address), false);
+        assert.equal(pacer.awaitingInclusion(), true);
+
+        node.mine();
+        while (pacer.pending(address) > 0) await pacer.changed();
+        assert.equal(pacer.hasRoom(address), true);
+        assert.equal(pacer.included, 2);
+        assert.equal(pacer.blocks, 1);
+        assert.equal(pacer.awaitingInclusion(), false, 'nothing pending');
+    });
+});
+
+test('one refresh covers every block since the last one, however short the block time', async () => {
+    await withPacer({ pollIntervalMs: 200 }, async ({ node, pacer, address, send }) => {
+        await pacer.start();
+        await send(0);
+        await send(1);
+        node.mine();
+        for (let i = 0; i < 4; i++) node.mine();
+        while (pacer.pending(address) > 0) await pacer.changed();
+
+        assert.equal(pacer.blocks, 5);
+        assert.equal(pacer.included, 2);
+        assert.ok(Math.abs(pacer.includedPerBlock - 0.2 * (2 / 5)) < 1e-9, `${pacer.includedPerBlock}`);
+        const reads = node.counts.methods.eth_getTransactionCount;
+        assert.ok(reads <= 2, `${reads} mined-count reads for 5 blocks`);
+    });
+});
+
+test('heads from a subscription trigger refreshes; pending transactions that are never mined stop holding the run open', async () => {
+    let onHead = null;
+    const subscribe = (handler) => {
+        onHead = handler;
+        return () => { onHead = null; };
+    };
+    await withPacer({ pollIntervalMs: 50, stallMs: 300, subscribe }, async ({ node, pacer, address, send }) => {
+        await pacer.start();
+        await send(0);
+        node.baseFee = 20n; // Priced under the base fee: stays pooled
+
+        node.mine();
+        const changed = pacer.changed();
+        onHead(node.blockNumber);
+        await changed;
+        assert.equal(pacer.blockNumber, node.blockNumber);
+        assert.equal(pacer.pending(address), 1);
+        assert.equal(pacer.awaitingInclusion(), true);
+
+        await new Promise(resolve => setTimeout(resolve, 350));
+        assert.equal(pacer.awaitingInclusion(), false, 'no inclusion for stallMs');
+    });
+    assert.equal(onHead, null, 'stop() unsubscribes');
+});
+
+test('a failed first read leaves the wallets without room but awaiting a head, until a refresh succeeds or stallMs passes', async () => {
+    const logs = [];
+    await withPacer({ log: message => logs.push(message) }, async ({ node, pacer, address }) => {
+        node.inject({ method: 'eth_blockNumber', error: { code: -32000, message: 'header not found' } }, 3);
+        await pacer.start();
+        assert.equal(pacer.unread, 1);
+        assert.equal(pacer.hasRoom(address), false);
+        assert.equal(pacer.awaitingInclusion(), false, 'nothing pending');
+        assert.equal(pacer.awaitingHead(), true);
+
+        while (pacer.unread > 0) await pacer.changed();
+        assert.equal(pacer.hasRoom(address), true);
+        assert.equal(pacer.awaitingHead(), false);
+        assert.equal(logs.length, 1, 'the same error is logged once');
+    });
+
+    await withPacer({ stallMs: 100 }, async ({ node, pacer }) => {
+        node.inject({ method: 'eth_blockNumber', error: { code: -32000, message: 'header not found' } }, 1000);
+        await pacer.start();
+        assert.equal(pacer.awaitingHead(), true);
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(pacer.unread, 1);
+        assert.equal(pacer.awaitingHead(), false, 'no successful read for stallMs');
+    });
+});
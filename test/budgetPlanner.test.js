@@ -0,0 +1,59 @@
+// test/budgetPlanner.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planBudget, formatPlan, fetchBalances } from '../budgetPlanner.js';
+
+const COST = 1000n;
+const wallet = (n, balance) => ({ address: `0x${String(n).repeat(40)}`, balance });
+
+test('splits evenly when every wallet can pay for its share', () => {
+    const plan = planBudget({ wallets: [wallet(1, 10000n), wallet(2, 10000n), wallet(3, 10000n)], totalTransactions: 10, costPerTransaction: COST });
+    assert.deepEqual(plan.wallets.map(w => w.assigned).sort(), [3, 3, 4]);
+    assert.equal(plan.planned, 10);
+    assert.equal(plan.shortfall, 0n);
+    assert.equal(plan.totalCost, 10n * COST);
+});
+
+test('moves what a poor wallet cannot pay for to wallets with room', () => {
+    const plan = planBudget({ wallets: [wallet(1, 1500n), wallet(2, 10000n), wallet(3, 10000n)], totalTransactions: 9, costPerTransaction: COST });
+    assert.deepEqual(plan.wallets.map(w => w.assigned), [1, 4, 4]);
+    assert.equal(plan.planned, 9);
+    // An even share is 3 transactions (3000 wei); the first wallet is 1500 short of it
+    assert.equal(plan.wallets[0].shortfall, 1500n);
+    assert.equal(plan.shortfall, 1500n);
+});
+
+test('plans fewer transactions than requested when the wallets run out of funds', () => {
+    const plan = planBudget({ wallets: [wallet(1, 2999n), wallet(2, 0n)], totalTransactions: 6, costPerTransaction: COST });
+    assert.deepEqual(plan.wallets.map(w => w.affordable), [2, 0]);
+    assert.deepEqual(plan.wallets.map(w => w.assigned), [2, 0]);
+    assert.equal(plan.planned, 2);
+    assert.deepEqual(plan.wallets.map(w => w.shortfall), [1n, 3000n]);
+});
+
+test('a per-wallet spend cap limits what a wallet is given but is not a shortfall', () => {
+    const plan = planBudget({ wallets: [wallet(1, 100000n), wallet(2, 100000n)], totalTransactions: 10, costPerTransaction: COST, maxPerWallet: 3000n });
+    assert.deepEqual(plan.wallets.map(w => w.assigned), [3, 3]);
+    assert.equal(plan.wallets[0].cappedBySpendLimit, true);
+    assert.equal(plan.planned, 6);
+    assert.equal(plan.shortfall, 0n);
+});
+
+test('the table lists every wallet and the totals', () => {
+    const plan = planBudget({ wallets: [wallet(1, 10n ** 18n), wallet(2, 0n)], totalTransactions: 4, costPerTransaction: 10n ** 15n });
+    const lines = formatPlan(plan).split('\n');
+    assert.equal(lines.length, 6);
+    assert.match(lines[2], /^0x1{40}\s+1\.000000\s+1000\s+4\s+-$/);
+    assert.match(lines[3], /^0x2{40}\s+0\.000000\s+0\s+0\s+0\.002000$/);
+    assert.match(lines[5], /^Total \(2 wallets\)\s+1\.000000\s+4 \/ 4\s+0\.002000$/);
+});
+
+test('balances are read for every wallet', async () => {
+    const calls = [];
+    const provider = { getBalance: async (address, blockTag) => { calls.push(blockTag); return BigInt(address.length); } };
+    const addresses = Array.from({ length: 25 }, (_, i) => `0x${i}`);
+    const balances = await fetchBalances(provider, addresses);
+    assert.equal(balances.size, 25);
+    assert.equal(balances.get('0x12'), 4n);
+    assert.ok(calls.every(tag => tag === 'pending'));
+});
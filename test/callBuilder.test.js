@@ -0,0 +1,83 @@
+// test/callBuilder.test.js
+// Calldata is checked against words written out by hand (the Multicall3 selectors and the ABI layout),
+// not against ethers' own encoder.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBatchCall, decodeBatchResult, buildInnerCall, getSelector } from '../callBuilder.js';
+
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const MINT = '0x1249c58b'; // mint()
+
+const word = n => n.toString(16).padStart(64, '0');
+const padRight = hex => hex.padEnd(64, '0');
+const ADDRESS_WORD = TOKEN.slice(2).toLowerCase().padStart(64, '0');
+const calldata = (selector, words) => selector + words.join('');
+
+// One (address target, bytes callData) tuple: target, offset of the bytes, their length, the bytes
+const call = [ADDRESS_WORD, word(0x40), word(4), padRight(MINT.slice(2))];
+
+test('aggregate encodes (address, bytes)[] with selector 0x252dba42', () => {
+    const batch = buildBatchCall({ wrapper: 'aggregate', batchAddress: MULTICALL, target: TOKEN, callData: MINT, count: 2 });
+    assert.equal(batch.to, MULTICALL);
+    assert.equal(batch.callsPerTransaction, 2);
+    assert.equal(batch.data, calldata('0x252dba42', [
+        word(0x20), // Offset of the array
+        word(2), word(0x40), word(0xc0), // Length, offsets of both tuples (each 4 words)
+        ...call, ...call,
+    ]));
+});
+
+test('aggregate3 encodes (address, bool allowFailure, bytes)[] with selector 0x82ad56cb', () => {
+    const tuple = allowFailure => [ADDRESS_WORD, word(allowFailure ? 1 : 0), word(0x60), word(4), padRight(MINT.slice(2))];
+    for (const allowFailure of [false, true]) {
+        const batch = buildBatchCall({ wrapper: 'aggregate3', batchAddress: MULTICALL, target: TOKEN, callData: MINT, count: 2, allowFailure });
+        assert.equal(batch.data, calldata('0x82ad56cb', [
+            word(0x20),
+            word(2), word(0x40), word(0xe0), // Each tuple is 5 words
+            ...tuple(allowFailure), ...tuple(allowFailure),
+        ]));
+    }
+});
+
+test('tryAggregate encodes requireSuccess as the opposite of allowFailure, with selector 0xbce38bd7', () => {
+    for (const allowFailure of [false, true]) {
+        const batch = buildBatchCall({ wrapper: 'tryAggregate', batchAddress: MULTICALL, target: TOKEN, callData: MINT, count: 1, allowFailure });
+        assert.equal(batch.data, calldata('0xbce38bd7', [
+            word(allowFailure ? 0 : 1), // requireSuccess
+            word(0x40), // Offset of the array
+            word(1), word(0x20),
+            ...call,
+        ]));
+    }
+});
+
+test('wrapper none calls the target directly; unknown wrappers are refused', () => {
+    assert.deepEqual(buildBatchCall({ wrapper: 'none', batchAddress: MULTICALL, target: TOKEN, callData: MINT, count: 5 }), { to: TOKEN, data: MINT, callsPerTransaction: 1 });
+    assert.throws(() => buildBatchCall({ wrapper: 'multicall', target: TOKEN, callData: MINT }), /Unknown batch wrapper 'multicall'/);
+});
+
+test('inner calls come from a signature with arguments or from raw calldata', () => {
+    assert.equal(getSelector('mint()'), MINT);
+    assert.equal(buildInnerCall('mint(uint256)', [3]), calldata('0xa0712d68', [word(3)]));
+    assert.equal(buildInnerCall(MINT), MINT);
+    assert.throws(() => buildInnerCall(MINT, [1]), /cannot be combined with arguments/);
+    assert.throws(() => buildInnerCall('mint(uint256)'), /expects 1 argument\(s\), got 0/);
+});
+
+test('decodeBatchResult counts the inner calls that would fail and keeps the first failure\'s data', () => {
+    // (bool success, bytes returnData)[]: [(true, 0x), (false, 0xdeadbeef), (false, 0x)]
+    const returnData = calldata('0x', [
+        word(0x20),
+        word(3), word(0x60), word(0xc0), word(0x140), // Offsets: the first tuple is 3 words, the second 4
+        word(1), word(0x40), word(0),
+        word(0), word(0x40), word(4), padRight('deadbeef'),
+        word(0), word(0x40), word(0),
+    ]);
+    for (const wrapper of ['aggregate3', 'tryAggregate']) {
+        assert.deepEqual(decodeBatchResult(wrapper, returnData), { total: 3, failed: 2, firstFailureData: '0xdeadbeef' });
+    }
+    const allSucceed = calldata('0x', [word(0x20), word(1), word(0x20), word(1), word(0x40), word(0)]);
+    assert.deepEqual(decodeBatchResult('aggregate3', allSucceed), { total: 1, failed: 0, firstFailureData: null });
+    assert.equal(decodeBatchResult('aggregate', returnData), null, 'aggregate reports no per-call results');
+});
@@ -0,0 +1,267 @@
+// test/campaign.test.js
+// Campaign (campaign.js) in process against the stand-in node: the events it emits and the result of run().
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import Campaign from '../campaign.js';
+import { ConfigError } from '../config.js';
+import { createSignerHandle } from '../keyring.js';
+import { configureLogging } from '../logger.js';
+import { registry as metrics } from '../metrics.js';
+import { FakeNode, FAULTS } from './support/fakeNode.js';
+
+const KEYS = [
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+];
+const WALLETS = KEYS.map(key => new ethers.Wallet(key).address);
+
+let workDir;
+
+before(() => {
+    configureLogging({ level: 'silent' });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-campaign-'));
+});
+
+after(() => {
+    configureLogging({ level: 'info' });
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function createCampaign(node, options = {}) {
+    return new Campaign({
+        signers: KEYS.map(key => createSignerHandle(new ethers.Wallet(key))),
+        rpcUrl: node.url,
+        transport: 'direct',
+        journalPath: path.join(fs.mkdtempSync(path.join(workDir, 'run-')), 'journal.jsonl'),
+        totalTransactions: 6,
+        maxConcurrentTasks: 4,
+        retryDelayMs: 10,
+        nonceRetryDelayMs: 10,
+        nonceFetchIntervalMs: 0,
+        receiptPollIntervalMs: 50,
+        receiptTimeoutMs: 10000,
+        ...options,
+    });
+}
+
+function collectEvents(campaign) {
+    const events = {};
+    for (const name of ['plan', 'submitted', 'confirmed', 'failed', 'nonceResynced', 'progress', 'batchSize']) {
+        events[name] = [];
+        campaign.on(name, event => events[name].push(event));
+    }
+    return events;
+}
+
+test('rejects invalid options with ConfigError before touching the network', () => {
+    assert.throws(() => new Campaign({ rpcUrl: 'not a url', transport: 'direct' }), ConfigError);
+    assert.throws(() => new Campaign({ totalTransactions: 1 }), /proxyUsername/); // transport 'proxy' needs credentials
+    assert.throws(() => new Campaign({ rpcUrl: 'http://127.0.0.1:8545', transport: 'direct', mintCall: 'mint(uint256', mintArgs: [1] }), /could not encode the mint call/);
+});
+
+test('emits an event for every submission, receipt, failure and nonce resync, and resolves with the result', async () => {
+    const node = await new FakeNode().start();
+    node.inject(FAULTS.nonceTooLow);
+    node.inject({ method: 'eth_sendRawTransaction', error: { code: -32000, message: 'insufficient funds for gas * price + value' } });
+    try {
+        const campaign = createCampaign(node);
+        const events = collectEvents(campaign);
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.reason, null);
+        assert.deepEqual(result.wallets, WALLETS);
+        assert.equal(result.failed, 0, 'the wallet out of funds handed its transaction back');
+        assert.ok(result.successful >= 6, 'the target is met, plus a fill for the nonce the failed transaction gave up');
+        assert.equal(result.summary.outcomes.success, result.successful);
+        assert.ok(fs.existsSync(result.journalPath));
+
+        assert.equal(events.plan.length, 1);
+        assert.equal(events.plan[0].plan.planned, 6);
+        assert.equal(events.submitted.length, result.successful);
+        assert.deepEqual(new Set(events.submitted.map(e => e.hash)), new Set(events.confirmed.map(e => e.hash)));
+        assert.ok(events.confirmed.every(e => e.outcome === 'success' && e.blockNumber > 0));
+        assert.equal(events.failed.length, 1);
+        assert.equal(events.failed[0].reason, 'InsufficientFunds');
+        assert.ok(events.nonceResynced.length >= 1);
+        assert.ok(WALLETS.includes(events.nonceResynced[0].wallet));
+        assert.deepEqual(events.progress[events.progress.length - 1], { target: 6, sent: 6, failed: 0, inFlight: 0, queued: 0 });
+        assert.ok(node.getTransactions().every(t => t.blockNumber !== null), 'no nonce gap is left behind');
+
+        await assert.rejects(campaign.run(), /runs once/);
+    } finally {
+        node.stop();
+    }
+});
+
+test('idle wallets take the work of a wallet that cannot pay for it', async () => {
+    const node = await new FakeNode().start();
+    try {
+        const campaign = createCampaign(node);
+        const events = collectEvents(campaign);
+        campaign.on('plan', () => node.setBalance(WALLETS[0], 0)); // Drained after the budget plan counted on it
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.failed, 0);
+        assert.equal(result.summary.failed, 0, 'handed-back work is not a failure in the summary either');
+        assert.equal(result.summary.broadcast, 6);
+        assert.ok(events.failed.length >= 1);
+        assert.ok(events.failed.every(e => e.wallet === WALLETS[0] && e.reason === 'InsufficientFunds'));
+        assert.ok(events.submitted.length >= 6);
+        assert.ok(events.submitted.every(e => e.wallet === WALLETS[1]));
+        assert.deepEqual(events.progress[events.progress.length - 1], { target: 6, sent: 6, failed: 0, inFlight: 0, queued: 0 });
+    } finally {
+        node.stop();
+    }
+});
+
+const sentRawTransactions = node => node.requests.filter(r => !r.refused).map(r => r.methods.filter(m => m === 'eth_sendRawTransaction').length).filter(n => n > 0);
+
+test('sendBatchSize groups a lane\'s queued transactions into JSON-RPC batch requests', async () => {
+    const node = await new FakeNode().start();
+    node.inject(FAULTS.nonceTooLow); // Hits every send of the batch it lands in; each item settles on its own
+    const sentInBatches = metrics.counter('mint_transactions_sent_total').get({ mode: 'batch' });
+    try {
+        const campaign = createCampaign(node, { sendBatchSize: 3, directConnections: 1, maxConcurrentTasks: 6, maxInFlightPerWallet: 3 });
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.failed, 0);
+        assert.ok(result.successful >= 6);
+        const requests = sentRawTransactions(node);
+        assert.ok(requests.some(n => n > 1), `sends per request: ${requests}`);
+        assert.ok(requests.every(n => n <= 3));
+        assert.ok(node.getTransactions().every(t => t.blockNumber !== null));
+        assert.ok(metrics.counter('mint_transactions_sent_total').get({ mode: 'batch' }) > sentInBatches);
+    } finally {
+        node.stop();
+    }
+});
+
+test('falls back to one request per transaction when the endpoint refuses batches', async () => {
+    const node = await new FakeNode({ refuseBatches: calls => calls.some(call => call.method === 'eth_sendRawTransaction') }).start();
+    try {
+        const campaign = createCampaign(node, { sendBatchSize: 3, directConnections: 1, maxConcurrentTasks: 6, maxInFlightPerWallet: 3 });
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.successful, 6);
+        assert.equal(node.requests.filter(r => r.refused).length, 1, 'the endpoint is not offered a batch again');
+        assert.deepEqual(sentRawTransactions(node), [1, 1, 1, 1, 1, 1]);
+        assert.equal(node.getTransactions().length, 6);
+    } finally {
+        node.stop();
+    }
+});
+
+test('pacing by blocks keeps each wallet at its pending target instead of filling the pool', async () => {
+    const node = await new FakeNode({ automine: false, maxPoolSize: 4 }).start();
+    const miner = setInterval(() => node.mine(), 30);
+    try {
+        const campaign = createCampaign(node, { pacing: 'blocks', targetPendingPerWallet: 2, pacePollIntervalMs: 10, totalTransactions: 12, maxConcurrentTasks: 12, maxInFlightPerWallet: 4 });
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.successful, 12);
+        const poolFull = fs.readFileSync(result.journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line)).filter(r => r.type === 'error' && r.category === 'PoolFull');
+        assert.deepEqual(poolFull, [], 'never more than 2 pending per wallet');
+        assert.ok(node.getTransactions().every(t => t.blockNumber !== null));
+        assert.ok(node.blockNumber >= 3, 'spread over several blocks');
+    } finally {
+        clearInterval(miner);
+        node.stop();
+    }
+});
+
+test('pacing by blocks waits for a first read of the chain that failed', async () => {
+    const node = await new FakeNode().start();
+    node.inject({ method: 'eth_blockNumber', error: { code: -32000, message: 'header not found' } }, 3);
+    try {
+        const campaign = createCampaign(node, { pacing: 'blocks', pacePollIntervalMs: 10 });
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.successful, 6);
+        assert.equal(node.faults.length, 0, 'the first reads failed');
+    } finally {
+        node.stop();
+    }
+});
+
+// Gas of a multicall: 21000 + perCall for each inner call, both as estimated and as used when mined
+const AGGREGATE = new ethers.Interface(['function aggregate((address target, bytes callData)[] calls)']);
+const callsIn = data => AGGREGATE.decodeFunctionData('aggregate', data)[0].length;
+function gasNode(state) {
+    const gas = data => 21000n + state.perCall * BigInt(callsIn(data));
+    return new FakeNode({ blockGasLimit: 1000000n, estimateGas: call => gas(call.data), gasUsed: record => gas(record.data) }).start();
+}
+
+test('batchSizing auto calibrates the batch and cuts it when the block gas limit drops', async () => {
+    const node = await gasNode({ perCall: 1000n });
+    try {
+        const campaign = createCampaign(node, { batchSizing: 'auto' });
+        const events = collectEvents(campaign);
+        campaign.on('plan', () => { node.blockGasLimit = 400000n; }); // Below the calibrated gas limit of 499200
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.equal(result.failed, 0);
+        assert.equal(result.successful, 6);
+        assert.deepEqual(events.batchSize.map(e => [e.reason, e.previous, e.mintsPerTransaction]), [['calibrated', 125, 395], ['gas-limit', 395, 296]]);
+        assert.equal(events.batchSize[0].gasLimit, 499200n);
+        const mined = node.getTransactions();
+        assert.equal(mined.length, 6);
+        assert.ok(mined.every(t => t.status === 1 && callsIn(t.data) === 296));
+        const records = fs.readFileSync(result.journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(records.find(r => r.type === 'run').mintsPerTransaction, 395);
+        assert.ok(records.filter(r => r.type === 'sent').every(r => r.mints === 296));
+        assert.equal(records.filter(r => r.type === 'batchSize').length, 1);
+    } finally {
+        node.stop();
+    }
+});
+
+test('batchSizing auto cuts the batch when mined transactions run out of gas', async () => {
+    const state = { perCall: 1000n };
+    const node = await gasNode(state);
+    node.inject({ method: 'eth_sendRawTransaction', delayMs: 100 }, 6); // Receipts come back while sending
+    try {
+        const campaign = createCampaign(node, { batchSizing: 'auto', maxConcurrentTasks: 1, directConnections: 1 });
+        const events = collectEvents(campaign);
+        campaign.on('plan', () => { state.perCall = 1500n; }); // Mints got dearer after calibration
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'completed');
+        assert.deepEqual(events.batchSize.map(e => e.reason), ['calibrated', 'out-of-gas']);
+        const transactions = node.getTransactions();
+        const outOfGas = transactions.filter(t => t.status === 0);
+        assert.ok(outOfGas.length >= 1 && outOfGas.every(t => callsIn(t.data) === 395 && t.gasUsed === t.gasLimit));
+        const last = transactions[transactions.length - 1];
+        assert.equal(last.status, 1);
+        assert.equal(callsIn(last.data), 296);
+    } finally {
+        node.stop();
+    }
+});
+
+test('stop() ends dispatching and the result says why', async () => {
+    const node = await new FakeNode().start();
+    node.inject(FAULTS.slow, 100);
+    try {
+        const campaign = createCampaign(node, { maxConcurrentTasks: 1, directConnections: 1 });
+        campaign.once('submitted', () => campaign.stop('enough'));
+        const result = await campaign.run();
+
+        assert.equal(result.status, 'stopped');
+        assert.equal(result.reason, 'enough');
+        assert.ok(result.successful < 6, `${result.successful} sent`);
+        assert.equal(result.summary.broadcast, result.successful);
+    } finally {
+        node.stop();
+    }
+});
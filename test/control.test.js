@@ -0,0 +1,85 @@
+// test/control.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RunControl from '../control.js';
+
+async function request(server, method, route, { body, token } = {}) {
+    const { port } = server.address();
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    const response = await fetch(`http://127.0.0.1:${port}${route}`, { method, headers, body });
+    return { status: response.status, body: await response.json() };
+}
+
+test('a paused run waits until resumed, and a stop releases every waiter', async () => {
+    const control = new RunControl({ maxConcurrentTasks: 4 });
+    assert.equal(await control.waitUntilRunnable(), true);
+
+    assert.equal(control.pause(), true);
+    assert.equal(control.pause(), false, 'already paused');
+    let released = null;
+    const waiting = control.waitUntilRunnable().then(value => { released = value; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(released, null);
+    control.resume();
+    await waiting;
+    assert.equal(released, true);
+
+    control.pause();
+    const stopped = control.waitUntilRunnable();
+    assert.equal(control.stop('SIGINT'), true);
+    assert.equal(await stopped, false);
+    assert.equal(control.stopRequested, true);
+    assert.equal(control.resume(), false, 'a stop is final');
+    assert.equal(control.status().stopReason, 'SIGINT');
+});
+
+test('changing the concurrency limit wakes whoever waits for a change', async () => {
+    const control = new RunControl({ maxConcurrentTasks: 4 });
+    const changed = control.changed();
+    assert.equal(control.changed(), changed, 'waiters share one promise');
+    control.setMaxConcurrentTasks(10);
+    await changed;
+    assert.equal(control.maxConcurrentTasks, 10);
+    assert.throws(() => control.setMaxConcurrentTasks(0), RangeError);
+    assert.throws(() => control.setMaxConcurrentTasks('5'), RangeError);
+});
+
+test('the control endpoint pauses, resumes, stops and sets the concurrency limit', async () => {
+    const control = new RunControl({ maxConcurrentTasks: 4 });
+    control.getProgress = () => ({ dispatched: 7 });
+    const server = await control.listen(0);
+    try {
+        assert.deepEqual((await request(server, 'GET', '/status')).body, { state: 'running', maxConcurrentTasks: 4, stopReason: null, dispatched: 7 });
+        assert.equal((await request(server, 'POST', '/pause')).body.state, 'paused');
+        assert.equal((await request(server, 'POST', '/pause')).status, 409);
+        assert.equal((await request(server, 'POST', '/resume')).body.state, 'running');
+
+        const set = await request(server, 'POST', '/concurrency', { body: JSON.stringify({ maxConcurrentTasks: 25 }) });
+        assert.equal(set.status, 200);
+        assert.equal(control.maxConcurrentTasks, 25);
+        assert.equal((await request(server, 'POST', '/concurrency', { body: '{"maxConcurrentTasks": -1}' })).status, 400);
+        assert.equal((await request(server, 'POST', '/concurrency', { body: 'fifty' })).status, 400);
+        assert.equal(control.maxConcurrentTasks, 25);
+
+        assert.equal((await request(server, 'GET', '/pause')).status, 404);
+        const stop = await request(server, 'POST', '/stop');
+        assert.equal(stop.body.state, 'stopping');
+        assert.equal(stop.body.stopReason, 'control endpoint');
+    } finally {
+        server.close();
+    }
+});
+
+test('with a token, control requests without it are refused', async () => {
+    const control = new RunControl({ maxConcurrentTasks: 4 });
+    const server = await control.listen(0, '127.0.0.1', { token: 's3cret' });
+    try {
+        assert.equal((await request(server, 'POST', '/pause')).status, 401);
+        assert.equal((await request(server, 'POST', '/pause', { token: 'wrong' })).status, 401);
+        assert.equal(control.state, 'running');
+        assert.equal((await request(server, 'POST', '/pause', { token: 's3cret' })).status, 200);
+        assert.equal(control.state, 'paused');
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,110 @@
+// test/errorClassifier.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { ethers, FetchRequest } from 'ethers';
+import { ERROR_CATEGORIES, RETRY_POLICY, classifyError, getRetryPolicy } from '../errorClassifier.js';
+import { SpendCapError } from '../feeStrategy.js';
+
+// JSON-RPC error objects as returned by each node for eth_sendRawTransaction
+const FIXTURES = JSON.parse(fs.readFileSync(new URL('./fixtures/rpcErrors.json', import.meta.url), 'utf8'));
+const NETWORK = ethers.Network.from(31337n);
+
+// Answers every request with the next queued response: { error } as a JSON-RPC error, or { status } as a bare HTTP status
+let server;
+let serverUrl;
+const responses = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const next = responses.shift();
+            if (next.status) {
+                res.writeHead(next.status);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, error: next.error }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => server.close());
+
+// Sends a raw transaction through a real ethers provider so the error is wrapped exactly as in a run
+async function sendThroughEthers(url) {
+    const request = new FetchRequest(url);
+    request.timeout = 2000;
+    const provider = new ethers.JsonRpcProvider(request, NETWORK, { staticNetwork: NETWORK, batchMaxCount: 1 });
+    try {
+        await provider.send('eth_sendRawTransaction', ['0x02f86b827a6980808082520894000000000000000000000000000000000000000080c0']);
+        assert.fail('expected the send to fail');
+    } catch (err) {
+        return err;
+    } finally {
+        provider.destroy();
+    }
+}
+
+for (const fixture of FIXTURES) {
+    test(`${fixture.source}: "${fixture.error.message}" -> ${fixture.category}`, async () => {
+        assert.equal(classifyError(fixture.error), fixture.category, 'raw JSON-RPC error');
+        responses.push({ error: fixture.error });
+        assert.equal(classifyError(await sendThroughEthers(serverUrl)), fixture.category, 'wrapped by ethers');
+    });
+}
+
+test('connection refused and HTTP 5xx are transport errors', async () => {
+    assert.equal(classifyError(await sendThroughEthers('http://127.0.0.1:1/')), ERROR_CATEGORIES.Transport);
+    responses.push({ status: 502 });
+    assert.equal(classifyError(await sendThroughEthers(serverUrl)), ERROR_CATEGORIES.Transport);
+});
+
+test('an HTTP 429 response is rate limiting', () => {
+    const err = Object.assign(new Error('exceeded maximum retry limit'), { code: 'SERVER_ERROR', response: { statusCode: 429 } });
+    assert.equal(classifyError(err), ERROR_CATEGORIES.RateLimited);
+});
+
+test('spend cap refusals are not sent anywhere', () => {
+    assert.equal(classifyError(new SpendCapError('Run would exceed its spend cap', 'run')), ERROR_CATEGORIES.SpendCap);
+});
+
+test('unrecognised errors are Unknown', () => {
+    assert.equal(classifyError(new Error('something odd')), ERROR_CATEGORIES.Unknown);
+    assert.equal(classifyError({ code: -32000, message: 'unexpected node state' }), ERROR_CATEGORIES.Unknown);
+    assert.equal(classifyError(null), ERROR_CATEGORIES.Unknown);
+});
+
+test('the transaction hex inside an ethers message is never matched', () => {
+    // ethers embeds the request in its message; a "revert"-like substring there must not decide the category
+    const err = Object.assign(new Error('could not coalesce error (payload={ "params": [ "0xre7e47" ] })'), {
+        code: 'UNKNOWN_ERROR',
+        error: { code: -32000, message: 'unexpected node state' },
+    });
+    assert.equal(classifyError(err), ERROR_CATEGORIES.Unknown);
+});
+
+test('every category has a retry policy', () => {
+    for (const category of Object.values(ERROR_CATEGORIES)) {
+        assert.ok(RETRY_POLICY[category], `missing policy for ${category}`);
+        assert.equal(typeof RETRY_POLICY[category].retry, 'boolean');
+    }
+    assert.equal(getRetryPolicy('NotACategory'), RETRY_POLICY.Unknown);
+});
+
+test('policy: resync on used nonces, bump on underpriced, give up on funds and reverts', () => {
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.NonceTooLow).resyncNonce, true);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.Underpriced).bumpFee, true);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.InsufficientFunds).retry, false);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.InsufficientFunds).handBack, true);
+    assert.ok(!getRetryPolicy(ERROR_CATEGORIES.Revert).handBack);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.Revert).retry, false);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.Transport).switchTransport, true);
+    assert.equal(getRetryPolicy(ERROR_CATEGORIES.RateLimited).backoff, true);
+});
@@ -0,0 +1,149 @@
+// test/feeStrategy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { FeeHistoryStrategy, bumpFees, GasLimitEstimator, SpendCapError, SpendTracker } from '../feeStrategy.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const WALLETS = ['0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'];
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+// Answers eth_feeHistory with `history` (or throws it when it is an Error), recording each request
+function feeHistoryProvider(history) {
+    const provider = {
+        requests: [],
+        history,
+        async send(method, params) {
+            provider.requests.push([method, params]);
+            if (provider.history instanceof Error) throw provider.history;
+            return provider.history;
+        },
+    };
+    return provider;
+}
+
+// Next base fee 10 gwei; rewards at the percentile, sorted, are 1, 2, 3 and 5 gwei
+const HISTORY = {
+    baseFeePerGas: [gwei(7), gwei(8), gwei(9), gwei(9), gwei(10)].map(ethers.toQuantity),
+    reward: [[gwei(3)], [gwei(1)], [gwei(5)], [gwei(2)]].map(r => r.map(ethers.toQuantity)),
+};
+
+test('EIP-1559 fees are the next base fee times the multiplier plus the median reward at the percentile', async () => {
+    const provider = feeHistoryProvider(HISTORY);
+    const strategy = new FeeHistoryStrategy(provider, { blocks: 4, percentile: 75, baseFeeMultiplier: 1.5 });
+    assert.deepEqual(await strategy.getFees(), { maxFeePerGas: gwei(15) + gwei(3), maxPriorityFeePerGas: gwei(3) });
+    assert.deepEqual(provider.requests, [['eth_feeHistory', ['0x4', 'latest', [75]]]]);
+
+    const floored = new FeeHistoryStrategy(feeHistoryProvider(HISTORY), { blocks: 4, baseFeeMultiplier: 2, minPriorityFeeGwei: '4' });
+    assert.deepEqual(await floored.getFees(), { maxFeePerGas: gwei(24), maxPriorityFeePerGas: gwei(4) });
+
+    const noRewards = new FeeHistoryStrategy(feeHistoryProvider({ baseFeePerGas: HISTORY.baseFeePerGas }), { baseFeeMultiplier: 1.25 });
+    assert.deepEqual(await noRewards.getFees(), { maxFeePerGas: gwei(12.5), maxPriorityFeePerGas: 0n });
+
+    await assert.rejects(new FeeHistoryStrategy(feeHistoryProvider({ baseFeePerGas: [] }), {}).getFees(), /is this an EIP-1559 chain/);
+});
+
+test('maxFeeGwei caps the max fee, and the priority fee never exceeds it', async () => {
+    const logs = [];
+    const capped = new FeeHistoryStrategy(feeHistoryProvider(HISTORY), { blocks: 4, baseFeeMultiplier: 1.5, maxFeeGwei: '12', log: message => logs.push(message) });
+    assert.deepEqual(await capped.getFees(), { maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(3) });
+    assert.match(logs[0], /computed maxFeePerGas 18\.0 gwei capped at 12\.0 gwei/);
+
+    const belowTip = new FeeHistoryStrategy(feeHistoryProvider(HISTORY), { blocks: 4, maxFeeGwei: '2' });
+    assert.deepEqual(await belowTip.getFees(), { maxFeePerGas: gwei(2), maxPriorityFeePerGas: gwei(2) });
+});
+
+test('fees are cached for refreshMs, shared by concurrent callers, and reused when a refresh fails', async () => {
+    const provider = feeHistoryProvider(HISTORY);
+    const logs = [];
+    const strategy = new FeeHistoryStrategy(provider, { blocks: 4, refreshMs: 60000, log: message => logs.push(message) });
+    const [first, second] = await Promise.all([strategy.getFees(), strategy.getFees()]);
+    assert.deepEqual(first, second);
+    await strategy.getFees();
+    assert.equal(provider.requests.length, 1);
+
+    strategy.cachedAt = 0;
+    provider.history = new Error('header not found');
+    assert.deepEqual(await strategy.getFees(), first);
+    assert.equal(provider.requests.length, 2);
+    assert.match(logs[0], /eth_feeHistory failed \(header not found\); reusing last fees/);
+
+    await assert.rejects(new FeeHistoryStrategy(provider, {}).getFees(), /header not found/, 'nothing to reuse on the first request');
+});
+
+test('the fee strategy reads eth_feeHistory from a node', async () => {
+    const node = await new FakeNode({ baseFee: gwei(2) }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    try {
+        const strategy = new FeeHistoryStrategy(provider, { blocks: 5, baseFeeMultiplier: 2 });
+        assert.deepEqual(await strategy.getFees(), { maxFeePerGas: gwei(4) + 1n, maxPriorityFeePerGas: 1n });
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+});
+
+test('bumpFees raises every field by the percentage, by at least 1 wei, and never above the cap', () => {
+    assert.deepEqual(bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }, 12), { maxFeePerGas: 112n, maxPriorityFeePerGas: 11n });
+    assert.deepEqual(bumpFees({ gasPrice: 1n }, 10), { gasPrice: 2n });
+    assert.deepEqual(bumpFees({ gasPrice: 100n }, 10, 105n), { gasPrice: 105n });
+    assert.deepEqual(bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }, 12, 105n), { maxFeePerGas: 105n, maxPriorityFeePerGas: 11n });
+    // The priority fee is held to the bumped max fee
+    assert.deepEqual(bumpFees({ maxFeePerGas: 100n, maxPriorityFeePerGas: 100n }, 20, 110n), { maxFeePerGas: 110n, maxPriorityFeePerGas: 110n });
+    assert.deepEqual(bumpFees({ maxFeePerGas: 10n, maxPriorityFeePerGas: 20n }, 10), { maxFeePerGas: 11n, maxPriorityFeePerGas: 11n });
+});
+
+test('the gas limit is the estimate plus the margin, falling back to the configured limit while estimation fails', async () => {
+    let failing = true;
+    const node = await new FakeNode({
+        estimateGas: () => {
+            if (failing) throw new Error('execution reverted');
+            return 100000n;
+        },
+    }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    const logs = [];
+    try {
+        const estimator = new GasLimitEstimator(provider, { fallbackGasLimit: 300000, marginPercent: 20, log: message => logs.push(message) });
+        const call = { from: WALLETS[0], to: TOKEN, data: '0x1249c58b' };
+        assert.equal(await estimator.getGasLimit(call), 300000n);
+        assert.match(logs[0], /eth_estimateGas failed \(.*\); using configured gasLimit 300000/);
+
+        failing = false;
+        await new Promise(resolve => setTimeout(resolve, 300)); // Past ethers' 250ms cache of the failed request
+        assert.equal(await estimator.getGasLimit(call), 120000n, 'a failed estimate is retried');
+        assert.equal(await estimator.getGasLimit(call), 120000n);
+        assert.equal(node.counts.methods.eth_estimateGas, 2, 'a good estimate is cached');
+
+        const fixed = new GasLimitEstimator(provider, { mode: 'fixed', fallbackGasLimit: 250000 });
+        assert.equal(await fixed.getGasLimit(call), 250000n);
+        assert.equal(node.counts.methods.eth_estimateGas, 2);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+});
+
+test('SpendTracker refuses a send that would exceed the wallet or the run cap, reserving nothing', () => {
+    const tracker = new SpendTracker({ maxPerWallet: 100n, maxPerRun: 150n });
+    tracker.reserve(WALLETS[0], 60n);
+    assert.equal(tracker.canAfford(WALLETS[0], 50n), false);
+    assert.throws(() => tracker.reserve(WALLETS[0], 50n), err => err instanceof SpendCapError && err.code === 'SPEND_CAP_EXCEEDED' && err.scope === 'wallet');
+    assert.equal(tracker.total, 60n);
+    assert.equal(tracker.perWallet.get(WALLETS[0]), 60n);
+
+    tracker.reserve(WALLETS[1], 80n);
+    assert.equal(tracker.canAfford(WALLETS[2], 20n), false);
+    assert.equal(tracker.runCapReached(20n), true);
+    assert.throws(() => tracker.reserve(WALLETS[2], 20n), err => err instanceof SpendCapError && err.scope === 'run');
+
+    tracker.refund(WALLETS[1], 80n);
+    assert.equal(tracker.runCapReached(20n), false);
+    tracker.reserve(WALLETS[2], 20n);
+    assert.equal(tracker.total, 80n);
+
+    const uncapped = new SpendTracker({});
+    uncapped.reserve(WALLETS[0], 10n ** 30n);
+    assert.equal(uncapped.canAfford(WALLETS[0], 10n ** 30n), true);
+});
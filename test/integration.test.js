@@ -0,0 +1,397 @@
+// test/integration.test.js
+// Runs mint.js end to end as a child process against the stand-in node (and CONNECT proxy),
+// then checks the chain state the node ended up with and what the journal recorded.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { FakeNode, FAULTS } from './support/fakeNode.js';
+import { ConnectProxy } from './support/connectProxy.js';
+import RunJournal from '../runJournal.js';
+import { TRANSFER_TOPIC } from '../reconciliation.js';
+
+const MINT = fileURLToPath(new URL('../mint.js', import.meta.url));
+const RECONCILE = fileURLToPath(new URL('../reconcile.js', import.meta.url));
+const UNSTICK = fileURLToPath(new URL('../unstick.js', import.meta.url));
+const KEYS = [
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca832b7d80c4f3c5f2fdf4a',
+];
+const WALLETS = KEYS.map(key => new ethers.Wallet(key).address);
+const CAMPAIGN_TIMEOUT_MS = 60000;
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-integration-'));
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Runs a script of the repo in cwd against the node and resolves with its exit code and output.
+// onSpawn gets the child process, e.g. to signal it.
+function runScript(script, cwd, node, args, { onSpawn = () => {} } = {}) {
+    const child = spawn(process.execPath, [script, ...args], {
+        cwd,
+        env: {
+            RPC_URL: node.url,
+            WALLET_PRIVATE_KEYS_CSV: KEYS.join(','),
+            OXYLABS_CORE_USERNAME: 'tester',
+            OXYLABS_PASSWORD: 'not-a-real-password',
+            LOG_LEVEL: 'warn',
+        },
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), CAMPAIGN_TIMEOUT_MS);
+    onSpawn(child);
+    return new Promise(resolve => child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ code, output });
+    }));
+}
+
+// Runs one campaign in its own directory (so no mint.config.json or .env is picked up), or in
+// options.cwd to continue an earlier one, and returns its exit code, output, journal records and directory.
+async function runCampaign(name, node, args, { cwd = fs.mkdtempSync(path.join(workDir, `${name}-`)), ...options } = {}) {
+    const { code, output } = await runScript(MINT, cwd, node, [
+        '--journal-path', 'journal.jsonl',
+        '--total-transactions', '12',
+        '--mints-per-multicall', '2',
+        '--max-concurrent-tasks', '6',
+        '--retry-delay-ms', '10',
+        '--nonce-retry-delay-ms', '10',
+        '--nonce-fetch-interval-ms', '0',
+        '--receipt-poll-interval-ms', '50',
+        '--receipt-timeout-ms', '10000',
+        ...args,
+    ], options);
+    return { code, output, records: RunJournal.read(path.join(cwd, 'journal.jsonl')), cwd };
+}
+
+function recordsOf(records, type) {
+    return records.filter(r => r.type === type);
+}
+
+// Every wallet's mined nonces are exactly 0..n-1: nothing skipped, nothing sent twice
+function assertContiguousNonces(node) {
+    for (const wallet of WALLETS) {
+        const mined = node.getTransactions().filter(t => t.from === wallet.toLowerCase() && t.blockNumber !== null).map(t => t.nonce).sort((a, b) => a - b);
+        assert.deepEqual(mined, mined.map((_, i) => i), `nonces of ${wallet}`);
+        assert.equal(node.getNonce(wallet), mined.length);
+    }
+}
+
+test('a small campaign through proxy sessions lands every transaction', async () => {
+    const node = await new FakeNode().start();
+    const proxy = await new ConnectProxy().start();
+    try {
+        const { code, output, records } = await runCampaign('proxy', node, ['--proxy-sessions', '3', '--proxy-host-port', proxy.hostPort]);
+        assert.equal(code, 0, output);
+
+        assert.equal(node.getTransactions().length, 12);
+        assert.deepEqual(WALLETS.map(w => node.getNonce(w)), [4, 4, 4]);
+        assertContiguousNonces(node);
+        assert.equal(node.counts.methods.eth_sendRawTransaction, 12, 'one raw send per transaction');
+        assert.equal(proxy.sessions.size, 3, 'every proxy session carried traffic');
+
+        assert.equal(recordsOf(records, 'sent').length, 12);
+        assert.equal(recordsOf(records, 'error').length, 0);
+        const outcomes = recordsOf(records, 'outcome');
+        assert.equal(outcomes.length, 12);
+        assert.ok(outcomes.every(r => r.outcome === 'success'));
+        assert.equal(recordsOf(records, 'end').length, 1);
+    } finally {
+        proxy.stop();
+        node.stop();
+    }
+});
+
+test('injected node faults are retried until every transaction lands', async () => {
+    const node = await new FakeNode().start();
+    node.inject(FAULTS.nonceTooLow, 2)
+        .inject(FAULTS.poolFull)
+        .inject(FAULTS.dropConnection)
+        .inject(FAULTS.rateLimited)
+        .inject(FAULTS.slow);
+    try {
+        const { code, output, records } = await runCampaign('faults', node, ['--transport', 'direct', '--direct-connections', '3']);
+        assert.equal(code, 0, output);
+        assert.equal(node.faults.length, 0, 'every fault was hit');
+
+        const mined = node.getTransactions().filter(t => t.blockNumber !== null);
+        assert.equal(mined.length, 12);
+        assertContiguousNonces(node);
+
+        assert.equal(recordsOf(records, 'sent').length, 12);
+        assert.equal(recordsOf(records, 'failed').length, 0);
+        const categories = recordsOf(records, 'error').map(r => r.category).sort();
+        assert.deepEqual(categories, ['NonceTooLow', 'NonceTooLow', 'PoolFull', 'RateLimited', 'Transport']);
+        // One send per transaction plus the five failed attempts
+        assert.equal(node.counts.methods.eth_sendRawTransaction, 12 + 5);
+    } finally {
+        node.stop();
+    }
+});
+
+test('429s with Retry-After pause the endpoint without failing the proxy session', async () => {
+    const node = await new FakeNode().start();
+    const proxy = await new ConnectProxy().start();
+    // One session, so sends are serial; three failures in a row would trip it if they counted
+    node.inject({ ...FAULTS.rateLimited, retryAfter: 1 }, 3);
+    try {
+        const { code, output, records } = await runCampaign('retry-after', node, ['--proxy-sessions', '1', '--proxy-host-port', proxy.hostPort]);
+        assert.equal(code, 0, output);
+        assert.doesNotMatch(output, /unhealthy/, 'a 429 is not a lane failure');
+        assert.equal(node.getTransactions().length, 12);
+        assertContiguousNonces(node);
+        assert.equal(recordsOf(records, 'error').filter(r => r.category === 'RateLimited').length, 3);
+
+        // Nothing was sent during the second after each 429
+        const sends = node.requests.filter(r => r.methods.includes('eth_sendRawTransaction'));
+        sends.forEach((request, i) => {
+            if (!request.fault || i === sends.length - 1) return;
+            assert.ok(sends[i + 1].at - request.at >= 950, `send ${i + 1} came ${sends[i + 1].at - request.at}ms after a 429`);
+        });
+    } finally {
+        proxy.stop();
+        node.stop();
+    }
+});
+
+test('refuses to start when the wallets cannot pay for the campaign', async () => {
+    const node = await new FakeNode({ balance: 1000n }).start();
+    try {
+        const { code, output, records } = await runCampaign('underfunded', node, ['--transport', 'direct']);
+        assert.equal(code, 1);
+        assert.match(output, /can only pay for 0 of 12 transaction/);
+        assert.equal(node.counts.methods.eth_sendRawTransaction || 0, 0);
+        assert.equal(recordsOf(records, 'plan')[0].planned, 0);
+    } finally {
+        node.stop();
+    }
+});
+
+test('--on-shortfall reduce sends only what the wallets can pay for', async () => {
+    const node = await new FakeNode().start();
+    // Enough for two transactions at 120000 gas (estimate + 20%) * 0.0019 gwei, with the 10% plan margin
+    node.setBalance(WALLETS[0], 2n * 120000n * 1900000n * 110n / 100n);
+    node.setBalance(WALLETS[1], 0n);
+    try {
+        const { code, output, records } = await runCampaign('reduce', node, ['--transport', 'direct', '--on-shortfall', 'reduce']);
+        assert.equal(code, 0, output);
+        assert.deepEqual(WALLETS.map(w => node.getNonce(w)), [2, 0, 10]);
+        assertContiguousNonces(node);
+        assert.equal(recordsOf(records, 'sent').length, 12);
+    } finally {
+        node.stop();
+    }
+});
+
+test('--dry-run signs every transaction and exits without sending any', async () => {
+    const node = await new FakeNode().start();
+    try {
+        const { code, output, cwd } = await runCampaign('dry-run', node, ['--transport', 'direct', '--dry-run']);
+        assert.equal(code, 0, output);
+        assert.equal(node.counts.methods.eth_sendRawTransaction || 0, 0);
+        assert.equal(node.getTransactions().length, 0);
+        assert.equal(fs.existsSync(path.join(cwd, 'journal.jsonl')), false, 'the real journal is left alone');
+        const records = RunJournal.read(path.join(cwd, 'journal.dry-run.jsonl'));
+        assert.equal(recordsOf(records, 'sent').length, 12);
+        assert.equal(recordsOf(records, 'end').length, 1);
+    } finally {
+        node.stop();
+    }
+});
+
+test('a pre-flight revert exits before anything is sent, with the reason decoded', async () => {
+    const node = await new FakeNode().start();
+    const soldOut = new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['Sold out']);
+    node.inject({ method: 'eth_call', error: { code: 3, message: 'execution reverted', data: soldOut } });
+    try {
+        const { code, output } = await runCampaign('preflight', node, ['--transport', 'direct']);
+        assert.equal(code, 1, output);
+        assert.match(output, /Pre-flight FAILED for 3 of 3 wallet\(s\)/);
+        assert.match(output, /Error\("Sold out"\)/);
+        assert.equal(node.counts.methods.eth_sendRawTransaction || 0, 0);
+    } finally {
+        node.stop();
+    }
+});
+
+test('SIGINT stops dispatching, lets in-flight sends finish and prints the summary', async () => {
+    const node = await new FakeNode().start();
+    node.inject(FAULTS.slow, 12); // One lane, so sends are serial: 500ms each
+    const sent = () => node.counts.methods.eth_sendRawTransaction || 0;
+    try {
+        const { code, output, records } = await runCampaign('sigint', node, ['--transport', 'direct', '--direct-connections', '1'], {
+            onSpawn: child => {
+                const poll = setInterval(() => {
+                    if (sent() < 2) return;
+                    clearInterval(poll);
+                    child.kill('SIGINT');
+                }, 20);
+            },
+        });
+        assert.equal(code, 130, output);
+        assert.match(output, /Transaction Sending Complete/);
+        assert.ok(sent() >= 2 && sent() < 12, `${sent()} sends`);
+        assertContiguousNonces(node);
+
+        // Everything that reached the node was journaled and has an outcome
+        assert.equal(recordsOf(records, 'sent').length, node.getTransactions().length);
+        assert.equal(recordsOf(records, 'outcome').length, node.getTransactions().length);
+        assert.equal(recordsOf(records, 'end')[0].stopped, 'SIGINT');
+    } finally {
+        node.stop();
+    }
+});
+
+test('--resume sends only the transactions a stopped run left, and re-sends the ones the node dropped', async () => {
+    const node = await new FakeNode({ automine: false }).start();
+    node.inject(FAULTS.slow, 12);
+    const sent = () => node.counts.methods.eth_sendRawTransaction || 0;
+    try {
+        const first = await runCampaign('resume', node, ['--transport', 'direct', '--direct-connections', '1', '--receipt-timeout-ms', '300'], {
+            onSpawn: child => {
+                const poll = setInterval(() => {
+                    if (sent() < 4) return;
+                    clearInterval(poll);
+                    child.kill('SIGINT');
+                }, 20);
+            },
+        });
+        assert.equal(first.code, 130, first.output);
+        const firstSent = recordsOf(first.records, 'sent');
+        assert.ok(firstSent.length >= 4 && firstSent.length < 12, `${firstSent.length} sends`);
+
+        // The pool loses one wallet's sends; the others are mined
+        const evicted = firstSent[0].wallet;
+        node.evict(evicted);
+        node.mine();
+        node.automine = true;
+        node.faults.length = 0;
+        const dropped = firstSent.filter(r => r.wallet === evicted);
+        const kept = firstSent.length - dropped.length;
+        const lastTx = Math.max(...first.records.filter(r => r.tx !== undefined).map(r => r.tx));
+
+        const sentBefore = sent();
+        const { code, output, records } = await runCampaign('resume', node, ['--transport', 'direct', '--resume'], { cwd: first.cwd });
+        assert.equal(code, 0, output);
+
+        const session = records.slice(first.records.length);
+        assert.deepEqual(recordsOf(session, 'dropped').map(r => r.tx).sort((a, b) => a - b), dropped.map(r => r.tx).sort((a, b) => a - b));
+        const resent = recordsOf(session, 'sent');
+        assert.equal(resent.length, 12 - kept, 'only what is not on chain is sent');
+        assert.ok(resent.every(r => r.tx > lastTx), 'under new transaction numbers');
+        assert.equal(sent() - sentBefore, resent.length, 'nothing the first run landed is broadcast again');
+
+        assert.equal(node.getTransactions().filter(t => t.blockNumber !== null).length, 12);
+        assertContiguousNonces(node);
+        assert.match(output, /Sessions \(including resumes\): 2/);
+    } finally {
+        node.stop();
+    }
+});
+
+test('a start trigger holds the campaign until the view call says the mint is open', async () => {
+    const node = await new FakeNode().start();
+    const openSelector = ethers.id('mintOpen()').slice(0, 10);
+    let openedAt = null;
+    node.callResult = call => (call.data.startsWith(openSelector) ? ethers.AbiCoder.defaultAbiCoder().encode(['bool'], [openedAt !== null]) : '0x');
+    const timer = setTimeout(() => { openedAt = Date.now(); }, 1500);
+    try {
+        const { code, output, records } = await runCampaign('trigger', node, ['--transport', 'direct', '--start-call', 'mintOpen() returns (bool)', '--trigger-poll-interval-ms', '100']);
+        assert.equal(code, 0, output);
+        assert.equal(node.getTransactions().length, 12);
+        assertContiguousNonces(node);
+
+        const sends = node.requests.filter(r => r.methods.includes('eth_sendRawTransaction'));
+        assert.ok(sends[0].at >= openedAt, 'nothing was sent before the mint opened');
+        assert.ok(sends[0].at - openedAt < 500, `first send ${sends[0].at - openedAt}ms after the mint opened`);
+        assert.equal(recordsOf(records, 'trigger').length, 1);
+    } finally {
+        clearTimeout(timer);
+        node.stop();
+    }
+});
+
+test('reconcile.js checks the journaled hashes against Transfers, nonces and balances', async () => {
+    const node = await new FakeNode().start();
+    const token = '0xbe43d66327ca5b77e7f14870a94a3058511103d3';
+    const recipient = '0xb1f60733c7b76f8f4085af3d9f6e374c43e462f8';
+    const transfer = tokenId => ({ address: token, topics: [TRANSFER_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue(recipient, 32), ethers.toBeHex(tokenId, 32)] });
+    let tokenId = 0;
+    // The first wallet's nonce 1 reverts; every other transaction mints twice, except one that mints once
+    node.revert = record => record.from === WALLETS[0].toLowerCase() && record.nonce === 1;
+    node.emitLogs = record => (record.from === WALLETS[1].toLowerCase() && record.nonce === 2 ? [transfer(++tokenId)] : [transfer(++tokenId), transfer(++tokenId)]);
+    try {
+        const campaign = await runCampaign('reconcile', node, ['--transport', 'direct']);
+        assert.equal(campaign.code, 0, campaign.output);
+
+        const { code, output } = await runScript(RECONCILE, campaign.cwd, node, ['--journal-path', 'journal.jsonl']);
+        assert.equal(code, 0, output);
+        assert.match(output, /Mints to .*: 21 of 24 expected/);
+
+        const report = JSON.parse(fs.readFileSync(path.join(campaign.cwd, 'mint-report.json'), 'utf8'));
+        assert.equal(report.totals.transactions, 12);
+        assert.equal(report.totals.reverted, 1);
+        assert.equal(report.totals.mints, 21);
+        assert.equal(report.totals.gasUsed, String(12n * 50000n));
+        assert.equal(report.reverted[0].wallet, WALLETS[0]);
+        assert.equal(report.totals.durationSource, 'journal');
+        assert.ok(report.totals.mintsPerSecond > 0);
+        assert.deepEqual(report.wallets.map(w => [w.address, w.finalNonce, w.balance]), WALLETS.map(w => [w, 4, String(node.getBalance(w))]));
+        assert.ok(report.wallets.every(w => w.startBalance !== null), 'start balances come from the budget plan');
+
+        const csv = fs.readFileSync(path.join(campaign.cwd, 'mint-report.csv'), 'utf8').trim().split('\n');
+        assert.equal(csv.length, 1 + 3 + 1);
+        assert.equal(fs.readFileSync(path.join(campaign.cwd, 'mint-report.transactions.csv'), 'utf8').trim().split('\n').length, 1 + 12);
+    } finally {
+        node.stop();
+    }
+});
+
+test('unstick.js lists the nonces a run left pooled and speeds them up, updating the journal', async () => {
+    const node = await new FakeNode({ automine: false }).start();
+    try {
+        const campaign = await runCampaign('unstick', node, ['--transport', 'direct', '--receipt-timeout-ms', '300']);
+        assert.equal(campaign.code, 0, campaign.output);
+        assert.deepEqual(WALLETS.map(w => [node.getNonce(w), node.getPendingNonce(w)]), WALLETS.map(() => [0, 4]));
+        node.baseFee = ethers.parseUnits('0.0025', 'gwei'); // Above the run's 0.0019 gwei: nothing it sent can be mined
+        node.automine = true;
+
+        const listed = await runScript(UNSTICK, campaign.cwd, node, ['--journal-path', 'journal.jsonl']);
+        assert.equal(listed.code, 0, listed.output);
+        assert.match(listed.output, new RegExp(`${WALLETS[0]}\\s+0\\s+4\\s+0-3`));
+        assert.match(listed.output, /12 stuck nonce\(s\)/);
+        assert.equal(node.getTransactions().length, 12, 'listing sends nothing');
+
+        // The first wallet's originals cannot be looked up: they are replaced with the campaign's own payload
+        node.inject({ method: 'eth_getTransactionByHash', error: { code: -32603, message: 'internal error' } });
+        const { code, output } = await runScript(UNSTICK, campaign.cwd, node, ['--journal-path', 'journal.jsonl', '--unstick-action', 'speed-up', '--mints-per-multicall', '2', '--receipt-poll-interval-ms', '50']);
+        assert.equal(code, 0, output);
+        assert.equal(node.faults.length, 0);
+        assert.match(output, /could not look up the original at nonce 0 \(internal error\); replacing it as unknown/);
+        assert.deepEqual(WALLETS.map(w => node.getNonce(w)), [4, 4, 4]);
+        assertContiguousNonces(node);
+        const mined = node.getTransactions().filter(t => t.blockNumber !== null);
+        assert.ok(mined.every(t => t.price >= node.baseFee && t.data === mined[0].data), 'the original payload at a higher fee');
+
+        const records = RunJournal.read(path.join(campaign.cwd, 'journal.jsonl'));
+        const replacements = recordsOf(records, 'sent').filter(r => r.replaces);
+        assert.equal(replacements.length, 12);
+        assert.deepEqual(new Set(replacements.map(r => r.hash)), new Set(mined.map(t => t.hash)));
+        assert.equal(recordsOf(records, 'outcome').filter(r => r.outcome === 'success').length, 12);
+    } finally {
+        node.stop();
+    }
+});
@@ -0,0 +1,111 @@
+// test/keyring.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import { ethers } from 'ethers';
+import { loadWallets, KeyLoadError, DEFAULT_DERIVATION_PATH } from '../keyring.js';
+
+const KEY = '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca832b7d80c4f3c5f2fdf4a';
+const ADDRESS = new ethers.Wallet(KEY).address;
+const PASSWORD = 'pw-for-tests';
+const PHRASE = 'test test test test test test test test test test test junk';
+
+let workDir;
+let keystoreDir;
+let passwordFile;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mint-keyring-'));
+    keystoreDir = path.join(workDir, 'keystores');
+    fs.mkdirSync(keystoreDir);
+    // A low scrypt cost so the test decrypts quickly; it is read back from the file
+    const json = ethers.encryptKeystoreJsonSync({ address: ADDRESS, privateKey: KEY }, PASSWORD, { scrypt: { N: 1 << 10 } });
+    fs.writeFileSync(path.join(keystoreDir, 'wallet.json'), json);
+    passwordFile = path.join(workDir, 'password.txt');
+    fs.writeFileSync(passwordFile, `${PASSWORD}\n`);
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function withSecretFd(file, run) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        return await run(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+test('loads a keystore directory with the password from a file descriptor', async () => {
+    const handles = await withSecretFd(passwordFile, fd => loadWallets({ source: 'keystore', keystorePath: keystoreDir, secretFd: fd }));
+    assert.deepEqual(handles.map(h => h.address), [ADDRESS]);
+
+    const wrongPassword = path.join(workDir, 'wrong.txt');
+    fs.writeFileSync(wrongPassword, 'nope');
+    await withSecretFd(wrongPassword, fd => assert.rejects(
+        loadWallets({ source: 'keystore', keystorePath: keystoreDir, secretFd: fd }),
+        err => err instanceof KeyLoadError && /Could not decrypt keystore wallet\.json/.test(err.message),
+    ));
+});
+
+test('derives one wallet per index from a mnemonic', async () => {
+    const handles = await loadWallets({ source: 'mnemonic', env: { WALLET_MNEMONIC: ` ${PHRASE.replace(/ /g, '  ')} ` }, indexes: '0-1,3' });
+    const expected = [0, 1, 3].map(index => ethers.HDNodeWallet.fromPhrase(PHRASE, undefined, `${DEFAULT_DERIVATION_PATH}/${index}`).address);
+    assert.deepEqual(handles.map(h => h.address), expected);
+    await assert.rejects(loadWallets({ source: 'mnemonic', env: { WALLET_MNEMONIC: 'not a phrase' } }), KeyLoadError);
+});
+
+test('handles sign, but show nothing but the address', async () => {
+    const [handle] = await loadWallets({ source: 'env', env: { WALLET_PRIVATE_KEYS_CSV: KEY } });
+    const signed = await handle.signTransaction({ chainId: 1n, nonce: 0, to: ADDRESS, gasLimit: 21000n, gasPrice: 1n, type: 0 });
+    assert.equal(ethers.Transaction.from(signed).from, ADDRESS);
+    for (const shown of [JSON.stringify(handle), String(handle), util.inspect(handle), JSON.stringify(Object.entries(handle))]) {
+        assert.ok(shown.includes(ADDRESS), shown);
+        assert.ok(!shown.toLowerCase().includes(KEY.slice(2)), shown);
+    }
+});
+
+// In a child process, as mint.js runs: loads the keystore (password on fd 3) and the mnemonic, then
+// prints all three secrets through the logger, console, a raw write and an error's stack.
+const CHILD = `
+import { loadWallets } from ${JSON.stringify(new URL('../keyring.js', import.meta.url).href)};
+import { createLogger, guardProcessOutput } from ${JSON.stringify(new URL('../logger.js', import.meta.url).href)};
+guardProcessOutput();
+const log = createLogger('probe');
+const [wallet] = await loadWallets({ source: 'keystore', keystorePath: process.env.KEYSTORE_PATH, secretFd: 3, log: message => log.info(message) });
+await loadWallets({ source: 'mnemonic', env: { WALLET_MNEMONIC: process.env.PHRASE } });
+const text = 'key ' + process.env.KEY + ' password ' + process.env.PASSWORD + ' phrase ' + process.env.PHRASE;
+log.info(text, { key: process.env.KEY });
+log.error(text);
+console.log(text, wallet);
+console.error(new Error(text));
+process.stdout.write(Buffer.from(process.env.KEY.slice(2).toUpperCase() + '\\n'));
+`;
+
+test('the key, the password and the phrase never reach log lines or stdout/stderr', () => {
+    const fd = fs.openSync(passwordFile, 'r');
+    let child;
+    try {
+        child = spawnSync(process.execPath, ['--input-type=module', '-e', CHILD], {
+            env: { ...process.env, KEYSTORE_PATH: keystoreDir, KEY, PASSWORD, PHRASE },
+            stdio: ['ignore', 'pipe', 'pipe', fd],
+            encoding: 'utf8',
+            timeout: 30000,
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+    const output = child.stdout + child.stderr;
+    assert.equal(child.status, 0, output);
+    assert.ok(output.includes(`Decrypted keystore wallet.json (${ADDRESS})`), output);
+    assert.ok(output.includes('[REDACTED]'), output);
+    for (const secret of [KEY.slice(2), KEY.slice(2).toUpperCase(), PASSWORD, PHRASE]) {
+        assert.ok(!output.includes(secret), `"${secret}" was printed:\n${output}`);
+    }
+});
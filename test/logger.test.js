@@ -0,0 +1,36 @@
+// test/logger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLogging, createLogger, registerSecret, redact } from '../logger.js';
+
+test('registers secrets of 8 characters or more, and leaves shorter ones out of redaction', () => {
+    registerSecret('pw-12345');
+    for (const short of ['a', 'test', 'pw12345', '0xabcd', '', undefined]) registerSecret(short);
+    assert.equal(redact('password pw-12345 given'), 'password [REDACTED] given');
+    assert.equal(redact('a test of pw12345 at 0xabcd'), 'a test of pw12345 at 0xabcd');
+});
+
+test('hex secrets are redacted with or without 0x and in either case', () => {
+    const key = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+    registerSecret(key);
+    assert.equal(redact(`key ${key}`), 'key 0x[REDACTED]');
+    assert.equal(redact(key.slice(2).toUpperCase()), '[REDACTED]');
+});
+
+test('log lines are redacted in text and JSON format', () => {
+    registerSecret('correct-horse');
+    const lines = [];
+    configureLogging({ level: 'debug', write: line => lines.push(line) });
+    try {
+        const log = createLogger('test');
+        log.info('password correct-horse', { echo: 'correct-horse' });
+        configureLogging({ format: 'json' });
+        log.error('password correct-horse');
+    } finally {
+        configureLogging({ level: 'info', format: 'text', write: (line, level) => (level >= 30 ? process.stderr : process.stdout).write(`${line}\n`) });
+    }
+    assert.equal(lines.length, 2);
+    lines.forEach(line => assert.doesNotMatch(line, /correct-horse/));
+    assert.match(lines[0], /password \[REDACTED\] echo=\[REDACTED\]/);
+    assert.equal(JSON.parse(lines[1]).msg, 'password [REDACTED]');
+});
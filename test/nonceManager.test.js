@@ -0,0 +1,149 @@
+// test/nonceManager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import NonceManager from '../nonceManager.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+function createManager(overrides = {}) {
+    const state = { pending: 10, fetchCalls: 0, failNextFetches: 0 };
+    const manager = new NonceManager({
+        fetchNonce: async () => {
+            state.fetchCalls++;
+            if (state.failNextFetches > 0) {
+                state.failNextFetches--;
+                throw new Error('rpc unavailable');
+            }
+            return state.pending;
+        },
+        resyncDelayMs: 0,
+        ...overrides,
+    });
+    manager.register(WALLET, 10);
+    return { manager, state };
+}
+
+test('hands out consecutive nonces without waiting for confirmation', async () => {
+    const { manager, state } = createManager({ maxInFlight: 3 });
+    const nonces = await Promise.all([manager.acquire(WALLET), manager.acquire(WALLET), manager.acquire(WALLET)]);
+    assert.deepEqual(nonces, [10, 11, 12]);
+    assert.equal(manager.getInFlightCount(WALLET), 3);
+    assert.equal(state.fetchCalls, 0);
+});
+
+test('blocks acquire at maxInFlight until a nonce settles', async () => {
+    const { manager } = createManager({ maxInFlight: 2 });
+    await manager.acquire(WALLET);
+    await manager.acquire(WALLET);
+
+    let third = null;
+    const pendingAcquire = manager.acquire(WALLET).then(n => { third = n; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(third, null);
+
+    manager.confirm(WALLET, 10);
+    await pendingAcquire;
+    assert.equal(third, 12);
+});
+
+test('a released middle nonce becomes a gap and is refilled before new nonces', async () => {
+    const { manager } = createManager({ maxInFlight: 5 });
+    const [a, b, c] = [await manager.acquire(WALLET), await manager.acquire(WALLET), await manager.acquire(WALLET)];
+    manager.confirm(WALLET, a);
+    manager.release(WALLET, b); // 11 failed for good
+    manager.confirm(WALLET, c);
+
+    assert.deepEqual(manager.getGaps(WALLET), [11]);
+    assert.equal(await manager.acquire(WALLET), 11);
+    assert.deepEqual(manager.getGaps(WALLET), []);
+    assert.equal(await manager.acquire(WALLET), 13);
+});
+
+test('multiple gaps are refilled lowest first', async () => {
+    const { manager } = createManager({ maxInFlight: 5 });
+    for (let i = 0; i < 4; i++) await manager.acquire(WALLET);
+    manager.release(WALLET, 13);
+    manager.release(WALLET, 11);
+    assert.equal(await manager.acquire(WALLET), 11);
+    assert.equal(await manager.acquire(WALLET), 13);
+});
+
+test('released nonces at the top are handed out again without becoming gaps', async () => {
+    const { manager } = createManager({ maxInFlight: 5 });
+    for (let i = 0; i < 3; i++) await manager.acquire(WALLET); // 10..12
+    manager.release(WALLET, 11);
+    assert.deepEqual(manager.getGaps(WALLET), [11]);
+    manager.release(WALLET, 12);
+    assert.deepEqual(manager.getGaps(WALLET), []);
+    assert.equal(manager.peekNext(WALLET), 11);
+    assert.equal(await manager.acquire(WALLET), 11);
+});
+
+test('discarded nonces do not become gaps', async () => {
+    const { manager } = createManager();
+    const nonce = await manager.acquire(WALLET);
+    manager.discard(WALLET, nonce);
+    assert.deepEqual(manager.getGaps(WALLET), []);
+    assert.equal(manager.getInFlightCount(WALLET), 0);
+});
+
+test('resync moves forward when the chain is ahead and drops gaps it has passed', async () => {
+    const resyncs = [];
+    const { manager, state } = createManager({ maxInFlight: 5, onResync: resync => resyncs.push(resync) });
+    await manager.acquire(WALLET);
+    await manager.acquire(WALLET);
+    manager.release(WALLET, 10);
+    manager.discard(WALLET, 11);
+
+    state.pending = 20; // Another sender used nonces 10..19
+    await manager.resync(WALLET);
+    assert.deepEqual(manager.getGaps(WALLET), []);
+    assert.equal(await manager.acquire(WALLET), 20);
+    assert.equal(manager.resyncCount, 1);
+    assert.deepEqual(resyncs, [{ address: WALLET, pending: 20, previousNext: 12, next: 20, gaps: [] }]);
+});
+
+test('resync detects nonces below next that nothing is sending', async () => {
+    const { manager, state } = createManager({ maxInFlight: 5 });
+    for (let i = 0; i < 4; i++) await manager.acquire(WALLET); // 10..13
+    manager.confirm(WALLET, 10);
+    manager.discard(WALLET, 11); // Rejected as "already known" but never mined
+    manager.confirm(WALLET, 12);
+    // 13 is still in flight
+
+    state.pending = 11;
+    await manager.resync(WALLET);
+    assert.deepEqual(manager.getGaps(WALLET), [11, 12]);
+    assert.equal(await manager.acquire(WALLET), 11);
+});
+
+test('concurrent resyncs for one wallet share a single fetch', async () => {
+    const { manager, state } = createManager();
+    await Promise.all([manager.resync(WALLET), manager.resync(WALLET), manager.resync(WALLET)]);
+    assert.equal(state.fetchCalls, 1);
+});
+
+test('acquire waits for a running resync before handing out a nonce', async () => {
+    const { manager, state } = createManager();
+    state.pending = 42;
+    const resync = manager.resync(WALLET);
+    const nonce = await manager.acquire(WALLET);
+    await resync;
+    assert.equal(nonce, 42);
+});
+
+test('resync retries failed fetches and reports when all attempts fail', async () => {
+    const { manager, state } = createManager({ resyncRetries: 3 });
+    state.failNextFetches = 2;
+    state.pending = 15;
+    assert.equal(await manager.resync(WALLET), 15);
+    assert.equal(state.fetchCalls, 3);
+
+    state.failNextFetches = 3;
+    await assert.rejects(manager.resync(WALLET), /nonce resync failed after 3 attempt/);
+});
+
+test('rejects unregistered wallets', async () => {
+    const { manager } = createManager();
+    await assert.rejects(manager.acquire('0x2222222222222222222222222222222222222222'), /not registered/);
+});
@@ -0,0 +1,82 @@
+// test/preflight.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { runPreflight, decodeRevertData } from '../preflight.js';
+import { buildBatchCall } from '../callBuilder.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const WALLETS = ['0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266', '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'];
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const ERRORS = new ethers.Interface(['error Error(string)', 'error Panic(uint256)', 'error MaxPerWallet(address wallet, uint256 limit)', 'error SaleClosed()']);
+const SOLD_OUT = ERRORS.encodeErrorResult('Error', ['Sold out']);
+const MAX_PER_WALLET = ERRORS.encodeErrorResult('MaxPerWallet', [WALLETS[0], 2]);
+const SALE_CLOSED = ERRORS.encodeErrorResult('SaleClosed', []);
+
+test('revert data decodes to Error(string), Panic, a custom error selector, or no reason', () => {
+    assert.equal(decodeRevertData(SOLD_OUT), 'Error("Sold out")');
+    assert.equal(decodeRevertData(ERRORS.encodeErrorResult('Panic', [0x11])), 'Panic(0x11)');
+    assert.equal(decodeRevertData(MAX_PER_WALLET), `custom error ${MAX_PER_WALLET.substring(0, 10)} (64 bytes of data)`);
+    assert.equal(decodeRevertData(SALE_CLOSED), `custom error ${ethers.id('SaleClosed()').substring(0, 10)}`);
+    assert.equal(decodeRevertData('0x'), 'reverted without a reason');
+    assert.equal(decodeRevertData(null), 'reverted without a reason');
+});
+
+async function withNode(options, run) {
+    const node = await new FakeNode(options).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId), batchMaxCount: 1 });
+    try {
+        await run(node, provider);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+const revert = data => ({ method: 'eth_call', error: { code: 3, message: 'execution reverted', data } });
+
+test('simulates the payload from every wallet and passes when none reverts', async () => {
+    await withNode({}, async (node, provider) => {
+        const call = buildBatchCall({ wrapper: 'aggregate', batchAddress: MULTICALL, target: TOKEN, callData: '0x1249c58b', count: 2 });
+        const logs = [];
+        const preflight = await runPreflight(provider, { call, wrapper: 'aggregate', wallets: WALLETS, log: message => logs.push(message) });
+        assert.equal(preflight.ok, true);
+        assert.deepEqual(preflight.results.map(r => r.address), WALLETS);
+        assert.equal(node.counts.methods.eth_call, 2);
+        assert.match(logs[0], /simulates successfully from all 2 wallet\(s\)/);
+        assert.equal(node.counts.methods.eth_sendRawTransaction, undefined, 'nothing is sent');
+    });
+});
+
+test('a wallet whose call reverts fails, with the reason decoded', async () => {
+    const call = buildBatchCall({ wrapper: 'aggregate', batchAddress: MULTICALL, target: TOKEN, callData: '0x1249c58b', count: 2 });
+    for (const [data, reason] of [
+        [SOLD_OUT, 'Error("Sold out")'],
+        [MAX_PER_WALLET, `custom error ${MAX_PER_WALLET.substring(0, 10)} (64 bytes of data)`],
+        [SALE_CLOSED, `custom error ${SALE_CLOSED}`],
+        ['0x', 'reverted without a reason'],
+    ]) {
+        await withNode({}, async (node, provider) => {
+            node.inject(revert(data));
+            const preflight = await runPreflight(provider, { call, wrapper: 'aggregate', wallets: WALLETS });
+            assert.equal(preflight.ok, false);
+            assert.deepEqual(preflight.failures.map(f => f.reason), [reason]);
+        });
+    }
+});
+
+test('aggregate3 and tryAggregate fail the wallet when inner calls would fail, though the batch succeeds', async () => {
+    const results = [[true, '0x'], [false, SOLD_OUT], [false, '0x']];
+    const callResult = coder.encode(['tuple(bool success, bytes returnData)[]'], [results]);
+    await withNode({ callResult }, async (node, provider) => {
+        for (const wrapper of ['aggregate3', 'tryAggregate']) {
+            const call = buildBatchCall({ wrapper, batchAddress: MULTICALL, target: TOKEN, callData: '0x1249c58b', count: 3, allowFailure: true });
+            const preflight = await runPreflight(provider, { call, wrapper, wallets: WALLETS });
+            assert.equal(preflight.ok, false);
+            assert.deepEqual(preflight.failures.map(f => f.reason), WALLETS.map(() => '2 of 3 inner calls would fail: Error("Sold out")'));
+        }
+    });
+});
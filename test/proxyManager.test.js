@@ -0,0 +1,113 @@
+// test/proxyManager.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import ProxyManager from '../proxyManager.js';
+import { RateLimiter } from '../rateLimiter.js';
+import { createSignerHandle } from '../keyring.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const QUIET = { debug() {}, info() {}, warn() {}, error() {} };
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('timed out');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+test('an unhealthy lane stays out until a probe gets an answer from the node, backing off in between', async () => {
+    const node = await new FakeNode().start();
+    const manager = new ProxyManager([{ url: null }], [node.url], 0, {
+        chainId: node.chainId, logger: QUIET, proxyCooldownMs: 50, proxyMaxCooldownMs: 1000, rpcTimeoutMs: 2000,
+    });
+    const [lane] = manager.proxies;
+    const probes = () => node.counts.methods.eth_blockNumber || 0;
+    node.inject({ method: 'eth_blockNumber', drop: true })
+        .inject({ method: 'eth_blockNumber', status: 429 })
+        .inject({ method: 'eth_blockNumber', error: { code: -32005, message: 'request limit reached' } });
+    try {
+        manager._markUnhealthy(lane);
+        assert.equal(lane.isHealthy, false);
+        assert.equal(lane.currentCooldownMs, 50);
+
+        // A dropped connection, a 429 and a rate-limit error are not answers: each doubles the cooldown
+        for (const [count, cooldownMs] of [[1, 100], [2, 200], [3, 400]]) {
+            await waitFor(() => probes() === count && lane.probeTimer !== null);
+            assert.equal(lane.isHealthy, false, `after probe ${count}`);
+            assert.equal(lane.currentCooldownMs, cooldownMs);
+        }
+
+        await waitFor(() => lane.isHealthy);
+        assert.equal(probes(), 4);
+        assert.equal(lane.failureCount, 0);
+        assert.equal(manager.getHealthyCount(), 1);
+
+        // A JSON-RPC error from the node proves the lane works
+        node.inject({ method: 'eth_blockNumber', error: { code: -32000, message: 'header not found' } });
+        manager._markUnhealthy(lane);
+        await waitFor(() => lane.isHealthy);
+        assert.equal(probes(), 5);
+    } finally {
+        manager.destroy();
+        node.stop();
+    }
+});
+
+test('a probe that cannot reach any endpoint backs off instead of re-admitting the lane', async () => {
+    const node = await new FakeNode().start();
+    const manager = new ProxyManager([{ url: null }], [node.url], 0, {
+        chainId: node.chainId, logger: QUIET, proxyCooldownMs: 20, rpcTimeoutMs: 2000,
+    });
+    const [lane] = manager.proxies;
+    const select = manager.endpointPool.select;
+    manager.endpointPool.select = () => null;
+    try {
+        manager._markUnhealthy(lane);
+        await waitFor(() => lane.currentCooldownMs === 40 && lane.probeTimer !== null);
+        assert.equal(lane.isHealthy, false);
+
+        manager.endpointPool.select = select;
+        await waitFor(() => lane.isHealthy);
+    } finally {
+        manager.destroy();
+        node.stop();
+    }
+});
+
+test('waiting for confirmations polls through the endpoint and global rate limiters, and waits out a 429', async () => {
+    const node = await new FakeNode().start();
+    const limiters = { global: new RateLimiter({ name: 'global' }), endpoint: new RateLimiter({ name: 'endpoint' }) };
+    const acquired = { global: 0, endpoint: 0 };
+    for (const [name, limiter] of Object.entries(limiters)) {
+        const acquire = limiter.acquire.bind(limiter);
+        limiter.acquire = () => {
+            acquired[name]++;
+            return acquire();
+        };
+    }
+    // Polls further apart than ethers' 250ms cache, so every poll reaches the node
+    const manager = new ProxyManager([{ url: null }], [node.url], 2, {
+        chainId: node.chainId, logger: QUIET, rpcTimeoutMs: 2000, confirmationPollIntervalMs: 300,
+        rateLimiter: limiters.global, getEndpointLimiter: () => limiters.endpoint,
+    });
+    node.inject({ method: 'eth_getTransactionReceipt', status: 429, retryAfter: 0 });
+    try {
+        const pending = manager.submitTransaction(createSignerHandle(new ethers.Wallet(KEY)), 0, { to: TOKEN, data: '0x1249c58b' }, { gasLimit: 100000n, gasPrice: 10n });
+        await waitFor(() => node.counts.methods.eth_blockNumber === 1); // Mined, one confirmation of two
+        node.mine();
+        const receipt = await pending;
+        assert.equal(receipt.status, 1);
+        assert.equal(receipt.method, 'raw_send_with_wait');
+        assert.deepEqual(node.counts.methods, { eth_sendRawTransaction: 1, eth_getTransactionReceipt: 3, eth_blockNumber: 2 });
+        assert.deepEqual(acquired, { global: 6, endpoint: 6 }, 'one turn at each limiter per request');
+        assert.equal(limiters.endpoint.rateLimitedCount, 1);
+        assert.equal(limiters.global.rateLimitedCount, 1);
+    } finally {
+        manager.destroy();
+        node.stop();
+    }
+});
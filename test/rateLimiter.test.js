@@ -0,0 +1,111 @@
+// test/rateLimiter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RateLimiter, parseRetryAfter, getRetryAfterMs, createRateLimitedRequest } from '../rateLimiter.js';
+import { FakeNode, FAULTS } from './support/fakeNode.js';
+
+async function timeAcquires(limiter, count) {
+    const startedAt = Date.now();
+    for (let i = 0; i < count; i++) await limiter.acquire();
+    return Date.now() - startedAt;
+}
+
+test('allows a burst of one second, then paces at the configured rate', async () => {
+    const limiter = new RateLimiter({ ratePerSecond: 20 });
+    assert.ok(await timeAcquires(limiter, 20) < 50, 'the first second is a burst');
+    const elapsed = await timeAcquires(limiter, 4);
+    assert.ok(elapsed >= 150 && elapsed < 400, `4 more at 20/s took ${elapsed}ms`);
+});
+
+test('without a configured rate only pauses apply', async () => {
+    const limiter = new RateLimiter();
+    assert.equal(limiter.isLimited, false);
+    assert.ok(await timeAcquires(limiter, 1000) < 200);
+    limiter.penalize(150);
+    assert.ok(limiter.isPaused());
+    assert.ok(await timeAcquires(limiter, 1) >= 140);
+});
+
+test('a rate-limit answer halves the rate, which ramps back linearly', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 100, rampUpMs: 1000 });
+    limiter.penalize(0);
+    assert.ok(Math.abs(limiter.currentRate() - 50) < 1);
+    limiter.penalize(0);
+    assert.ok(Math.abs(limiter.currentRate() - 25) < 1);
+    limiter.penalizedAt -= 500; // Half way through the ramp
+    assert.ok(Math.abs(limiter.currentRate() - 62.5) < 1);
+    limiter.penalizedAt -= 500;
+    assert.equal(limiter.currentRate(), 100);
+    assert.equal(limiter.rateLimitedCount, 2);
+});
+
+test('backing off stops at 5% of the configured rate', () => {
+    const limiter = new RateLimiter({ ratePerSecond: 100, rampUpMs: 60000 });
+    for (let i = 0; i < 20; i++) limiter.penalize(0);
+    assert.ok(Math.abs(limiter.currentRate() - 5) < 0.1);
+});
+
+test('Retry-After pauses for as long as it says; the global limiter only slows down', async () => {
+    const endpoint = new RateLimiter({ ratePerSecond: 1000 });
+    const global = new RateLimiter({ ratePerSecond: 1000 });
+    endpoint.penalize(200);
+    global.penalize(200, { pause: false });
+    assert.ok(endpoint.isPaused());
+    assert.equal(global.isPaused(), false);
+    const [endpointWait, globalWait] = await Promise.all([timeAcquires(endpoint, 1), timeAcquires(global, 1)]);
+    assert.ok(endpointWait >= 190, `endpoint waited ${endpointWait}ms`);
+    assert.ok(globalWait < 100, `global waited ${globalWait}ms`);
+});
+
+// Reads through a JsonRpcProvider on createRateLimitedRequest, as campaign.js does
+async function withReadProvider(run) {
+    const node = await new FakeNode().start();
+    const endpoint = new RateLimiter({ ratePerSecond: 1000 });
+    const global = new RateLimiter({ ratePerSecond: 1000 });
+    const provider = new ethers.JsonRpcProvider(createRateLimitedRequest(node.url, [endpoint, global]), undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    try {
+        await run({ node, provider, endpoint, global });
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('a 429 read answer penalizes the limiters', async () => {
+    await withReadProvider(async ({ node, provider, endpoint, global }) => {
+        node.inject({ ...FAULTS.rateLimited, method: 'eth_blockNumber', retryAfter: 0.2 });
+        await provider.send('eth_blockNumber', []); // ethers retries the 429 itself, after the pause
+        assert.equal(endpoint.rateLimitedCount, 1);
+        assert.equal(global.rateLimitedCount, 1);
+        assert.equal(node.counts.methods.eth_blockNumber, 2);
+    });
+});
+
+test('a JSON-RPC -32005 answer in a 200 response penalizes the limiters like a 429', async () => {
+    await withReadProvider(async ({ node, provider, endpoint, global }) => {
+        node.inject({ method: 'eth_blockNumber', error: { code: -32005, message: 'request limit reached' } });
+        await assert.rejects(provider.send('eth_blockNumber', []));
+        assert.equal(endpoint.rateLimitedCount, 1);
+        assert.ok(endpoint.isPaused());
+        assert.equal(global.rateLimitedCount, 1);
+        assert.equal(global.isPaused(), false);
+
+        // Other errors are not rate limiting
+        node.inject({ method: 'eth_blockNumber', error: { code: -32000, message: 'header not found' } });
+        await assert.rejects(provider.send('eth_blockNumber', []));
+        assert.equal(endpoint.rateLimitedCount, 1);
+    });
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('3', now), 3000);
+    assert.equal(parseRetryAfter('0.5', now), 500);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now), 10000);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 00:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter(undefined, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(getRetryAfterMs({ response: { statusCode: 429, headers: { 'retry-after': '2' } } }), 2000);
+    assert.equal(getRetryAfterMs(new Error('no response')), null);
+});
@@ -0,0 +1,123 @@
+// test/receiptTracker.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import ReceiptTracker, { DROP_CONFIRM_MS } from '../receiptTracker.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+async function withWallet(options, run) {
+    const node = await new FakeNode(options).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    const wallet = new ethers.Wallet(KEY, provider);
+    const send = async (nonce, fields = {}) => {
+        const tx = await wallet.sendTransaction({ to: TOKEN, data: `0x0${nonce}`, nonce, gasLimit: 100000, gasPrice: 10n, type: 0, ...fields });
+        return { hash: tx.hash, wallet: wallet.address, nonce };
+    };
+    try {
+        await run({ node, provider, send });
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mined transactions resolve as success or reverted, with their block and gas', async () => {
+    await withWallet({ revert: record => record.data === '0x01', gasUsed: 42000n }, async ({ provider, send }) => {
+        const outcomes = [];
+        const tracker = new ReceiptTracker(provider, { onOutcome: entry => outcomes.push(entry) });
+        const sent = [await send(0), await send(1)];
+        sent.forEach(tx => tracker.track(tx));
+        tracker.track({ hash: null, wallet: sent[0].wallet, nonce: 2 }); // Never broadcast: not tracked
+
+        await tracker._poll();
+        assert.deepEqual(outcomes.map(e => [e.hash, e.outcome, e.blockNumber, e.gasUsed]), [
+            [sent[0].hash, 'success', 1, '42000'],
+            [sent[1].hash, 'reverted', 2, '42000'],
+        ]);
+        assert.deepEqual(tracker.report(), {
+            totals: { success: 1, reverted: 1, dropped: 0, pending: 0 },
+            perWallet: { [sent[0].wallet]: { success: 1, reverted: 1, dropped: 0, pending: 0 } },
+            unresolved: 0,
+        });
+    });
+});
+
+test(`an unmined transaction behind the mined nonce count is dropped only when seen so twice ${DROP_CONFIRM_MS}ms apart`, async () => {
+    await withWallet({ automine: false }, async ({ node, provider, send }) => {
+        const tracker = new ReceiptTracker(provider);
+        const original = await send(0);
+        await send(0, { gasPrice: 20n }); // Replaces it in the pool
+        node.mine();
+        tracker.track(original);
+
+        await tracker._poll();
+        await tracker._poll();
+        assert.equal(tracker.resolved.length, 0, 'two looks in a row are not enough');
+        assert.equal(tracker.pending[0].suspectDropped, true);
+
+        await sleep(DROP_CONFIRM_MS);
+        await tracker._poll();
+        assert.deepEqual(tracker.resolved.map(e => [e.hash, e.outcome, e.blockNumber]), [[original.hash, 'dropped', undefined]]);
+        assert.equal(tracker.report().totals.dropped, 1);
+    });
+});
+
+test('a transaction missing once and then found again resolves from its receipt, not as dropped', async () => {
+    await withWallet({}, async ({ node, provider, send }) => {
+        const tracker = new ReceiptTracker(provider);
+        const tx = await send(0);
+        tracker.track(tx);
+
+        // A node behind a load balancer that has not indexed the receipt yet
+        const record = node.transactions.get(tx.hash);
+        node.transactions.delete(tx.hash);
+        await tracker._poll();
+        assert.equal(tracker.pending[0].suspectDropped, true);
+
+        node.transactions.set(tx.hash, record);
+        await sleep(DROP_CONFIRM_MS);
+        await tracker._poll();
+        assert.deepEqual(tracker.resolved.map(e => e.outcome), ['success']);
+        assert.equal(tracker.pending.length, 0);
+    });
+});
+
+test('a transaction still in the pool stays pending, and finish() classifies it as pending at its timeout', async () => {
+    await withWallet({ automine: false }, async ({ node, provider, send }) => {
+        const tracker = new ReceiptTracker(provider, { pollIntervalMs: 20 });
+        tracker.track(await send(0));
+        await tracker._poll();
+        assert.equal(tracker.pending[0].suspectDropped, false, 'its nonce is not mined yet');
+
+        const started = Date.now();
+        const report = await tracker.finish(300);
+        assert.ok(Date.now() - started >= 300, 'waits out the timeout');
+        assert.deepEqual(report.totals, { success: 0, reverted: 0, dropped: 0, pending: 1 });
+        assert.equal(report.unresolved, 0);
+        assert.ok(node.counts.methods.eth_getTransactionReceipt >= 2, 'kept polling until then');
+        assert.equal(tracker.timer, null);
+    });
+});
+
+test('finish() returns as soon as everything is resolved, and lets a poll in flight at the deadline complete', async () => {
+    await withWallet({}, async ({ node, provider, send }) => {
+        const tracker = new ReceiptTracker(provider, { pollIntervalMs: 10 });
+        tracker.track(await send(0));
+        let started = Date.now();
+        assert.equal((await tracker.finish(5000)).totals.success, 1);
+        assert.ok(Date.now() - started < 1000);
+
+        // The receipt answer arrives after the deadline; the batch it carries is not given up as pending
+        tracker.track(await send(1));
+        node.inject({ method: 'eth_getTransactionReceipt', delayMs: 400 });
+        started = Date.now();
+        const report = await tracker.finish(100);
+        assert.ok(Date.now() - started >= 400);
+        assert.deepEqual(report.totals, { success: 2, reverted: 0, dropped: 0, pending: 0 });
+    });
+});
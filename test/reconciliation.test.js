@@ -0,0 +1,118 @@
+// test/reconciliation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { reconcile, reportToCsv, reportToJson, countTransfers, TRANSFER_TOPIC } from '../reconciliation.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const RECIPIENT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const KEYS = [
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+];
+
+function transferLog(to, tokenId) {
+    return { address: TOKEN, topics: [TRANSFER_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue(to, 32), ethers.toBeHex(tokenId, 32)] };
+}
+
+// Two mints to RECIPIENT per transaction, except that data 0x01 reverts and data 0x02 mints only once
+async function runMints(node, provider) {
+    let tokenId = 0;
+    node.revert = record => record.data === '0x01';
+    node.emitLogs = record => (record.data === '0x02' ? [transferLog(RECIPIENT, ++tokenId)] : [transferLog(RECIPIENT, ++tokenId), transferLog(RECIPIENT, ++tokenId)]);
+    const sent = [];
+    const payloads = [['0x', '0x', '0x01'], ['0x', '0x02']];
+    for (const [w, key] of KEYS.entries()) {
+        const wallet = new ethers.Wallet(key, provider);
+        for (const [nonce, data] of payloads[w].entries()) {
+            const tx = await wallet.sendTransaction({ to: TOKEN, data, nonce, gasLimit: 100000, gasPrice: 2n, type: 0 });
+            sent.push({ hash: tx.hash, wallet: wallet.address, nonce });
+        }
+    }
+    return sent;
+}
+
+async function withNode(run) {
+    const node = await new FakeNode({ gasUsed: 50000n }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    try {
+        await run(node, provider);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('counts Transfers of the token to the recipient only', () => {
+    const erc20 = { address: TOKEN, topics: [TRANSFER_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue(RECIPIENT, 32)], data: ethers.toBeHex(10n ** 18n, 32) };
+    const elsewhere = { ...transferLog(TOKEN, 1) };
+    const otherToken = { ...transferLog(RECIPIENT, 2), address: RECIPIENT };
+    assert.deepEqual(countTransfers([transferLog(RECIPIENT, 1), erc20, elsewhere, otherToken], TOKEN, RECIPIENT), { mints: 2, amount: 10n ** 18n + 1n });
+});
+
+test('reconciles given hashes: mints against expected, reverts, gas and final wallet state', async () => {
+    await withNode(async (node, provider) => {
+        const sent = await runMints(node, provider);
+        const missing = { hash: ethers.id('never sent'), wallet: ethers.computeAddress(KEYS[1]), nonce: 5 };
+        const report = await reconcile(provider, {
+            token: TOKEN,
+            recipient: RECIPIENT,
+            mintsPerTransaction: 2,
+            transactions: [...sent, missing],
+            wallets: [{ address: sent[0].wallet, startBalance: ethers.parseEther('100') }],
+            durationSeconds: 2,
+        });
+
+        assert.equal(report.totals.transactions, 6);
+        assert.equal(report.totals.mined, 4);
+        assert.equal(report.totals.reverted, 1);
+        assert.equal(report.totals.notFound, 1);
+        assert.equal(report.totals.mintsExpected, 12);
+        assert.equal(report.totals.mints, 7);
+        assert.equal(report.totals.gasUsed, 5n * 50000n);
+        assert.equal(report.totals.gasCost, 5n * 50000n * 2n);
+        assert.equal(report.totals.mintsPerSecond, 3.5);
+        assert.deepEqual(report.reverted.map(r => r.hash), [sent[2].hash]);
+
+        const [first, second] = report.wallets;
+        assert.equal(first.address, sent[0].wallet);
+        assert.deepEqual([first.transactions, first.mined, first.reverted, first.mints, first.finalNonce], [3, 2, 1, 4, 3]);
+        assert.equal(first.balance, ethers.parseEther('100') - 3n * 50000n * 2n);
+        assert.equal(first.startBalance, ethers.parseEther('100'));
+        assert.deepEqual([second.transactions, second.notFound, second.mints, second.finalNonce], [3, 1, 3, 2]);
+        assert.equal(second.startBalance, null);
+    });
+});
+
+test('finds the transactions of a block range from its Transfer logs', async () => {
+    await withNode(async (node, provider) => {
+        const sent = await runMints(node, provider);
+        const report = await reconcile(provider, { token: TOKEN, recipient: RECIPIENT, mintsPerTransaction: 2, fromBlock: 2, toBlock: 4 });
+        // Blocks 2-4 hold the second and (reverted, so log-less) third transaction of wallet 0 and the first of wallet 1
+        assert.equal(report.source, 'blocks');
+        assert.deepEqual(report.transactions.map(t => t.hash).sort(), [sent[1].hash, sent[3].hash].sort());
+        assert.equal(report.totals.mints, 4);
+        assert.equal(report.transactions.find(t => t.hash === sent[3].hash).nonce, 0);
+
+        const onlyWallet1 = await reconcile(provider, { token: TOKEN, recipient: RECIPIENT, mintsPerTransaction: 2, fromBlock: 0, wallets: [{ address: sent[3].wallet }] });
+        assert.deepEqual(onlyWallet1.transactions.map(t => t.hash), [sent[3].hash, sent[4].hash]);
+        assert.equal(onlyWallet1.toBlock, 5);
+    });
+});
+
+test('writes exact JSON and one CSV row per wallet plus a total', async () => {
+    await withNode(async (node, provider) => {
+        const sent = await runMints(node, provider);
+        const report = await reconcile(provider, { token: TOKEN, recipient: RECIPIENT, mintsPerTransaction: 2, transactions: sent });
+        const json = JSON.parse(reportToJson(report));
+        assert.equal(json.totals.gasCost, String(5n * 50000n * 2n));
+
+        const { wallets, transactions } = reportToCsv(report);
+        const rows = wallets.trim().split('\n').map(line => line.split(','));
+        assert.equal(rows[0][0], 'wallet');
+        assert.equal(rows.length, 1 + 2 + 1);
+        assert.deepEqual(rows[3].slice(0, 7), ['TOTAL', '5', '4', '1', '0', '10', '7']);
+        assert.equal(transactions.trim().split('\n').length, 1 + 5);
+    });
+});
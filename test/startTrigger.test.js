@@ -0,0 +1,137 @@
+// test/startTrigger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import StartTrigger, { parseStartTime, buildConditionCall, eventTopic } from '../startTrigger.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+async function withNode(run) {
+    const node = await new FakeNode().start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    try {
+        await run(node, provider);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('startAt is ISO 8601 or unix seconds', () => {
+    assert.equal(parseStartTime('2026-10-20T14:00:00Z'), Date.parse('2026-10-20T14:00:00Z'));
+    assert.equal(parseStartTime('1792504800'), 1792504800000);
+    assert.throws(() => parseStartTime('tomorrow at noon'), /ISO 8601/);
+});
+
+test('condition calls compare the first return value, or check it is truthy', () => {
+    const open = buildConditionCall({ signature: 'mintOpen() returns (bool)', target: TOKEN });
+    assert.equal(open.check(coder.encode(['bool'], [false])), false);
+    assert.equal(open.check(coder.encode(['bool'], [true])), true);
+
+    const phase = buildConditionCall({ signature: 'phase() view returns (uint8)', target: TOKEN, expect: '2' });
+    assert.equal(phase.check(coder.encode(['uint8'], [1])), false);
+    assert.equal(phase.check(coder.encode(['uint8'], [2])), true);
+
+    const owner = buildConditionCall({ signature: 'minterOf(uint256) returns (address)', args: [7], target: TOKEN, expect: TOKEN.toLowerCase() });
+    assert.equal(owner.data.slice(0, 10), ethers.id('minterOf(uint256)').slice(0, 10));
+    assert.equal(owner.check(coder.encode(['address'], [TOKEN])), true);
+
+    assert.throws(() => buildConditionCall({ signature: 'mintOpen()', target: TOKEN }), /must declare what it returns/);
+    assert.equal(eventTopic('MintOpened(uint256)'), ethers.id('MintOpened(uint256)'));
+    assert.equal(eventTopic('event MintOpened(uint256 indexed round)'), ethers.id('MintOpened(uint256)'));
+});
+
+test('waits for the wall-clock time, preparing ahead on every tick', async () => {
+    let ticks = 0;
+    const trigger = new StartTrigger(null, { at: Date.now() + 300, pollIntervalMs: 50, onPoll: async () => { ticks++; } });
+    const startedAt = Date.now();
+    const fired = await trigger.wait();
+    assert.ok(fired.firedAt - startedAt >= 290, `fired after ${fired.firedAt - startedAt}ms`);
+    assert.ok(ticks >= 3, `${ticks} ticks`);
+});
+
+test('fires once the block before startBlock is mined', async () => {
+    await withNode(async (node, provider) => {
+        const trigger = new StartTrigger(provider, { block: 4, pollIntervalMs: 50 });
+        let fired = null;
+        const waiting = trigger.wait().then(result => { fired = result; });
+        node.mine();
+        node.mine();
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.equal(fired, null);
+        node.mine();
+        await waiting;
+        assert.equal(fired.blockNumber, 3);
+    });
+});
+
+test('fires when the view call returns the expected value, polling through reverts', async () => {
+    await withNode(async (node, provider) => {
+        let answer = null; // null: the call reverts
+        node.callResult = () => {
+            if (answer === null) throw Object.assign(new Error('execution reverted'), { code: 3 });
+            return coder.encode(['uint8'], [answer]);
+        };
+        const messages = [];
+        const trigger = new StartTrigger(provider, {
+            call: buildConditionCall({ signature: 'phase() returns (uint8)', target: TOKEN, expect: '2' }),
+            pollIntervalMs: 50,
+            log: message => messages.push(message),
+        });
+        let fired = null;
+        const waiting = trigger.wait().then(result => { fired = result; });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        answer = 1;
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(fired, null);
+        answer = 2;
+        await waiting;
+        assert.ok(fired);
+        assert.equal(messages.filter(m => m.includes('poll failed')).length, 1, 'a failure that repeats is logged once');
+    });
+});
+
+test('fires on an event emitted after the wait started, and not on an older one', async () => {
+    await withNode(async (node, provider) => {
+        const topic = eventTopic('MintOpened(uint256)');
+        node.emitLog({ address: TOKEN, topics: [topic] });
+        node.mine(); // The older event is a block behind the one the wait starts in
+        const trigger = new StartTrigger(provider, { event: { address: TOKEN, topic, description: 'MintOpened' }, pollIntervalMs: 50 });
+        let fired = null;
+        const waiting = trigger.wait().then(result => { fired = result; });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        node.emitLog({ address: '0x0000000000000000000000000000000000000001', topics: [topic] });
+        node.mine();
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(fired, null);
+        const block = node.emitLog({ address: TOKEN, topics: [topic] });
+        await waiting;
+        assert.equal(fired.blockNumber, block);
+    });
+});
+
+test('fires on an event in the block the wait started in, or emitted while earlier conditions were awaited', async () => {
+    await withNode(async (node, provider) => {
+        const topic = eventTopic('MintOpened(uint256)');
+        const block = node.emitLog({ address: TOKEN, topics: [topic] });
+        const trigger = new StartTrigger(provider, { event: { address: TOKEN, topic, description: 'MintOpened' }, pollIntervalMs: 50 });
+        assert.equal((await trigger.wait()).blockNumber, block);
+    });
+    await withNode(async (node, provider) => {
+        const topic = eventTopic('MintOpened(uint256)');
+        const trigger = new StartTrigger(provider, { at: Date.now() + 300, event: { address: TOKEN, topic, description: 'MintOpened' }, pollIntervalMs: 50 });
+        const waiting = trigger.wait();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const block = node.emitLog({ address: TOKEN, topics: [topic] });
+        node.mine();
+        assert.equal((await waiting).blockNumber, block);
+    });
+});
+
+test('cancel() ends the wait with null', async () => {
+    const trigger = new StartTrigger(null, { at: Date.now() + 60000, pollIntervalMs: 1000 });
+    setTimeout(() => trigger.cancel(), 50);
+    assert.equal(await trigger.wait(), null);
+});
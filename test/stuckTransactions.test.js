@@ -0,0 +1,87 @@
+// test/stuckTransactions.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { scanWallet, replacementFees, unstickWallet, waitUntilClear } from '../stuckTransactions.js';
+import { createSignerHandle } from '../keyring.js';
+import { FakeNode } from './support/fakeNode.js';
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Nonce 0 mined; 1 and 2 pooled at gas price 10, then the base fee rises to 20 so they stay there.
+// Nonce 4 was sent behind a gap (3 never made it).
+async function withStuckWallet(run) {
+    const node = await new FakeNode({ automine: false }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    const wallet = new ethers.Wallet(KEY, provider);
+    try {
+        const sent = [];
+        for (const nonce of [0, 1, 2, 4]) {
+            const tx = await wallet.sendTransaction({ to: TOKEN, data: `0x0${nonce}`, nonce, gasLimit: 100000, gasPrice: 10n, type: 0 });
+            sent.push(tx.hash);
+            if (nonce === 0) node.mine();
+        }
+        node.baseFee = 20n;
+        node.automine = true;
+        await run({ node, provider, signer: createSignerHandle(new ethers.Wallet(KEY)), sent });
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+}
+
+test('lists the nonces between the latest and pending counts, plus journaled ones behind a gap', async () => {
+    await withStuckWallet(async ({ provider, signer }) => {
+        assert.deepEqual(await scanWallet(provider, signer.address), { address: signer.address, latest: 1, pending: 3, nonces: [1, 2] });
+        assert.deepEqual((await scanWallet(provider, signer.address, [0, 1, 2, 4])).nonces, [1, 2, 3, 4]);
+    });
+});
+
+test('replacement fees beat both the original and current fees', () => {
+    assert.deepEqual(replacementFees({ gasPrice: 5n }, { gasPrice: 100n }, 15), { gasPrice: 115n });
+    assert.deepEqual(replacementFees({ gasPrice: 500n }, { gasPrice: 100n }, 15), { gasPrice: 500n });
+    assert.deepEqual(replacementFees({ gasPrice: 100n }, null, 10), { gasPrice: 110n });
+    assert.deepEqual(
+        replacementFees({ maxFeePerGas: 50n, maxPriorityFeePerGas: 1n }, { maxFeePerGas: 100n, maxPriorityFeePerGas: 10n }, 20),
+        { maxFeePerGas: 120n, maxPriorityFeePerGas: 12n },
+    );
+    assert.deepEqual(replacementFees({ gasPrice: 5n }, { gasPrice: 100n }, 15, 110n), { gasPrice: 110n }, 'capped by maxFee');
+});
+
+test('cancel replaces each stuck nonce with a zero-value self-transfer and the wallet clears', async () => {
+    await withStuckWallet(async ({ node, provider, signer, sent }) => {
+        const { nonces } = await scanWallet(provider, signer.address);
+        const results = await unstickWallet(provider, signer, { action: 'cancel', nonces, chainId: node.chainId, getFees: async () => ({ gasPrice: 20n }), feeBumpPercent: 10 });
+
+        assert.deepEqual(results.map(r => [r.nonce, r.status]), [[1, 'sent'], [2, 'sent']]);
+        assert.ok(await waitUntilClear(provider, signer.address, 3, { timeoutMs: 2000, pollIntervalMs: 20 }));
+        const mined = node.getTransactions().filter(t => t.blockNumber !== null && t.nonce > 0);
+        assert.deepEqual(mined.map(t => [t.nonce, t.to.toLowerCase(), t.data]), [1, 2].map(n => [n, signer.address.toLowerCase(), '0x']));
+        assert.ok(mined.every(t => t.price >= 22n));
+        assert.equal(node.transactions.get(sent[1]).replaced, true);
+    });
+});
+
+test('speed-up re-sends the original payload, raising fees while the node calls it underpriced', async () => {
+    await withStuckWallet(async ({ node, provider, signer, sent }) => {
+        const originals = new Map([[1, await provider.send('eth_getTransactionByHash', [sent[1]])], [4, await provider.send('eth_getTransactionByHash', [sent[3]])]]);
+        const call = { to: TOKEN, data: '0xabcdef' };
+        // 16 beats the originals' 10 (+50%) but not the base fee of 20, so each needs one more bump
+        const results = await unstickWallet(provider, signer, { action: 'speed-up', nonces: [1, 2, 3, 4], originals, chainId: node.chainId, getFees: async () => ({ gasPrice: 16n }), call, gasLimit: 90000n, feeBumpPercent: 50, maxFeeBumps: 3 });
+
+        assert.deepEqual(results.map(r => r.status), ['sent', 'sent', 'sent', 'sent']);
+        assert.equal(results[0].original, sent[1]);
+        assert.deepEqual(results.map(r => r.fees.gasPrice), [24n, 24n, 24n, 24n]);
+        assert.ok(await waitUntilClear(provider, signer.address, 5, { timeoutMs: 2000, pollIntervalMs: 20 }));
+        const byNonce = new Map(node.getTransactions().filter(t => t.blockNumber !== null).map(t => [t.nonce, t]));
+        assert.equal(byNonce.get(1).data, '0x01');
+        assert.equal(byNonce.get(1).gasLimit, 100000n);
+        assert.equal(byNonce.get(2).data, '0xabcdef', 'no original given: the campaign call');
+        assert.equal(byNonce.get(3).data, '0xabcdef');
+        assert.equal(byNonce.get(4).data, '0x04');
+
+        const again = await unstickWallet(provider, signer, { action: 'cancel', nonces: [1], chainId: node.chainId, getFees: async () => ({ gasPrice: 30n }) });
+        assert.equal(again[0].status, 'mined');
+    });
+});
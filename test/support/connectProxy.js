@@ -0,0 +1,76 @@
+// test/support/connectProxy.js
+import http from 'http';
+import net from 'net';
+
+// Plain HTTP CONNECT proxy standing in for the Oxylabs backconnect endpoint. Records the session id
+// of every tunnel (from "customer-USER-cc-XX-sessid-ID" in Proxy-Authorization) and can be told to
+// refuse the next tunnels with a 502, as a proxy with no exit node would.
+class ConnectProxy {
+    constructor() {
+        this.server = null;
+        this.hostPort = null;
+        this.url = null;
+        this.connects = 0;
+        this.refused = 0;
+        this.sessions = new Set();
+        this.refuseNext = 0;
+        this.sockets = new Set();
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            res.writeHead(405);
+            res.end();
+        });
+        this.server.on('connect', (req, clientSocket, head) => this._tunnel(req, clientSocket, head));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.hostPort = `127.0.0.1:${this.server.address().port}`;
+        this.url = `http://${this.hostPort}`;
+        return this;
+    }
+
+    stop() {
+        if (!this.server) return;
+        this.server.close();
+        this.sockets.forEach(socket => socket.destroy());
+        this.server = null;
+    }
+
+    refuse(times = 1) {
+        this.refuseNext += times;
+        return this;
+    }
+
+    _tunnel(req, clientSocket, head) {
+        this.connects++;
+        const auth = req.headers['proxy-authorization'];
+        if (auth && auth.startsWith('Basic ')) {
+            const user = Buffer.from(auth.slice(6), 'base64').toString().split(':')[0];
+            const match = /-sessid-([^-]+)$/.exec(user);
+            if (match) this.sessions.add(match[1]);
+        }
+        this.sockets.add(clientSocket);
+        clientSocket.on('close', () => this.sockets.delete(clientSocket));
+        clientSocket.on('error', () => clientSocket.destroy());
+        if (this.refuseNext > 0) {
+            this.refuseNext--;
+            this.refused++;
+            clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+            return;
+        }
+
+        const [host, port] = req.url.split(':');
+        const upstream = net.connect(Number(port), host, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+        this.sockets.add(upstream);
+        upstream.on('close', () => this.sockets.delete(upstream));
+        upstream.on('error', () => clientSocket.destroy());
+        clientSocket.on('close', () => upstream.destroy());
+    }
+}
+
+export { ConnectProxy };
@@ -0,0 +1,376 @@
+// test/support/fakeNode.js
+import http from 'http';
+import { ethers } from 'ethers';
+
+// Faults that can be scripted with FakeNode.inject(). Each applies to the next request carrying
+// `method` ('*' for any), `times` times:
+//   error   - that call answers with this JSON-RPC error instead of running
+//   status  - the whole HTTP request answers with this status (and a Retry-After header with retryAfter)
+//   delayMs - the request is answered normally, but only after this long
+//   drop    - the connection is closed without an answer
+const FAULTS = {
+    nonceTooLow: { method: 'eth_sendRawTransaction', error: { code: -32000, message: 'nonce too low' } },
+    poolFull: { method: 'eth_sendRawTransaction', error: { code: -32000, message: 'txpool is full' } },
+    underpriced: { method: 'eth_sendRawTransaction', error: { code: -32000, message: 'transaction underpriced' } },
+    rateLimited: { method: 'eth_sendRawTransaction', status: 429 },
+    slow: { method: 'eth_sendRawTransaction', delayMs: 500 },
+    dropConnection: { method: 'eth_sendRawTransaction', drop: true },
+};
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// A stand-in execution node over HTTP JSON-RPC (single requests and batches). It keeps a nonce and
+// balance per account, checks every raw transaction the way geth does (chain id, nonce, fees,
+// funds, replacement), mines pooled transactions in nonce order and answers receipts for them.
+// Counts and logs every request by method so tests and the bench can assert on traffic.
+class FakeNode {
+    constructor({
+        chainId = 31337,
+        balance = ethers.parseEther('100'), // Starting balance of any account not in `balances`
+        balances = {},
+        gasUsed = 50000n, // Per mined transaction (capped at its gas limit); or a function of the transaction record giving the gas it needs, which runs out of gas (status 0, all gas used) above its gas limit
+        blockGasLimit = 30000000n, // Transactions with a higher gas limit are refused
+        baseFee = 1n,
+        minGasPrice = 0n,
+        automine = true, // Mine right after every accepted transaction; otherwise call mine()
+        maxPoolSize = Infinity,
+        callResult = '0x', // eth_call answer, or a function of the call object returning it
+        estimateGas = 100000n, // eth_estimateGas answer, or a function of the call object returning it (throw to fail)
+        revert = false, // Mine every transaction with status 0, or a function of the transaction record
+        emitLogs = null, // (record) => [{ address, topics, data }] emitted by a transaction that did not revert
+        refuseBatches = false, // Answer batch requests with one JSON-RPC error, as nodes without batch support do; or a function of the calls
+    } = {}) {
+        this.chainId = chainId;
+        this.defaultBalance = balance;
+        this.gasUsed = gasUsed;
+        this.blockGasLimit = blockGasLimit;
+        this.baseFee = baseFee;
+        this.minGasPrice = minGasPrice;
+        this.automine = automine;
+        this.maxPoolSize = maxPoolSize;
+        this.callResult = callResult;
+        this.estimateGas = estimateGas;
+        this.revert = revert;
+        this.emitLogs = emitLogs;
+        this.refuseBatches = refuseBatches;
+        this.accounts = new Map(); // lowercase address -> { balance, nonce }
+        this.pool = new Map(); // `${address}:${nonce}` -> transaction record
+        this.transactions = new Map(); // hash -> transaction record, pooled or mined
+        this.logs = []; // { address, topics, data, blockNumber, transactionHash }, from emitLog() and emitLogs
+        this.blockNumber = 0;
+        this.blockTimestamps = [Math.floor(Date.now() / 1000)]; // Unix seconds, per block number
+        this.faults = [];
+        this.counts = { http: 0, methods: {} };
+        this.requests = []; // { at, methods, fault } per HTTP request
+        this.server = null;
+        this.url = null;
+        for (const [address, value] of Object.entries(balances)) this.setBalance(address, value);
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this._handle(req, res));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    stop() {
+        if (!this.server) return;
+        this.server.close();
+        this.server.closeAllConnections();
+        this.server = null;
+    }
+
+    inject(fault, times = 1) {
+        this.faults.push({ method: '*', ...fault, remaining: times });
+        return this;
+    }
+
+    _account(address) {
+        const key = address.toLowerCase();
+        if (!this.accounts.has(key)) this.accounts.set(key, { balance: this.defaultBalance, nonce: 0 });
+        return this.accounts.get(key);
+    }
+
+    setBalance(address, balance) {
+        this._account(address).balance = BigInt(balance);
+    }
+
+    getBalance(address) {
+        return this._account(address).balance;
+    }
+
+    // Mined transaction count
+    getNonce(address) {
+        return this._account(address).nonce;
+    }
+
+    // Mined count plus pooled transactions that follow it without a gap
+    getPendingNonce(address) {
+        let nonce = this.getNonce(address);
+        while (this.pool.has(`${address.toLowerCase()}:${nonce}`)) nonce++;
+        return nonce;
+    }
+
+    // Every transaction the node accepted, in order, including replaced ones
+    getTransactions() {
+        return [...this.transactions.values()];
+    }
+
+    // Puts every pooled transaction that has no nonce gap in front of it, and pays the base fee, into a new block.
+    mine() {
+        this.blockNumber++;
+        this.blockTimestamps[this.blockNumber] = Math.floor(Date.now() / 1000);
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const [key, record] of this.pool) {
+                const account = this._account(record.from);
+                if (record.nonce !== account.nonce || record.price < this.baseFee) continue; // Priced under the base fee: stays pooled
+                this.pool.delete(key);
+                record.blockNumber = this.blockNumber;
+                const gasNeeded = typeof this.gasUsed === 'function' ? this.gasUsed(record) : null;
+                const outOfGas = gasNeeded !== null && gasNeeded > record.gasLimit;
+                record.status = outOfGas || (typeof this.revert === 'function' ? this.revert(record) : this.revert) ? 0 : 1;
+                record.logs = record.status === 1 && this.emitLogs
+                    ? this.emitLogs(record).map(log => ({ address: log.address.toLowerCase(), topics: log.topics, data: log.data || '0x', blockNumber: this.blockNumber, transactionHash: record.hash }))
+                    : [];
+                this.logs.push(...record.logs);
+                const gasUsed = gasNeeded !== null ? gasNeeded : this.gasUsed;
+                record.gasUsed = record.gasLimit < gasUsed ? record.gasLimit : gasUsed;
+                account.balance -= record.gasUsed * record.price;
+                account.nonce++;
+                progress = true;
+            }
+        }
+        return this.blockNumber;
+    }
+
+    // Forgets the pooled transactions of `address`, as a node restart or a pool eviction would
+    evict(address) {
+        for (const [key, record] of this.pool) {
+            if (record.from !== address.toLowerCase()) continue;
+            this.pool.delete(key);
+            this.transactions.delete(record.hash);
+        }
+    }
+
+    // Mines a block carrying one log, as if a contract had emitted an event.
+    emitLog({ address, topics, data = '0x' }) {
+        const blockNumber = this.mine();
+        this.logs.push({ address: address.toLowerCase(), topics, data, blockNumber });
+        return blockNumber;
+    }
+
+    _getLogs({ address, topics = [], fromBlock = '0x0', toBlock = 'latest' }) {
+        const toNumber = tag => (tag === 'latest' || tag === 'pending' ? this.blockNumber : tag === 'earliest' ? 0 : Number(tag));
+        const addresses = address === undefined ? null : [].concat(address).map(a => a.toLowerCase());
+        return this.logs
+            .filter(log => log.blockNumber >= toNumber(fromBlock) && log.blockNumber <= toNumber(toBlock))
+            .filter(log => !addresses || addresses.includes(log.address))
+            .filter(log => topics.every((topic, i) => topic === null || [].concat(topic).includes(log.topics[i])))
+            .map(log => this._formatLog(log, this.logs.indexOf(log)));
+    }
+
+    _formatLog(log, index) {
+        return {
+            address: ethers.getAddress(log.address),
+            topics: log.topics,
+            data: log.data,
+            blockNumber: ethers.toQuantity(log.blockNumber),
+            blockHash: ethers.zeroPadValue(ethers.toBeHex(log.blockNumber), 32),
+            transactionHash: log.transactionHash || ethers.zeroPadValue(ethers.toBeHex(index + 1), 32),
+            transactionIndex: '0x0',
+            logIndex: ethers.toQuantity(index),
+            removed: false,
+        };
+    }
+
+    _sendRawTransaction(raw) {
+        const tx = ethers.Transaction.from(raw);
+        if (tx.chainId !== BigInt(this.chainId)) throw new RpcError(-32000, 'invalid chain id for signer');
+        if (this.transactions.has(tx.hash)) throw new RpcError(-32000, 'already known');
+
+        const from = tx.from.toLowerCase();
+        const account = this._account(from);
+        if (tx.nonce < account.nonce) throw new RpcError(-32000, `nonce too low: next nonce ${account.nonce}, tx nonce ${tx.nonce}`);
+
+        if (tx.gasLimit > this.blockGasLimit) throw new RpcError(-32000, 'exceeds block gas limit');
+        const price = tx.maxFeePerGas !== null ? tx.maxFeePerGas : tx.gasPrice;
+        if (price < this.minGasPrice || price < this.baseFee) throw new RpcError(-32000, 'transaction underpriced');
+
+        const key = `${from}:${tx.nonce}`;
+        const replaced = this.pool.get(key);
+        if (replaced && price * 100n < replaced.price * 110n) throw new RpcError(-32000, 'replacement transaction underpriced');
+
+        let committed = tx.gasLimit * price;
+        for (const pooled of this.pool.values()) {
+            if (pooled.from === from && pooled !== replaced) committed += pooled.gasLimit * pooled.price;
+        }
+        if (committed > account.balance) throw new RpcError(-32000, 'insufficient funds for gas * price + value');
+        if (!replaced && this.pool.size >= this.maxPoolSize) throw new RpcError(-32000, 'txpool is full');
+
+        const record = { hash: tx.hash, from, nonce: tx.nonce, to: tx.to, data: tx.data, gasLimit: tx.gasLimit, price, raw, blockNumber: null, status: null, gasUsed: null, logs: [], replaced: false };
+        if (replaced) replaced.replaced = true;
+        this.pool.set(key, record);
+        this.transactions.set(tx.hash, record);
+        if (this.automine) this.mine();
+        return tx.hash;
+    }
+
+    _receipt(hash) {
+        const record = this.transactions.get(hash);
+        if (!record || record.blockNumber === null) return null;
+        return {
+            transactionHash: record.hash,
+            transactionIndex: '0x0',
+            blockHash: ethers.zeroPadValue(ethers.toBeHex(record.blockNumber), 32),
+            blockNumber: ethers.toQuantity(record.blockNumber),
+            from: ethers.getAddress(record.from),
+            to: record.to,
+            contractAddress: null,
+            cumulativeGasUsed: ethers.toQuantity(record.gasUsed),
+            gasUsed: ethers.toQuantity(record.gasUsed),
+            effectiveGasPrice: ethers.toQuantity(record.price),
+            logs: record.logs.map(log => this._formatLog(log, this.logs.indexOf(log))),
+            logsBloom: `0x${'00'.repeat(256)}`,
+            status: ethers.toQuantity(record.status),
+            type: '0x0',
+        };
+    }
+
+    _transaction(hash) {
+        const record = this.transactions.get(hash);
+        if (!record) return null;
+        const tx = ethers.Transaction.from(record.raw);
+        return {
+            hash: record.hash,
+            from: ethers.getAddress(record.from),
+            to: record.to,
+            nonce: ethers.toQuantity(record.nonce),
+            input: record.data,
+            value: '0x0',
+            gas: ethers.toQuantity(record.gasLimit),
+            gasPrice: ethers.toQuantity(record.price),
+            chainId: ethers.toQuantity(this.chainId),
+            type: ethers.toQuantity(tx.type),
+            ...(tx.type === 2 ? { maxFeePerGas: ethers.toQuantity(tx.maxFeePerGas), maxPriorityFeePerGas: ethers.toQuantity(tx.maxPriorityFeePerGas) } : {}),
+            v: ethers.toQuantity(tx.signature.v), r: tx.signature.r, s: tx.signature.s,
+            blockNumber: record.blockNumber !== null ? ethers.toQuantity(record.blockNumber) : null,
+            blockHash: record.blockNumber !== null ? ethers.zeroPadValue(ethers.toBeHex(record.blockNumber), 32) : null,
+            transactionIndex: record.blockNumber !== null ? '0x0' : null,
+        };
+    }
+
+    _block(number) {
+        return {
+            number: ethers.toQuantity(number),
+            hash: ethers.zeroPadValue(ethers.toBeHex(number), 32),
+            parentHash: number > 0 ? ethers.zeroPadValue(ethers.toBeHex(number - 1), 32) : ethers.ZeroHash,
+            timestamp: ethers.toQuantity(this.blockTimestamps[number] !== undefined ? this.blockTimestamps[number] : Math.floor(Date.now() / 1000)),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: ethers.toQuantity(this.blockGasLimit),
+            gasUsed: '0x0',
+            miner: ethers.ZeroAddress,
+            extraData: '0x',
+            baseFeePerGas: ethers.toQuantity(this.baseFee),
+            transactions: [],
+        };
+    }
+
+    _call(method, params) {
+        switch (method) {
+            case 'eth_chainId': return ethers.toQuantity(this.chainId);
+            case 'net_version': return String(this.chainId);
+            case 'eth_blockNumber': return ethers.toQuantity(this.blockNumber);
+            case 'eth_getBlockByNumber': return this._block(params[0] === 'latest' || params[0] === 'pending' ? this.blockNumber : Number(params[0]));
+            case 'eth_gasPrice': return ethers.toQuantity(this.baseFee);
+            case 'eth_maxPriorityFeePerGas': return '0x1';
+            case 'eth_feeHistory': {
+                const blocks = Number(params[0]);
+                return {
+                    oldestBlock: ethers.toQuantity(Math.max(0, this.blockNumber - blocks + 1)),
+                    baseFeePerGas: Array(blocks + 1).fill(ethers.toQuantity(this.baseFee)),
+                    gasUsedRatio: Array(blocks).fill(0.5),
+                    reward: Array(blocks).fill((params[2] || []).map(() => '0x1')),
+                };
+            }
+            case 'eth_getBalance': return ethers.toQuantity(this.getBalance(params[0]));
+            case 'eth_getTransactionCount': return ethers.toQuantity(params[1] === 'pending' ? this.getPendingNonce(params[0]) : this.getNonce(params[0]));
+            case 'eth_estimateGas': return ethers.toQuantity(typeof this.estimateGas === 'function' ? this.estimateGas(params[0]) : this.estimateGas);
+            case 'eth_call': return typeof this.callResult === 'function' ? this.callResult(params[0]) : this.callResult;
+            case 'eth_getLogs': return this._getLogs(params[0]);
+            case 'eth_sendRawTransaction': return this._sendRawTransaction(params[0]);
+            case 'eth_getTransactionReceipt': return this._receipt(params[0]);
+            case 'eth_getTransactionByHash': return this._transaction(params[0]);
+            default: throw new RpcError(-32601, `the method ${method} does not exist/is not available`);
+        }
+    }
+
+    _takeFault(methods) {
+        const index = this.faults.findIndex(f => f.method === '*' || methods.includes(f.method));
+        if (index === -1) return null;
+        const fault = this.faults[index];
+        if (--fault.remaining <= 0) this.faults.splice(index, 1);
+        return fault;
+    }
+
+    _handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            this.counts.http++;
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (e) {
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+            if (Array.isArray(payload) && (typeof this.refuseBatches === 'function' ? this.refuseBatches(payload) : this.refuseBatches)) {
+                this.requests.push({ at: Date.now(), methods: payload.map(call => call.method), fault: null, refused: true });
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch requests are not supported' } }));
+                return;
+            }
+            const calls = Array.isArray(payload) ? payload : [payload];
+            calls.forEach(call => { this.counts.methods[call.method] = (this.counts.methods[call.method] || 0) + 1; });
+
+            const fault = this._takeFault(calls.map(call => call.method));
+            this.requests.push({ at: Date.now(), methods: calls.map(call => call.method), fault });
+            if (fault && fault.drop) {
+                req.socket.destroy();
+                return;
+            }
+            if (fault && fault.status) {
+                res.writeHead(fault.status, fault.retryAfter !== undefined ? { 'retry-after': String(fault.retryAfter) } : {});
+                res.end();
+                return;
+            }
+            if (fault && fault.delayMs) await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+
+            const answers = calls.map(call => {
+                if (fault && fault.error && (fault.method === '*' || fault.method === call.method)) {
+                    return { jsonrpc: '2.0', id: call.id, error: fault.error };
+                }
+                try {
+                    return { jsonrpc: '2.0', id: call.id, result: this._call(call.method, call.params || []) };
+                } catch (err) {
+                    return { jsonrpc: '2.0', id: call.id, error: { code: err.code || -32603, message: err.message } };
+                }
+            });
+            if (res.destroyed) return;
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? answers : answers[0]));
+        });
+    }
+}
+
+export { FakeNode, FAULTS };
@@ -0,0 +1,133 @@
+// test/transport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { EndpointPool, parseEndpoints, getBlockNumberUncached, getTransactionCountUncached } from '../transport.js';
+import ProxyManager from '../proxyManager.js';
+import { FakeNode, FAULTS } from './support/fakeNode.js';
+
+const QUIET = { debug() {}, info() {}, warn() {}, error() {} };
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Share of `draws` selections that picked `endpoint`
+function share(pool, endpoint, draws = 4000, now = Date.now()) {
+    let picked = 0;
+    for (let i = 0; i < draws; i++) {
+        if (pool.select(new Set(), now) === endpoint) picked++;
+    }
+    return picked / draws;
+}
+
+test('uncached reads see a new block and nonce right after the provider was last asked', async () => {
+    const node = await new FakeNode({ automine: false }).start();
+    const provider = new ethers.JsonRpcProvider(node.url, undefined, { staticNetwork: ethers.Network.from(node.chainId) });
+    const wallet = new ethers.Wallet(KEY, provider);
+    try {
+        assert.equal(await provider.getBlockNumber(), 0);
+        assert.equal(await provider.getTransactionCount(wallet.address, 'latest'), 0);
+        await wallet.sendTransaction({ to: TOKEN, nonce: 0, gasLimit: 100000, gasPrice: 10n, type: 0 });
+        node.mine(); // Within ethers' cache window of the reads above
+        assert.equal(await getBlockNumberUncached(provider), 1);
+        assert.equal(await getTransactionCountUncached(provider, wallet.address), 1);
+        assert.equal(await getTransactionCountUncached(provider, wallet.address, 'pending'), 1);
+    } finally {
+        provider.destroy();
+        node.stop();
+    }
+});
+
+test('endpoints are picked in proportion to weight times health score', () => {
+    const pool = new EndpointPool(parseEndpoints([{ url: 'http://a.test', weight: 3 }, 'http://b.test']), { failureThreshold: 10, logger: QUIET });
+    const [a, b] = pool.endpoints;
+    const first = share(pool, a);
+    assert.ok(first > 0.7 && first < 0.8, `weight 3 of 4 picked ${first}`);
+
+    // Three failures below the threshold: score 0.8^3, so 3 * 0.512 against 1
+    for (let i = 0; i < 3; i++) pool.reportFailure(a, new Error('socket hang up'));
+    const degraded = share(pool, a);
+    assert.ok(degraded > 0.55 && degraded < 0.66, `degraded endpoint picked ${degraded}`);
+    assert.equal(pool.select(new Set([a])), b);
+    assert.equal(pool.select(new Set([a, b])), null);
+});
+
+test('an endpoint failing the threshold in a row sits out the cooldown, then one failure or success decides', () => {
+    const pool = new EndpointPool(parseEndpoints(['http://a.test', 'http://b.test']), { failureThreshold: 3, cooldownMs: 1000, logger: QUIET });
+    const [a, b] = pool.endpoints;
+    const now = Date.now();
+    const err = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    pool.reportFailure(a, err, now);
+    pool.reportFailure(a, err, now);
+    pool.reportSuccess(a);
+    pool.reportFailure(a, err, now);
+    pool.reportFailure(a, err, now);
+    assert.ok(pool.isUp(a, now), 'a success in between restarts the count');
+
+    pool.reportFailure(a, err, now);
+    assert.equal(a.downUntil, now + 1000);
+    assert.equal(share(pool, b, 200, now), 1, 'all traffic goes to the healthy endpoint');
+
+    // Back in rotation after the cooldown; its next failure takes it straight out again
+    const later = now + 1000;
+    assert.ok(pool.isUp(a, later));
+    assert.ok(share(pool, a, 200, later) > 0);
+    pool.reportFailure(a, err, later);
+    assert.equal(a.downUntil, later + 1000);
+
+    pool.reportSuccess(a);
+    assert.equal(a.consecutiveFailures, 0);
+    assert.ok(pool.isUp(a, later));
+
+    // With every endpoint out, the one back first is still offered
+    for (let i = 0; i < 3; i++) pool.reportFailure(b, err, later + 500);
+    for (let i = 0; i < 3; i++) pool.reportFailure(a, err, later);
+    assert.equal(pool.select(new Set(), later + 600), a);
+});
+
+test('_broadcast fails over to the healthy endpoint and returns to the other after its cooldown', async () => {
+    const [down, healthy] = await Promise.all([new FakeNode().start(), new FakeNode().start()]);
+    const manager = new ProxyManager([{ url: null }], [down.url, healthy.url], 0, {
+        chainId: down.chainId, logger: QUIET, endpointFailureThreshold: 2, endpointCooldownMs: 300, rpcTimeoutMs: 2000,
+    });
+    manager.endpointPool.logger = QUIET;
+    const [lane] = manager.proxies;
+    const [first, second] = manager.endpointPool.endpoints;
+    const wallet = new ethers.Wallet(KEY);
+    const sign = nonce => wallet.signTransaction({ chainId: down.chainId, nonce, to: TOKEN, gasLimit: 100000, gasPrice: 10n, type: 0 });
+    const sends = node => node.counts.methods.eth_sendRawTransaction || 0;
+    const random = Math.random;
+    Math.random = () => 0; // select() then prefers the first endpoint whenever it is up
+    down.inject(FAULTS.dropConnection, 100);
+    try {
+        // Each send tries the failing endpoint first and lands on the healthy one
+        for (const nonce of [0, 1]) {
+            const { endpoint, returnedHash } = await manager._broadcast(lane, await sign(nonce));
+            assert.equal(endpoint, second);
+            assert.equal(returnedHash, ethers.Transaction.from(await sign(nonce)).hash);
+        }
+        assert.equal(sends(down), 2);
+        assert.equal(first.consecutiveFailures, 2);
+        assert.ok(first.downUntil > Date.now(), 'out of rotation after the threshold');
+
+        // While it cools down, traffic goes straight to the healthy endpoint
+        assert.equal((await manager._broadcast(lane, await sign(2))).endpoint, second);
+        assert.equal(sends(down), 2);
+        assert.equal(sends(healthy), 3);
+
+        // After the cooldown, the recovered endpoint gets the traffic back
+        down.faults.length = 0;
+        await new Promise(resolve => setTimeout(resolve, first.downUntil - Date.now() + 10));
+        assert.equal((await manager._broadcast(lane, await sign(3))).endpoint, first);
+        assert.equal(sends(down), 3);
+        assert.equal(sends(healthy), 3);
+        assert.equal(first.consecutiveFailures, 0);
+        assert.deepEqual(down.getTransactions().map(tx => tx.nonce), [3]);
+        assert.deepEqual(healthy.getTransactions().map(tx => tx.nonce), [0, 1, 2]);
+    } finally {
+        Math.random = random;
+        manager.destroy();
+        down.stop();
+        healthy.stop();
+    }
+});
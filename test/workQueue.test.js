@@ -0,0 +1,55 @@
+// test/workQueue.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkQueue from '../workQueue.js';
+
+function createQueue(options = {}) {
+    return new WorkQueue({ total: 6, wallets: [{ address: 'a' }, { address: 'b' }, { address: 'c' }], ...options });
+}
+
+test('hands out units round-robin until the target is taken', () => {
+    const queue = createQueue();
+    const taken = [];
+    for (let address = queue.take(); address !== null; address = queue.take()) taken.push(address);
+    assert.deepEqual(taken, ['a', 'b', 'c', 'a', 'b', 'c']);
+    assert.equal(queue.queued, 0);
+    assert.equal(queue.inFlight, 6);
+    assert.equal(queue.finished, false);
+
+    taken.forEach((address, i) => (i === 0 ? queue.fail(address) : queue.complete(address)));
+    assert.deepEqual([queue.sent, queue.failed, queue.inFlight], [5, 1, 0]);
+    assert.equal(queue.finished, true);
+});
+
+test('skips wallets that are busy, not ready or at their limit', () => {
+    const queue = createQueue({ wallets: [{ address: 'a', limit: 1 }, { address: 'b' }, { address: 'c' }], maxInFlightPerWallet: 2 });
+    assert.equal(queue.take(), 'a');
+    assert.equal(queue.take(address => address !== 'b'), 'c'); // b is resyncing
+    assert.equal(queue.take(), 'b');
+    assert.equal(queue.take(), 'c');
+    assert.equal(queue.take(), 'b'); // a has used its limit
+    assert.equal(queue.take(), null, 'b and c have 2 in flight each');
+    queue.complete('c');
+    assert.equal(queue.take(), 'c');
+    assert.equal(queue.queued, 0);
+});
+
+test('a unit given back goes to another wallet, and the wallet that gave it back takes no more', () => {
+    const queue = createQueue({ total: 2, wallets: [{ address: 'a' }, { address: 'b' }] });
+    assert.equal(queue.take(), 'a');
+    assert.equal(queue.take(), 'b');
+    queue.giveBack('a');
+    assert.equal(queue.isRetired('a'), true);
+    assert.deepEqual([queue.queued, queue.inFlight], [1, 1]);
+    assert.equal(queue.take(), 'b');
+    queue.complete('b');
+    queue.complete('b');
+    assert.deepEqual([queue.sent, queue.failed], [2, 0]);
+    assert.equal(queue.finished, true);
+
+    const stalled = createQueue({ total: 1, wallets: [{ address: 'a' }] });
+    stalled.take();
+    stalled.giveBack('a');
+    assert.equal(stalled.take(), null, 'no wallet is left to take it');
+    assert.equal(stalled.queued, 1);
+});
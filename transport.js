@@ -0,0 +1,207 @@
+// transport.js
+import { ethers, FetchRequest } from 'ethers';
+import WebSocket from 'ws';
+import { createLogger } from './logger.js';
+import { RateLimiter } from './rateLimiter.js';
+
+const SCORE_DECAY = 0.8; // Weight of history in the health score; each result moves it 20% toward 1 (success) or 0 (failure)
+const MIN_SCORE = 0.05; // Keeps a struggling endpoint selectable at a trickle so it can prove itself again
+
+// Errors that say nothing reached the node (or its answer never came back): worth trying another endpoint.
+// JSON-RPC errors such as "nonce too low" or a revert come from the chain and are returned to the caller.
+const TRANSPORT_ERROR_CODES = new Set([
+    'NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT',
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'UND_ERR_SOCKET',
+]);
+
+function isTransportError(err) {
+    if (!err) return false;
+    if (TRANSPORT_ERROR_CODES.has(err.code)) return true;
+    const message = (err.message || '').toLowerCase();
+    return message.includes('socket hang up') || message.includes('websocket closed');
+}
+
+// The node already has this exact signed transaction (e.g. an earlier endpoint accepted it before timing out).
+function isAlreadyKnownError(err) {
+    const message = (err && err.message ? err.message : '').toLowerCase();
+    return message.includes('already known') || message.includes('known transaction') || message.includes('already imported');
+}
+
+// Accepts "https://..." strings or { url, weight } objects. The id (host only) is what gets logged,
+// since RPC URLs often carry an API key in the path or query.
+function parseEndpoints(specs) {
+    const list = Array.isArray(specs) ? specs : [specs];
+    if (list.length === 0) throw new Error('At least one RPC endpoint is required.');
+    return list.map((spec, index) => {
+        const { url, weight = 1 } = typeof spec === 'string' ? { url: spec } : spec;
+        const parsed = new URL(url);
+        if (!['http:', 'https:', 'ws:', 'wss:'].includes(parsed.protocol)) {
+            throw new Error(`Unsupported RPC endpoint protocol '${parsed.protocol}' (expected http, https, ws or wss).`);
+        }
+        if (!(weight > 0)) throw new Error(`RPC endpoint weight must be > 0, got ${weight}.`);
+        return { id: `${index + 1}:${parsed.host}`, url, weight };
+    });
+}
+
+// One long-lived provider from a lane (a proxy session or a direct connection) to one endpoint.
+// http(s) uses fetch, ws(s) a WebSocket; both go through the lane's proxy agent when it has one.
+// The network is static, so no eth_chainId detection is ever sent. A 429 is returned to the caller
+// at once instead of being retried inside ethers, so the send can move to another endpoint.
+function createTransport(url, { network, agent = null, timeoutMs = 15000 }) {
+    const protocol = new URL(url).protocol;
+    if (protocol === 'ws:' || protocol === 'wss:') {
+        const connect = () => {
+            const socket = new WebSocket(url, agent ? { agent } : {});
+            socket.on('error', () => {}); // Surfaces as request timeouts; without a listener ws would throw
+            return socket;
+        };
+        return new ethers.WebSocketProvider(connect, network, { staticNetwork: network });
+    }
+    const request = new FetchRequest(url);
+    request.timeout = timeoutMs;
+    request.retryFunc = async () => false;
+    if (agent) request.getUrlFunc = FetchRequest.createGetUrlFunc({ agent });
+    return new ethers.JsonRpcProvider(request, network, { staticNetwork: network, batchMaxCount: 1 });
+}
+
+// Sends one JSON-RPC request, failing with a TIMEOUT error if no answer arrives in time
+// (WebSocket requests have no timeout of their own).
+function sendWithTimeout(transport, method, params, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${method} timed out after ${timeoutMs}ms`);
+            err.code = 'TIMEOUT';
+            reject(err);
+        }, timeoutMs);
+    });
+    return Promise.race([transport.send(method, params), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Chain state read with provider.send(), never from ethers' cache. A provider answers a repeated
+// identical request (getBlockNumber(), getTransactionCount()) from a cache for 250ms, which can be
+// stale right after a run, or several blocks behind on a fast chain. Callers that pace or decide on
+// the head and the mined nonce counts read them here.
+async function getBlockNumberUncached(provider) {
+    return Number(await provider.send('eth_blockNumber', []));
+}
+
+async function getTransactionCountUncached(provider, address, blockTag = 'latest') {
+    return Number(await provider.send('eth_getTransactionCount', [address, blockTag]));
+}
+
+// The endpoint does not take JSON-RPC batches: it refused the request (an HTTP 4xx other than 429) or
+// did not answer with one result per call. Nothing in the batch can be assumed to have been sent.
+class BatchRejectedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BatchRejectedError';
+    }
+}
+
+function supportsBatch(url) {
+    const protocol = new URL(url).protocol;
+    return protocol === 'http:' || protocol === 'https:'; // ethers' WebSocketProvider sends one call per message
+}
+
+// Sends `calls` ([method, params] each) as one JSON-RPC batch over an http(s) transport. Resolves, in
+// the order of `calls`, with { result } or { error } per call, each error the one a single send() of
+// that call would have thrown. Transport failures (timeout, connection, 5xx, 429) are thrown as they are.
+async function sendBatch(transport, calls, timeoutMs) {
+    const payload = calls.map(([method, params], index) => ({ method, params, id: index + 1, jsonrpc: '2.0' }));
+    let answers;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`Batch of ${calls.length} call(s) timed out after ${timeoutMs}ms`);
+            err.code = 'TIMEOUT';
+            reject(err);
+        }, timeoutMs);
+    });
+    try {
+        answers = await Promise.race([transport._send(payload), timeout]);
+    } catch (err) {
+        const status = err.response && err.response.statusCode;
+        if (status >= 400 && status < 500 && status !== 429) throw new BatchRejectedError(`Batch refused with HTTP ${status}`);
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+    const byId = new Map(answers.filter(answer => answer && typeof answer === 'object').map(answer => [answer.id, answer]));
+    if (payload.some(request => !byId.has(request.id))) {
+        const refusal = answers.find(answer => answer && answer.error);
+        throw new BatchRejectedError(`Batch of ${calls.length} answered with ${answers.length} result(s)${refusal ? `: ${refusal.error.message}` : ''}`);
+    }
+    return payload.map(request => {
+        const answer = byId.get(request.id);
+        return answer.error ? { error: transport.getRpcError(request, answer) } : { result: answer.result };
+    });
+}
+
+// Weighted selection over RPC endpoints with a health score per endpoint. An endpoint that fails
+// failureThreshold times in a row is taken out of rotation for cooldownMs, then offered again;
+// one more failure sends it straight back to cooldown, one success re-admits it.
+// Each endpoint also has a RateLimiter (rateLimiter.js); one paused by a 429 is passed over while
+// another endpoint is available. getLimiter lets reads and sends to the same URL share one.
+class EndpointPool {
+    constructor(endpoints, { failureThreshold = 3, cooldownMs = 30000, getLimiter = (url) => new RateLimiter({ name: url }), logger = createLogger('transport') } = {}) {
+        this.endpoints = endpoints.map(endpoint => ({
+            ...endpoint,
+            limiter: getLimiter(endpoint.url),
+            score: 1,
+            consecutiveFailures: 0,
+            downUntil: 0,
+            requests: 0,
+            failures: 0,
+        }));
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.logger = logger;
+    }
+
+    isUp(endpoint, now = Date.now()) {
+        return endpoint.downUntil <= now && !endpoint.limiter.isPaused(now);
+    }
+
+    // Picks an endpoint not in `exclude`, weighted by weight * score among those that are up. If all
+    // of them are cooling down or paused, the one that comes back first is used rather than failing outright.
+    select(exclude = new Set(), now = Date.now()) {
+        const available = this.endpoints.filter(e => !exclude.has(e));
+        if (available.length === 0) return null;
+        const up = available.filter(e => this.isUp(e, now));
+        if (up.length === 0) {
+            const backAt = (e) => Math.max(e.downUntil, e.limiter.pausedUntil);
+            return available.reduce((soonest, e) => (backAt(e) < backAt(soonest) ? e : soonest));
+        }
+        const weights = up.map(e => e.weight * Math.max(e.score, MIN_SCORE));
+        let pick = Math.random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < up.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return up[i];
+        }
+        return up[up.length - 1];
+    }
+
+    reportSuccess(endpoint) {
+        endpoint.requests++;
+        endpoint.score = endpoint.score * SCORE_DECAY + (1 - SCORE_DECAY);
+        if (endpoint.consecutiveFailures >= this.failureThreshold) {
+            this.logger.info('RPC endpoint is answering again; back in rotation', { endpoint: endpoint.id });
+        }
+        endpoint.consecutiveFailures = 0;
+        endpoint.downUntil = 0;
+    }
+
+    reportFailure(endpoint, err, now = Date.now()) {
+        endpoint.requests++;
+        endpoint.failures++;
+        endpoint.score *= SCORE_DECAY;
+        endpoint.consecutiveFailures++;
+        if (endpoint.consecutiveFailures >= this.failureThreshold && endpoint.downUntil <= now) {
+            endpoint.downUntil = now + this.cooldownMs;
+            this.logger.warn(`RPC endpoint failed ${endpoint.consecutiveFailures} time(s) in a row (${err.code || err.message}); out of rotation for ${this.cooldownMs}ms`, { endpoint: endpoint.id });
+        }
+    }
+}
+
+export { EndpointPool, parseEndpoints, createTransport, sendWithTimeout, getBlockNumberUncached, getTransactionCountUncached, sendBatch, supportsBatch, BatchRejectedError, isTransportError, isAlreadyKnownError };
@@ -0,0 +1,182 @@
+// unstick.js
+// Lists each wallet's stuck nonces (between its "latest" and "pending" transaction counts) and, with
+// --unstick-action cancel or speed-up, replaces them at a higher fee and waits until the wallet is clear
+// (stuckTransactions.js). Takes the same settings as mint.js; see README, "Stuck transactions".
+import 'dotenv/config';
+import { ethers } from 'ethers';
+import { loadConfig, usage, ConfigError } from './config.js';
+import RunJournal, { collectTransactions } from './runJournal.js';
+import { scanWallet, unstickWallet, waitUntilClear } from './stuckTransactions.js';
+import { buildInnerCall, buildBatchCall } from './callBuilder.js';
+import { createFeeStrategy, GasLimitEstimator, maxPricePerGas } from './feeStrategy.js';
+import { configureLogging, createLogger, guardProcessOutput } from './logger.js';
+import { loadWallets, KeyLoadError } from './keyring.js';
+import { RateLimiter, createRateLimitedRequest } from './rateLimiter.js';
+import { getRpcError } from './errorClassifier.js';
+
+guardProcessOutput();
+
+let loadedConfig;
+try {
+    loadedConfig = loadConfig({ forSending: false });
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    console.error(`\n${usage('unstick.js')}`);
+    process.exit(1);
+}
+if (loadedConfig.help) {
+    console.log(usage('unstick.js'));
+    process.exit(0);
+}
+const CONFIG = loadedConfig.config;
+configureLogging({ level: CONFIG.logLevel, format: CONFIG.logFormat });
+const log = createLogger('unstick');
+
+function describeRange(nonces) {
+    if (nonces.length === 0) return 'none';
+    return nonces.length === 1 ? String(nonces[0]) : `${nonces[0]}-${nonces[nonces.length - 1]}`;
+}
+
+async function main() {
+    let signers;
+    try {
+        signers = await loadWallets({
+            source: CONFIG.walletSource,
+            keystorePath: CONFIG.keystorePath,
+            derivationPath: CONFIG.derivationPath,
+            indexes: CONFIG.walletIndexes,
+            secretFd: CONFIG.secretFd,
+            log: (message) => log.warn(message),
+        });
+        if (signers.length === 0) throw new KeyLoadError('No wallets could be loaded.');
+    } catch (err) {
+        if (!(err instanceof KeyLoadError)) throw err;
+        log.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const rateLimiter = new RateLimiter({ ratePerSecond: CONFIG.rateLimitRps, rampUpMs: CONFIG.rateLimitRampUpMs, name: 'global' });
+    const provider = new ethers.JsonRpcProvider(createRateLimitedRequest(CONFIG.rpcUrl, [rateLimiter]));
+    try {
+        // The journal knows which hash each wallet sent at each nonce, so speed-up can re-send exactly that
+        // transaction and the journal can be brought up to date afterwards.
+        const records = RunJournal.read(CONFIG.journalPath);
+        const journaled = [...collectTransactions(records).values()].filter(entry => entry.sent && !entry.dropped);
+        const journaledAt = (address, nonce) => journaled.filter(entry => entry.wallet === address && entry.nonce === nonce).pop();
+
+        const scans = [];
+        for (const signer of signers) {
+            const scan = await scanWallet(provider, signer.address, journaled.filter(entry => entry.wallet === signer.address).map(entry => entry.nonce));
+            scans.push({ signer, ...scan });
+        }
+        console.log('\nWallet                                      latest  pending  stuck nonces');
+        for (const { address, latest, pending, nonces } of scans) {
+            console.log(`${address}  ${String(latest).padStart(6)}  ${String(pending).padStart(7)}  ${describeRange(nonces)}`);
+        }
+        const stuck = scans.filter(scan => scan.nonces.length > 0);
+        if (stuck.length === 0) {
+            console.log('\nNo stuck transactions.');
+            return;
+        }
+        if (CONFIG.unstickAction === 'list') {
+            console.log(`\n${stuck.reduce((sum, scan) => sum + scan.nonces.length, 0)} stuck nonce(s). Run with --unstick-action cancel or --unstick-action speed-up to replace them.`);
+            return;
+        }
+
+        const { chainId } = await provider.getNetwork();
+        const feeStrategy = createFeeStrategy(CONFIG, provider, (message) => log.warn(message));
+        const maxFee = CONFIG.maxFeeGwei ? ethers.parseUnits(CONFIG.maxFeeGwei, 'gwei') : null;
+        let call = null;
+        let gasLimit = null;
+        if (CONFIG.unstickAction === 'speed-up') {
+            // Payload for stuck nonces whose original the node no longer returns: the campaign's own call
+            call = buildBatchCall({
+                wrapper: CONFIG.batchWrapper,
+                batchAddress: CONFIG.contractAddress,
+                target: CONFIG.tokenContractAddress,
+                callData: buildInnerCall(CONFIG.mintCall, CONFIG.mintArgs),
+                count: CONFIG.mintsPerMulticall,
+                allowFailure: CONFIG.allowFailure,
+            });
+            gasLimit = await new GasLimitEstimator(provider, { mode: CONFIG.gasLimitMode, fallbackGasLimit: CONFIG.gasLimit, marginPercent: CONFIG.gasLimitMarginPercent })
+                .getGasLimit({ from: stuck[0].address, to: call.to, data: call.data });
+        }
+
+        const journal = records.length > 0 ? new RunJournal(CONFIG.journalPath) : null;
+        let clear = true;
+        for (const { signer, address, nonces } of stuck) {
+            // Looked up together (the provider batches them). A lookup that fails leaves that original
+            // unknown, as if the node no longer had it, instead of ending the command.
+            const lookups = await Promise.all(nonces.map(async (nonce) => {
+                const entry = journaledAt(address, nonce);
+                if (!entry) return null;
+                try {
+                    return await provider.send('eth_getTransactionByHash', [entry.hash]);
+                } catch (err) {
+                    const rpcError = getRpcError(err);
+                    log.warn(`Wallet ${address}: could not look up the original at nonce ${nonce} (${rpcError ? rpcError.message : err.shortMessage || err.message}); replacing it as unknown.`);
+                    return null;
+                }
+            }));
+            const originals = new Map();
+            nonces.forEach((nonce, i) => {
+                if (lookups[i] && lookups[i].blockNumber === null) originals.set(nonce, lookups[i]);
+            });
+            log.info(`Wallet ${address}: replacing ${nonces.length} stuck nonce(s) [${describeRange(nonces)}] (${CONFIG.unstickAction}; ${originals.size} original(s) known)`);
+            const results = await unstickWallet(provider, signer, {
+                action: CONFIG.unstickAction,
+                nonces,
+                originals,
+                chainId,
+                getFees: () => feeStrategy.getFees(),
+                call,
+                gasLimit,
+                feeBumpPercent: CONFIG.feeBumpPercent,
+                maxFeeBumps: CONFIG.maxFeeBumps,
+                maxFee,
+                log: (message) => log.info(message),
+            });
+            for (const result of results) {
+                const price = `${ethers.formatUnits(maxPricePerGas(result.fees), 'gwei')} gwei`;
+                if (result.status === 'sent') console.log(`  nonce ${result.nonce}: ${result.action} sent at ${price} (${result.hash}${result.original ? `, replaces ${result.original}` : ''})`);
+                else if (result.status === 'mined') console.log(`  nonce ${result.nonce}: already mined`);
+                else console.log(`  nonce ${result.nonce}: replacement failed (${result.error})`);
+            }
+
+            const target = nonces[nonces.length - 1] + 1;
+            const cleared = await waitUntilClear(provider, address, target, { timeoutMs: CONFIG.unstickTimeoutMs, pollIntervalMs: CONFIG.receiptPollIntervalMs });
+            if (!cleared) {
+                clear = false;
+                log.error(`Wallet ${address}: still not clear after ${(CONFIG.unstickTimeoutMs / 1000).toFixed(0)}s (mined count below ${target}).`);
+            } else {
+                console.log(`  ${address} is clear (mined count ${target}).`);
+            }
+
+            // A mined replacement supersedes the journaled send: a sped-up transaction now has the new hash,
+            // a cancelled one was never done and --resume sends it again.
+            for (const result of results.filter(r => r.status === 'sent')) {
+                const entry = journaledAt(address, result.nonce);
+                if (!journal || !entry) continue;
+                const receipt = await provider.send('eth_getTransactionReceipt', [result.hash]);
+                if (!receipt) continue; // The original may still be the one that lands
+                if (result.action === 'speed-up') {
+                    journal.record('sent', { tx: entry.tx, wallet: address, nonce: result.nonce, hash: result.hash, replaces: entry.hash, status: null });
+                    journal.record('outcome', { tx: entry.tx, wallet: address, nonce: result.nonce, hash: result.hash, outcome: Number(receipt.status) === 1 ? 'success' : 'reverted', blockNumber: Number(receipt.blockNumber), gasUsed: BigInt(receipt.gasUsed).toString() });
+                } else {
+                    journal.record('dropped', { tx: entry.tx, wallet: address, nonce: result.nonce, hash: entry.hash, cancelledBy: result.hash });
+                }
+            }
+        }
+        if (journal) journal.close();
+        if (!clear) process.exitCode = 1;
+    } finally {
+        provider.destroy();
+    }
+}
+
+main().catch(error => {
+    console.error('Unstick failed:', error);
+    process.exit(1);
+});
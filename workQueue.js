@@ -0,0 +1,92 @@
+// workQueue.js
+
+// The campaign's work as one shared queue: `total` units of one transaction each, which any wallet may
+// take. There are no fixed per-wallet quotas. Wallets are offered the next unit round-robin whenever the
+// dispatch loop has a free slot, so a wallet that is busy (all its nonces in flight, or resyncing) is
+// skipped and the others keep sending. A unit its wallet can no longer send goes back to the queue for
+// the other wallets, and that wallet takes no more work.
+//
+// Lifecycle of a unit handed out by take():
+//   complete(address) - the transaction was sent
+//   fail(address)     - it failed for good; the unit counts as failed
+//   giveBack(address) - the wallet cannot send it (e.g. out of funds); the unit is queued again and the
+//                       wallet is retired
+class WorkQueue {
+    // wallets: [{ address, limit }], limit being the most units the wallet may send (what it can pay for)
+    constructor({ total, wallets, maxInFlightPerWallet = Infinity }) {
+        this.total = total;
+        this.queued = total;
+        this.sent = 0;
+        this.failed = 0;
+        this.maxInFlightPerWallet = maxInFlightPerWallet;
+        this.wallets = wallets.map(({ address, limit = Infinity }) => ({ address, limit, taken: 0, inFlight: 0, retired: false }));
+        this.byAddress = new Map(this.wallets.map(wallet => [wallet.address, wallet]));
+        this.nextIndex = 0; // Round-robin position: the wallet offered the next unit first
+    }
+
+    get inFlight() {
+        return this.wallets.reduce((sum, wallet) => sum + wallet.inFlight, 0);
+    }
+
+    inFlightOf(address) {
+        return this._wallet(address).inFlight;
+    }
+
+    // Nothing queued and nothing in flight: every unit was sent or failed.
+    get finished() {
+        return this.queued === 0 && this.inFlight === 0;
+    }
+
+    // Gives the next unit to the first wallet, in round-robin order, that has room for it and for which
+    // isReady(address) holds. Returns that wallet's address, or null if no wallet can take one now.
+    take(isReady = () => true) {
+        if (this.queued === 0) return null;
+        for (let i = 0; i < this.wallets.length; i++) {
+            const index = (this.nextIndex + i) % this.wallets.length;
+            const wallet = this.wallets[index];
+            if (wallet.retired || wallet.inFlight >= this.maxInFlightPerWallet || wallet.taken >= wallet.limit) continue;
+            if (!isReady(wallet.address)) continue;
+            this.nextIndex = (index + 1) % this.wallets.length;
+            wallet.taken++;
+            wallet.inFlight++;
+            this.queued--;
+            return wallet.address;
+        }
+        return null;
+    }
+
+    complete(address) {
+        this._wallet(address).inFlight--;
+        this.sent++;
+    }
+
+    fail(address) {
+        this._wallet(address).inFlight--;
+        this.failed++;
+    }
+
+    giveBack(address) {
+        const wallet = this._wallet(address);
+        wallet.inFlight--;
+        wallet.taken--;
+        wallet.retired = true;
+        this.queued++;
+    }
+
+    // The wallet takes no more work (e.g. its spend cap is reached); what it has in flight carries on.
+    retire(address) {
+        this._wallet(address).retired = true;
+    }
+
+    isRetired(address) {
+        return this._wallet(address).retired;
+    }
+
+    _wallet(address) {
+        const wallet = this.byAddress.get(address);
+        if (!wallet) throw new Error(`WorkQueue: wallet ${address} is not registered`);
+        return wallet;
+    }
+}
+
+export default WorkQueue;